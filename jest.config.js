@@ -32,9 +32,10 @@ module.exports = {
   ],
 
   // Coverage Collection Configuration
-  // Collects coverage data exclusively from server.js per specification requirements
+  // Collects coverage data from server.js and its supporting modules under lib/
   collectCoverageFrom: [
-    'server.js'
+    'server.js',
+    'lib/**/*.js'
   ],
 
   // Coverage Exclusion Patterns
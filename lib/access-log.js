@@ -0,0 +1,235 @@
+/**
+ * Access Logging
+ *
+ * Writes one line per completed request as JSON or in Common / Combined
+ * Log Format, to stdout, stderr or an append-only file. Each entry gets a
+ * level from its outcome - `error` for 5xx, `warn` for 4xx, `debug` for
+ * health probes and `info` otherwise - and entries below the configured
+ * level are dropped.
+ *
+ * @fileoverview Per-request access logs
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+
+const { ConfigError } = require('./config');
+
+/**
+ * Log levels in increasing severity; `silent` drops every entry
+ */
+const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity });
+
+/**
+ * Paths logged at debug level so frequent probes do not drown real traffic
+ */
+const PROBE_PATHS = new Set(['/healthz', '/readyz', '/livez']);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Formats a date as used by Common Log Format, in UTC
+ *
+ * @param {Date} date - Timestamp to format
+ * @returns {string} Date such as `10/Oct/2000:13:55:36 +0000`
+ */
+function formatClfDate(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Quotes a header value for Combined Log Format
+ *
+ * @param {string|undefined} value - Header value
+ * @returns {string} Quoted value, or `"-"` when absent
+ */
+function quote(value) {
+  return value ? `"${value.replace(/["\\]/g, '\\$&')}"` : '"-"';
+}
+
+/**
+ * Line formatters keyed by `loggingConfiguration.accessLog.format`
+ */
+const FORMATS = {
+  json: (entry) => JSON.stringify({
+    time: entry.time.toISOString(),
+    level: entry.level,
+    method: entry.method,
+    path: entry.path,
+    status: entry.status,
+    bytes: entry.bytes,
+    durationMs: entry.durationMs,
+    remoteAddress: entry.remoteAddress,
+    userAgent: entry.userAgent,
+    requestId: entry.requestId
+  }),
+  common: (entry) => `${entry.remoteAddress || '-'} - - [${formatClfDate(entry.time)}] ` +
+    `"${entry.method} ${entry.url} HTTP/${entry.httpVersion}" ${entry.status} ${entry.bytes || '-'}`,
+  combined: (entry) => `${FORMATS.common(entry)} ${quote(entry.referer)} ${quote(entry.userAgent)}`
+};
+
+/**
+ * Opens the stream an access log writes to
+ *
+ * Files are opened before the logger is returned, so a destination that
+ * cannot be written is reported at startup rather than on the first request.
+ *
+ * @param {string} destination - `stdout`, `stderr` or a file path
+ * @returns {Object} `{ stream, owned }`; owned streams are closed with the logger
+ * @throws {ConfigError} When the file cannot be opened for appending
+ */
+function openDestination(destination) {
+  if (destination === 'stdout') {
+    return { stream: process.stdout, owned: false };
+  }
+  if (destination === 'stderr') {
+    return { stream: process.stderr, owned: false };
+  }
+
+  let fd;
+  try {
+    fd = fs.openSync(destination, 'a');
+  } catch (error) {
+    throw new ConfigError(`loggingConfiguration.accessLog.destination: cannot open ${destination} (${error.code})`);
+  }
+  return { stream: fs.createWriteStream(destination, { fd }), owned: true };
+}
+
+/**
+ * Picks the level of a completed request
+ *
+ * @param {string} path - Request path without query string
+ * @param {number} status - Response status code
+ * @returns {string} Level name
+ */
+function levelFor(path, status) {
+  if (status >= 500) {
+    return 'error';
+  }
+  if (status >= 400) {
+    return 'warn';
+  }
+  return PROBE_PATHS.has(path) ? 'debug' : 'info';
+}
+
+/**
+ * Creates an access logger from the logging configuration
+ *
+ * @param {Object} loggingConfiguration - Resolved `loggingConfiguration` section
+ * @param {Object} options - Overrides for tests and embedding code
+ * @param {stream.Writable} options.stream - Stream to write to instead of the configured destination
+ * @returns {Object} Logger exposing `track(req, res)`, which logs the request
+ *   once its response completes, and `close()`, which resolves once a file
+ *   destination is flushed and closed and may be called more than once
+ * @throws {ConfigError} When the destination file cannot be opened
+ */
+function createAccessLogger(loggingConfiguration, options = {}) {
+  const { level, accessLog } = loggingConfiguration;
+  const threshold = LEVELS[level];
+
+  if (!accessLog.enabled || threshold === Infinity) {
+    return { track: () => {}, close: () => Promise.resolve() };
+  }
+
+  const format = FORMATS[accessLog.format];
+  const { stream, owned } = options.stream
+    ? { stream: options.stream, owned: false }
+    : openDestination(accessLog.destination);
+
+  // A destination that fails later (disk full, file system gone) loses the
+  // log, not the server
+  let failed = false;
+  if (owned) {
+    stream.on('error', (error) => {
+      if (!failed) {
+        failed = true;
+        console.error(`Access log ${accessLog.destination} failed; dropping entries: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Starts timing a request and logs it once the response finishes or the
+   * connection closes first
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   */
+  const track = (req, res) => {
+    const startTime = process.hrtime.bigint();
+    let bytes = 0;
+
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      }
+    };
+    res.write = function (chunk, encoding, callback) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      count(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    let logged = false;
+    const log = () => {
+      if (logged) return;
+      logged = true;
+
+      const queryIndex = req.url.indexOf('?');
+      const path = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+      const status = res.headersSent ? res.statusCode : 0;
+      const entryLevel = levelFor(path, status);
+      if (failed || LEVELS[entryLevel] < threshold) {
+        return;
+      }
+
+      const bodyless = req.method === 'HEAD' || status === 204 || status === 304;
+      stream.write(`${format({
+        time: new Date(),
+        level: entryLevel,
+        method: req.method,
+        url: req.url,
+        path,
+        httpVersion: req.httpVersion,
+        status,
+        bytes: bodyless ? 0 : bytes,
+        durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+        remoteAddress: (req.remoteClient ? req.remoteClient.address : req.socket.remoteAddress) || null,
+        userAgent: req.headers['user-agent'] || null,
+        referer: req.headers.referer || req.headers.referrer,
+        requestId: req.id || null
+      })}\n`);
+    };
+
+    res.once('finish', log);
+    res.once('close', log);
+  };
+
+  let closed = null;
+
+  return {
+    track,
+    close: () => {
+      closed = closed || new Promise((resolve) => {
+        if (owned && !failed) {
+          stream.end(resolve);
+        } else {
+          resolve();
+        }
+      });
+      return closed;
+    }
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createAccessLogger
+};
@@ -0,0 +1,552 @@
+/**
+ * Request Body Parsing
+ *
+ * Reads the body of requests to routes that accept one, choosing the parser
+ * from the Content-Type: JSON (`application/json` and `+json` types),
+ * URL-encoded forms, multipart forms, text and raw octet streams. Bodies are
+ * read as a stream and abandoned as soon as they exceed their limit, so an
+ * oversized upload is never held in memory; multipart file parts are written
+ * to the upload directory as they arrive.
+ *
+ * Problems are answered without calling the route's handler: 400 for a
+ * malformed body, 413 for one over its limit and 415 for a content type,
+ * charset or content coding the route does not accept.
+ *
+ * @fileoverview Streaming request body parsers with size limits
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loggerFor } = require('./request-id');
+const { parseQuery, sendStatus } = require('./router');
+
+/**
+ * Body parsers by name, with the media type advertised for each in 415
+ * responses and the media types each reads
+ */
+const PARSERS = {
+  json: {
+    mediaType: 'application/json',
+    matches: (type) => type === 'application/json' || /^application\/[^/]+\+json$/.test(type)
+  },
+  urlencoded: {
+    mediaType: 'application/x-www-form-urlencoded',
+    matches: (type) => type === 'application/x-www-form-urlencoded'
+  },
+  multipart: {
+    mediaType: 'multipart/form-data',
+    matches: (type) => type === 'multipart/form-data'
+  },
+  text: {
+    mediaType: 'text/*',
+    matches: (type) => type.startsWith('text/')
+  },
+  raw: {
+    mediaType: 'application/octet-stream',
+    matches: (type) => type === 'application/octet-stream'
+  }
+};
+
+/**
+ * Largest header block accepted for a single multipart part
+ */
+const MAX_PART_HEADER_SIZE = 16384;
+
+/**
+ * Error raised when a request body cannot be accepted
+ *
+ * @property {number} statusCode - 400, 413 or 415
+ */
+class BodyError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'BodyError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Splits `value; name=param; ...` header syntax
+ *
+ * @param {string} header - Header value
+ * @returns {Object} `{ value, params }` with the value and parameter names
+ *   lowercased and quoted parameter values unquoted
+ */
+function parseParameters(header) {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  const pattern = /\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+  while ((match = pattern.exec(rest.join(';'))) !== null) {
+    const name = match[1].toLowerCase();
+    const raw = match[2].trim();
+    if (!Object.prototype.hasOwnProperty.call(params, name)) {
+      params[name] = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+    }
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Tells whether the request carries a body
+ *
+ * @param {http.IncomingMessage|http2.Http2ServerRequest} req - Request
+ * @returns {boolean} True when a body follows the headers
+ */
+function hasBody(req) {
+  if (req.stream) {
+    return !req.stream.endAfterHeaders;
+  }
+  const length = req.headers['content-length'];
+  return req.headers['transfer-encoding'] !== undefined || (length !== undefined && Number(length) > 0);
+}
+
+/**
+ * Decodes text in the charset the request declared
+ *
+ * @param {Buffer} buffer - Encoded text
+ * @param {string} charset - Charset label; UTF-8 when the request named none
+ * @returns {string} Decoded text without a byte order mark
+ * @throws {BodyError} 415 for an unknown charset, 400 for invalid text
+ */
+function decode(buffer, charset = 'utf-8') {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset, { fatal: true });
+  } catch (error) {
+    throw new BodyError(415, `Unsupported Media Type; unknown charset "${charset}"`);
+  }
+  try {
+    return decoder.decode(buffer);
+  } catch (error) {
+    throw new BodyError(400, `Bad Request; body is not valid ${decoder.encoding}`);
+  }
+}
+
+/**
+ * Adds a value to an object of fields; repeated names collect into arrays
+ */
+function addField(fields, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * Deletes uploaded files; files a handler moved away are skipped
+ *
+ * @param {Object[]} files - Uploaded file descriptions with their `path`
+ */
+function removeFiles(files) {
+  for (const { path: filePath } of files) {
+    fs.rm(filePath, { force: true }, () => {});
+  }
+}
+
+/**
+ * Reads a request body into memory
+ *
+ * @param {http.IncomingMessage} req - Request whose body is unread
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Promise<Buffer>} The body
+ */
+function readBuffer(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const finish = (error) => {
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.removeListener('error', onError);
+      req.removeListener('aborted', onError);
+      if (error) {
+        req.pause();
+        reject(error);
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    };
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        finish(new BodyError(413, `Content Too Large; the limit is ${limit} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    };
+    const onEnd = () => finish(null);
+    const onError = () => finish(new BodyError(400, 'Bad Request; the request body is incomplete'));
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', onError);
+    req.on('aborted', onError);
+  });
+}
+
+/**
+ * Streams a multipart/form-data body, collecting fields and writing file
+ * parts to the upload directory
+ *
+ * @param {http.IncomingMessage} req - Request whose body is unread
+ * @param {string} boundary - Boundary from the Content-Type
+ * @param {Object} limits - `{ limit, fileLimit, maxParts, uploadDirectory }`
+ * @returns {Promise<Object>} `{ body, files }`: fields by name and the
+ *   uploaded files as `{ field, filename, contentType, path, size }`
+ */
+function readMultipart(req, boundary, { limit, fileLimit, maxParts, uploadDirectory }) {
+  return new Promise((resolve, reject) => {
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = [];
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let parts = 0;
+    let fieldBytes = 0;
+    let openFiles = 0;
+    let ended = false;
+    let settled = false;
+    let failed = false;
+
+    const malformed = (reason) => new BodyError(400, `Bad Request; malformed multipart body (${reason})`);
+
+    const detach = () => {
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.removeListener('error', onError);
+      req.removeListener('aborted', onError);
+    };
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      failed = true;
+      detach();
+      req.pause();
+      if (part && part.file) {
+        part.file.destroy();
+      }
+      removeFiles(files);
+      reject(error);
+    };
+
+    const succeedOnceWritten = () => {
+      if (!settled && ended && openFiles === 0) {
+        settled = true;
+        detach();
+        resolve({ body: fields, files });
+      }
+    };
+
+    const startPart = (headerBlock) => {
+      const headers = {};
+      for (const line of headerBlock.split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) {
+          throw malformed('invalid part header');
+        }
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+
+      const disposition = parseParameters(headers['content-disposition'] || '');
+      if (disposition.value !== 'form-data' || !disposition.params.name) {
+        throw malformed('part without a form-data name');
+      }
+      if (++parts > maxParts) {
+        throw new BodyError(413, `Content Too Large; at most ${maxParts} parts are accepted`);
+      }
+
+      const { name, filename } = disposition.params;
+      const contentType = headers['content-type'] || (filename === undefined ? 'text/plain' : 'application/octet-stream');
+      if (filename === undefined) {
+        part = { name, charset: parseParameters(contentType).params.charset, chunks: [] };
+        return;
+      }
+
+      const info = {
+        field: name,
+        filename: path.basename(filename.replace(/\\/g, '/')),
+        contentType,
+        path: path.join(uploadDirectory, crypto.randomUUID()),
+        size: 0
+      };
+      const file = fs.createWriteStream(info.path, { flags: 'wx', mode: 0o600 });
+      files.push(info);
+      openFiles++;
+      file.on('error', (error) => fail(error));
+      file.on('close', () => {
+        openFiles--;
+        if (failed) {
+          // The file may only have been created after the failure
+          removeFiles([info]);
+        }
+        succeedOnceWritten();
+      });
+      part = { info, file };
+    };
+
+    const write = (data) => {
+      if (data.length === 0) return;
+      if (part.file) {
+        part.info.size += data.length;
+        if (part.info.size > fileLimit) {
+          throw new BodyError(413, `Content Too Large; files are limited to ${fileLimit} bytes`);
+        }
+        if (!part.file.write(data)) {
+          req.pause();
+          part.file.once('drain', () => req.resume());
+        }
+        return;
+      }
+      fieldBytes += data.length;
+      if (fieldBytes > limit) {
+        throw new BodyError(413, `Content Too Large; the limit is ${limit} bytes`);
+      }
+      part.chunks.push(data);
+    };
+
+    const endPart = () => {
+      if (part.file) {
+        part.file.end();
+      } else {
+        addField(fields, part.name, decode(Buffer.concat(part.chunks), part.charset));
+      }
+      part = null;
+    };
+
+    // Consumes as much of the buffer as the current state allows
+    const consume = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Keep a tail that could be the start of a split delimiter
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            if (state === 'body') {
+              write(buffer.subarray(0, buffer.length - keep));
+            }
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            write(buffer.subarray(0, index));
+            endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'epilogue';
+            continue;
+          }
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) {
+            if (buffer.length > MAX_PART_HEADER_SIZE) {
+              throw malformed('invalid boundary line');
+            }
+            return;
+          }
+          // Only transport padding may follow the boundary
+          if (buffer.subarray(0, lineEnd).toString('latin1').trim() !== '') {
+            throw malformed('invalid boundary line');
+          }
+          buffer = buffer.subarray(lineEnd + 2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          if (buffer.length >= 2 && buffer[0] === 0x0d && buffer[1] === 0x0a) {
+            throw malformed('part without headers');
+          }
+          const end = buffer.indexOf('\r\n\r\n');
+          if (end === -1) {
+            if (buffer.length > MAX_PART_HEADER_SIZE) {
+              throw malformed('part headers too large');
+            }
+            return;
+          }
+          startPart(buffer.subarray(0, end).toString('utf8'));
+          buffer = buffer.subarray(end + 4);
+          state = 'body';
+        } else {
+          buffer = Buffer.alloc(0);
+          return;
+        }
+      }
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        consume();
+      } catch (error) {
+        fail(error);
+      }
+    };
+    const onEnd = () => {
+      if (state !== 'epilogue') {
+        fail(malformed('missing closing boundary'));
+        return;
+      }
+      ended = true;
+      succeedOnceWritten();
+    };
+    const onError = () => fail(new BodyError(400, 'Bad Request; the request body is incomplete'));
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', onError);
+    req.on('aborted', onError);
+  });
+}
+
+/**
+ * Creates the body parser from the body configuration
+ *
+ * @param {Object} bodyConfiguration - Resolved `bodyConfiguration` section
+ * @returns {Object} Parser exposing `read(req, types)` and
+ *   `parse(types, handler)`
+ */
+function createBodyParser(bodyConfiguration) {
+  const { limit, fileLimit, maxParts } = bodyConfiguration;
+  const uploadDirectory = bodyConfiguration.uploadDirectory || os.tmpdir();
+
+  /**
+   * Reads and parses a request body
+   *
+   * JSON is parsed to its value, URL-encoded and multipart forms to an
+   * object of fields (repeated names collect into arrays), text to a string
+   * and raw bodies to a Buffer, which is also how a body without a
+   * Content-Type is read. A request without a body yields undefined.
+   *
+   * @param {http.IncomingMessage} req - Request whose body is unread
+   * @param {string[]} types - Parsers the route accepts: `json`,
+   *   `urlencoded`, `multipart`, `text` and `raw`
+   * @returns {Promise<Object>} `{ body, files }`; `files` lists multipart
+   *   uploads as `{ field, filename, contentType, path, size }`
+   * @throws {BodyError} When the body is malformed (400), too large (413) or
+   *   not of an accepted type, charset or coding (415)
+   */
+  const read = async (req, types) => {
+    if (!hasBody(req)) {
+      return { body: undefined, files: [] };
+    }
+
+    // A body without a Content-Type is taken as application/octet-stream
+    // (RFC 9110, section 8.3)
+    const { value: type, params } = parseParameters(req.headers['content-type'] || PARSERS.raw.mediaType);
+    const name = types.find((candidate) => PARSERS[candidate].matches(type));
+    if (!name) {
+      const supported = types.map((candidate) => PARSERS[candidate].mediaType).join(', ');
+      throw new BodyError(415, `Unsupported Media Type; supported types: ${supported}`);
+    }
+    const coding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+    if (coding !== 'identity') {
+      throw new BodyError(415, `Unsupported Media Type; unsupported content coding "${coding}"`);
+    }
+
+    if (name === 'multipart') {
+      if (!params.boundary || params.boundary.length > 70) {
+        throw new BodyError(400, 'Bad Request; multipart body without a valid boundary');
+      }
+      return readMultipart(req, params.boundary, { limit, fileLimit, maxParts, uploadDirectory });
+    }
+
+    if (Number(req.headers['content-length']) > limit) {
+      throw new BodyError(413, `Content Too Large; the limit is ${limit} bytes`);
+    }
+    const buffer = await readBuffer(req, limit);
+
+    if (name === 'raw') {
+      return { body: buffer, files: [] };
+    }
+    if (name === 'urlencoded') {
+      if (params.charset && !['utf-8', 'utf8', 'us-ascii'].includes(params.charset.toLowerCase())) {
+        throw new BodyError(415, `Unsupported Media Type; forms must be UTF-8, not "${params.charset}"`);
+      }
+      return { body: parseQuery(new URLSearchParams(decode(buffer))), files: [] };
+    }
+
+    const text = decode(buffer, params.charset);
+    if (name === 'text') {
+      return { body: text, files: [] };
+    }
+    try {
+      return { body: JSON.parse(text), files: [] };
+    } catch (error) {
+      throw new BodyError(400, 'Bad Request; malformed JSON');
+    }
+  };
+
+  /**
+   * Wraps a route handler so it runs with the parsed body as `req.body`
+   * and multipart uploads as `req.files`
+   *
+   * Uploaded files are deleted once the response is complete; a handler
+   * that keeps one moves it first. Requests whose body cannot be accepted
+   * are answered with 400, 413 or 415 without calling the handler, and
+   * HTTP/1.1 connections with a partly read body are closed afterwards. A
+   * handler that throws is logged and answered with 500, or has its
+   * response aborted when it already started one.
+   *
+   * @param {string[]} types - Parsers the route accepts
+   * @param {Function} handler - Route handler called with `(req, res)`
+   * @returns {Function} Route handler
+   */
+  const parse = (types, handler) => {
+    for (const type of types) {
+      if (!Object.prototype.hasOwnProperty.call(PARSERS, type)) {
+        throw new TypeError(`Unknown body parser: ${type}`);
+      }
+    }
+
+    return (req, res) => {
+      let parsed = false;
+      read(req, types).then(({ body, files }) => {
+        req.body = body;
+        req.files = files;
+        if (files.length > 0) {
+          res.once('close', () => removeFiles(files));
+        }
+        parsed = true;
+        handler(req, res);
+      }).catch((error) => {
+        if (!(error instanceof BodyError)) {
+          loggerFor(req).error(`${parsed ? 'Request handler' : 'Reading request body'} failed: ${error.message}`);
+          error = new BodyError(500, 'Internal Server Error');
+        }
+        if (res.headersSent) {
+          // Already answered, e.g. with 408 by the idle timeout, or the
+          // handler failed midway through its response
+          if (!res.writableEnded) {
+            res.destroy();
+          }
+          return;
+        }
+        if (!req.complete && !req.stream) {
+          res.setHeader('Connection', 'close');
+        }
+        sendStatus(res, error.statusCode, error.message);
+      });
+    };
+  };
+
+  return {
+    parse,
+    read
+  };
+}
+
+module.exports = {
+  BodyError,
+  createBodyParser
+};
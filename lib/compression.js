@@ -0,0 +1,177 @@
+/**
+ * Response Compression
+ *
+ * Compresses response bodies with the best content coding the client
+ * accepts (brotli, gzip or deflate, per `Accept-Encoding` and its q-values).
+ * Bodies are streamed through the encoder as handlers write them, so large
+ * responses are never buffered whole.
+ *
+ * A response is left alone when it cannot have a body (1xx, 204), is
+ * already encoded, forbids transformation with `Cache-Control: no-transform`,
+ * has a content type that is already compressed, or is known to be smaller
+ * than the threshold. Responses that could be compressed carry
+ * `Vary: Accept-Encoding`, and a strong `ETag` on a compressed response is
+ * weakened since the encoded bytes differ from the ones it was computed on.
+ * HEAD and 304 responses get the same headers as the 200 to a GET, without
+ * running an encoder for the body they do not send.
+ *
+ * @fileoverview Accept-Encoding negotiated streaming compression
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+
+const { appendVary, negotiateEncoding } = require('./negotiation');
+
+/**
+ * Content types whose bodies are already compressed
+ */
+const COMPRESSED_TYPES = /^(image\/(?!svg\+xml$)|audio\/|video\/|font\/woff2?$|application\/(zip|gzip|x-gzip|x-bzip2|x-xz|zstd|x-7z-compressed|vnd\.rar|x-rar-compressed)$)/;
+
+/**
+ * Brotli quality used for responses; the default of 11 is too slow for
+ * compressing on the fly
+ */
+const BROTLI_QUALITY = 4;
+
+/**
+ * Creates the encoder stream for a content coding
+ *
+ * @param {string} encoding - `br`, `gzip` or `deflate`
+ * @returns {zlib.BrotliCompress|zlib.Gzip|zlib.Deflate} Transform stream
+ */
+function createEncoder(encoding) {
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } });
+  }
+  return encoding === 'gzip' ? zlib.createGzip() : zlib.createDeflate();
+}
+
+/**
+ * Creates the response compressor from the compression configuration
+ *
+ * @param {Object} compressionConfiguration - Resolved `compressionConfiguration` section
+ * @returns {Object} Compressor exposing `track(req, res)`, which compresses
+ *   the response body when the request and response allow it
+ */
+function createCompression(compressionConfiguration) {
+  const { enabled, threshold, encodings } = compressionConfiguration;
+
+  /**
+   * Picks the coding for a response about to send its headers
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response with its final status and headers
+   * @param {number|undefined} length - Body length when the whole body is known
+   * @returns {string|null} Coding to apply, or null to send the body as is
+   */
+  const chooseEncoding = (req, res, length) => {
+    const type = res.getHeader('Content-Type');
+    if (res.statusCode < 200 || res.statusCode === 204 ||
+        type === undefined || COMPRESSED_TYPES.test(String(type).split(';')[0].trim().toLowerCase()) ||
+        res.getHeader('Content-Encoding') !== undefined ||
+        /(^|,)\s*no-transform\s*(,|$)/i.test(String(res.getHeader('Cache-Control') || ''))) {
+      return null;
+    }
+
+    const declared = res.getHeader('Content-Length');
+    const size = declared !== undefined ? Number(declared) : length;
+    if (size !== undefined && size < threshold) {
+      return null;
+    }
+
+    appendVary(res, 'Accept-Encoding');
+    const encoding = negotiateEncoding(req.headers['accept-encoding'], encodings);
+    return encoding === 'identity' ? null : encoding;
+  };
+
+  /**
+   * Routes the response body through an encoder when it should be compressed
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   */
+  const track = (req, res) => {
+    if (!enabled) {
+      return;
+    }
+
+    const { write, end, writeHead } = res;
+    let encoder = null;
+    let decided = false;
+
+    const start = (length) => {
+      if (decided) return;
+      decided = true;
+      if (res.headersSent) return;
+
+      const encoding = chooseEncoding(req, res, length);
+      if (!encoding) return;
+
+      res.setHeader('Content-Encoding', encoding);
+      res.removeHeader('Content-Length');
+      const etag = res.getHeader('ETag');
+      if (typeof etag === 'string' && etag.startsWith('"')) {
+        res.setHeader('ETag', `W/${etag}`);
+      }
+      if (req.method === 'HEAD' || res.statusCode === 304) {
+        return;
+      }
+      encoder = createEncoder(encoding);
+      encoder.on('data', (chunk) => {
+        if (write.call(res, chunk) === false) {
+          encoder.pause();
+        }
+      });
+      encoder.on('drain', () => res.emit('drain'));
+      encoder.on('end', () => end.call(res));
+      encoder.on('error', (error) => res.destroy(error));
+      res.on('drain', () => encoder.resume());
+      res.once('close', () => encoder.destroy());
+    };
+
+    res.writeHead = function (statusCode, ...rest) {
+      const headers = rest.find((arg) => arg && typeof arg === 'object' && !Array.isArray(arg));
+      if (headers) {
+        for (const [name, value] of Object.entries(headers)) {
+          res.setHeader(name, value);
+        }
+      }
+      res.statusCode = statusCode;
+      start();
+      return writeHead.apply(res, [statusCode, ...rest.filter((arg) => arg !== headers)]);
+    };
+
+    res.write = function (chunk, encoding, callback) {
+      start();
+      return encoder ? encoder.write(chunk, encoding, callback) : write.call(res, chunk, encoding, callback);
+    };
+
+    res.end = function (chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        [chunk, encoding, callback] = [undefined, undefined, chunk];
+      } else if (typeof encoding === 'function') {
+        [encoding, callback] = [undefined, encoding];
+      }
+
+      start(chunk ? Buffer.byteLength(chunk, encoding) : 0);
+      if (!encoder) {
+        return end.call(res, chunk, encoding, callback);
+      }
+      if (callback) {
+        res.once('finish', callback);
+      }
+      encoder.end(chunk, encoding);
+      return res;
+    };
+  };
+
+  return {
+    track
+  };
+}
+
+module.exports = {
+  COMPRESSED_TYPES,
+  createCompression
+};
@@ -0,0 +1,168 @@
+/**
+ * Conditional Requests
+ *
+ * Validators and precondition evaluation for cacheable representations,
+ * following RFC 9110 section 13: strong ETags computed from the body,
+ * `Last-Modified`, and `If-Match`, `If-Unmodified-Since`, `If-None-Match`
+ * and `If-Modified-Since` evaluated in the order the RFC prescribes.
+ * Revalidation answers 304 without a body; a failed precondition answers
+ * 412.
+ *
+ * @fileoverview ETags, Last-Modified and conditional request handling
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const { sendStatus } = require('./router');
+
+/**
+ * Computes a strong entity tag for a body
+ *
+ * @param {string|Buffer} body - Representation data
+ * @returns {string} Quoted entity tag such as `"2Hx5…"`
+ */
+function createEtag(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Parses an If-Match / If-None-Match header
+ *
+ * @param {string} header - Header value
+ * @returns {string[]|string} Entity tags as sent (`W/` prefix kept), or `*`
+ */
+function parseEtagList(header) {
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return header.match(/(W\/)?"[^"]*"/g) || [];
+}
+
+/**
+ * Compares two entity tags
+ *
+ * @param {string} a - Entity tag
+ * @param {string} b - Entity tag
+ * @param {boolean} weak - Weak comparison ignores the `W/` prefix; strong
+ *   comparison requires both tags to be strong
+ * @returns {boolean} Whether the tags match
+ */
+function etagsMatch(a, b, weak) {
+  if (!weak && (a.startsWith('W/') || b.startsWith('W/'))) {
+    return false;
+  }
+  return a.replace(/^W\//, '') === b.replace(/^W\//, '');
+}
+
+/**
+ * Parses an HTTP date header
+ *
+ * @param {string|undefined} header - Header value
+ * @returns {number|null} Milliseconds since the epoch, or null when absent or invalid
+ */
+function parseDate(header) {
+  const time = header === undefined ? NaN : Date.parse(header);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Evaluates the request's preconditions against a representation
+ *
+ * `If-Unmodified-Since` is ignored when `If-Match` is present and
+ * `If-Modified-Since` when `If-None-Match` is, and `If-Modified-Since` only
+ * applies to GET and HEAD.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} validators - `{ etag, lastModified }` of the current
+ *   representation; `lastModified` is a Date or undefined
+ * @returns {number} 200 to proceed, 304 Not Modified or 412 Precondition Failed
+ */
+function evaluatePreconditions(req, { etag, lastModified }) {
+  const { headers } = req;
+  const safe = req.method === 'GET' || req.method === 'HEAD';
+  const modified = lastModified ? Math.floor(lastModified.getTime() / 1000) * 1000 : null;
+
+  if (headers['if-match'] !== undefined) {
+    const tags = parseEtagList(headers['if-match']);
+    if (tags !== '*' && !tags.some((tag) => etag && etagsMatch(tag, etag, false))) {
+      return 412;
+    }
+  } else {
+    const since = parseDate(headers['if-unmodified-since']);
+    if (since !== null && modified !== null && modified > since) {
+      return 412;
+    }
+  }
+
+  if (headers['if-none-match'] !== undefined) {
+    const tags = parseEtagList(headers['if-none-match']);
+    if (tags === '*' || tags.some((tag) => etag && etagsMatch(tag, etag, true))) {
+      return safe ? 304 : 412;
+    }
+  } else if (safe) {
+    const since = parseDate(headers['if-modified-since']);
+    if (since !== null && modified !== null && modified <= since) {
+      return 304;
+    }
+  }
+
+  return 200;
+}
+
+/**
+ * Completes a response for a static representation, honoring conditional
+ * request headers
+ *
+ * GET and HEAD responses carry the `ETag` and `Last-Modified` validators.
+ * Headers already set on the response (Content-Type, Vary, Cache-Control)
+ * are kept, except that a 304 drops the `Content-*` headers describing the
+ * body it does not send once the head goes out, after compression has seen
+ * them.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response to complete
+ * @param {Object} representation - `{ body, etag, lastModified }`; `etag` is
+ *   optional and `lastModified` a Date or undefined
+ */
+function sendRepresentation(req, res, { body, etag, lastModified }) {
+  const status = evaluatePreconditions(req, { etag, lastModified });
+  if (status === 412) {
+    sendStatus(res, 412, 'Precondition Failed');
+    return;
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    if (etag) res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (status === 304) {
+    // The Content-* headers stay until the head is sent, so compression
+    // sets Vary and the ETag as it would for the 200
+    const { writeHead } = res;
+    res.writeHead = function (...args) {
+      for (const name of res.getHeaderNames()) {
+        if (name.startsWith('content-') && name !== 'content-location') {
+          res.removeHeader(name);
+        }
+      }
+      return writeHead.apply(res, args);
+    };
+    res.statusCode = 304;
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end();
+    return;
+  }
+
+  res.statusCode = 200;
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+module.exports = {
+  createEtag,
+  evaluatePreconditions,
+  parseEtagList,
+  sendRepresentation
+};
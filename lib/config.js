@@ -0,0 +1,730 @@
+/**
+ * Server Configuration Loader
+ *
+ * Resolves the runtime configuration for server.js from layered sources,
+ * lowest precedence first:
+ *
+ *   1. Built-in defaults declared in SCHEMA
+ *   2. A JSON configuration file (`--config <path>`, `SERVER_CONFIG`, or
+ *      `server.config.json` in the working directory when present)
+ *   3. Environment variables
+ *   4. Command-line flags
+ *
+ * The file uses the same sectioned shape as the resolved configuration
+ * (`serverConfiguration`, `responseConfiguration`, ...). Every problem found
+ * across all sources is collected and reported together through a
+ * ConfigError so operators can fix a bad deployment in one pass.
+ *
+ * @fileoverview Configuration resolution and validation for the HTTP server
+ * @version 1.1.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCidr } = require('./proxy');
+
+const DEFAULT_CONFIG_FILE = 'server.config.json';
+const CONFIG_FILE_FLAGS = ['--config', '-c'];
+const CONFIG_FILE_ENV = 'SERVER_CONFIG';
+
+/**
+ * Value types understood by the schema
+ *
+ * `parse` converts a string from the environment or command line, `check`
+ * validates the resulting (or JSON-supplied) value, and `expected` completes
+ * the sentence "<key> must be ..." in error messages.
+ */
+const TYPES = {
+  string: {
+    parse: (text) => text,
+    check: (value) => typeof value === 'string',
+    expected: 'a string'
+  },
+  headerValue: {
+    parse: (text) => text.trim(),
+    check: (value) => typeof value === 'string' && /^[\t\x20-\x7e\x80-\xff]*$/.test(value),
+    expected: 'a string without control characters'
+  },
+  nonEmptyString: {
+    parse: (text) => text.trim(),
+    check: (value) => typeof value === 'string' && value.trim() !== '',
+    expected: 'a non-empty string'
+  },
+  port: {
+    parse: parseInteger,
+    check: (value) => Number.isInteger(value) && value >= 0 && value <= 65535,
+    expected: 'an integer between 0 and 65535'
+  },
+  duration: {
+    parse: parseInteger,
+    check: (value) => Number.isInteger(value) && value >= 0,
+    expected: 'a non-negative integer number of milliseconds'
+  },
+  count: {
+    parse: parseInteger,
+    check: (value) => Number.isInteger(value) && value >= 0,
+    expected: 'a non-negative integer'
+  },
+  streamLimit: {
+    parse: parseInteger,
+    check: (value) => Number.isInteger(value) && value >= 1 && value <= 4294967295,
+    expected: 'an integer between 1 and 4294967295'
+  },
+  boolean: {
+    parse: (text) => ({ true: true, '1': true, yes: true, false: false, '0': false, no: false })[text.trim().toLowerCase()],
+    check: (value) => typeof value === 'boolean',
+    expected: 'true or false'
+  },
+  encodingList: {
+    parse: (text) => text.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean),
+    check: (value) => Array.isArray(value) && value.length > 0 &&
+      value.every((name) => ['br', 'gzip', 'deflate'].includes(name)),
+    expected: 'a non-empty list of "br", "gzip" and "deflate"'
+  },
+  cacheControlMap: {
+    parse: parseJson,
+    check: (value) => isPlainObject(value) &&
+      Object.entries(value).every(([pattern, directives]) =>
+        pattern.startsWith('/') && typeof directives === 'string' && directives.trim() !== ''),
+    expected: 'an object mapping route patterns to Cache-Control values, such as {"/": "public, max-age=60"}'
+  },
+  originList: {
+    parse: splitList,
+    check: (value) => Array.isArray(value) && value.every(isOriginPattern),
+    expected: 'a list of origins such as "https://app.example.com", "https://*.example.com", "/^https:\\/\\/.+$/" or "*"'
+  },
+  methodList: {
+    parse: (text) => splitList(text).map((method) => method.toUpperCase()),
+    check: (value) => Array.isArray(value) && value.every((method) => typeof method === 'string' && TOKEN.test(method)),
+    expected: 'a list of HTTP methods'
+  },
+  headerList: {
+    parse: splitList,
+    check: (value) => Array.isArray(value) && value.every((name) => typeof name === 'string' && (name === '*' || TOKEN.test(name))),
+    expected: 'a list of header names or "*"'
+  },
+  corsPolicyMap: {
+    parse: parseJson,
+    check: (value) => isPlainObject(value) &&
+      Object.entries(value).every(([pattern, policy]) => pattern.startsWith('/') && isPlainObject(policy) &&
+        Object.entries(policy).every(([key, setting]) => key !== 'routes' &&
+          Object.prototype.hasOwnProperty.call(SCHEMA.corsConfiguration, key) &&
+          typeOf(SCHEMA.corsConfiguration[key]).check(setting))),
+    expected: 'an object mapping route patterns to CORS policies, such as {"/api/:id": {"credentials": true}}'
+  },
+  addressList: {
+    parse: splitList,
+    check: (value) => Array.isArray(value) && value.every((entry) => parseCidr(entry) !== null),
+    expected: 'a list of IP addresses and CIDR ranges such as "10.0.0.0/8"'
+  },
+  keyList: {
+    parse: splitList,
+    check: (value) => Array.isArray(value) && value.every((key) => typeof key === 'string' && key.trim() !== ''),
+    expected: 'a list of non-empty API keys'
+  },
+  rateLimitPolicyMap: {
+    parse: parseJson,
+    check: (value) => isPlainObject(value) &&
+      Object.entries(value).every(([pattern, policy]) => pattern.startsWith('/') && isPlainObject(policy) &&
+        Object.entries(policy).every(([key, setting]) => key !== 'routes' &&
+          Object.prototype.hasOwnProperty.call(SCHEMA.rateLimitConfiguration, key) &&
+          typeOf(SCHEMA.rateLimitConfiguration[key]).check(setting))),
+    expected: 'an object mapping route patterns to rate limit policies, such as {"/api/:id": {"limit": 10}}'
+  },
+  securityHeadersPolicyMap: {
+    parse: parseJson,
+    check: (value) => isPlainObject(value) &&
+      Object.entries(value).every(([pattern, policy]) => pattern.startsWith('/') && isPlainObject(policy) &&
+        Object.entries(policy).every(([key, setting]) => key !== 'routes' &&
+          Object.prototype.hasOwnProperty.call(SCHEMA.securityHeadersConfiguration, key) &&
+          typeOf(SCHEMA.securityHeadersConfiguration[key]).check(setting))),
+    expected: 'an object mapping route patterns to security header policies, such as {"/docs": {"frameOptions": "sameorigin"}}'
+  },
+  signalList: {
+    parse: (text) => text.split(',').map((name) => name.trim()).filter(Boolean),
+    check: (value) => Array.isArray(value) && value.length > 0 &&
+      value.every((name) => typeof name === 'string' && Object.prototype.hasOwnProperty.call(os.constants.signals, name)),
+    expected: 'a non-empty list of signal names such as ["SIGTERM", "SIGINT"]'
+  }
+};
+
+/**
+ * Resolves the type of a schema leaf; `enum` leaves accept one of their `values`
+ *
+ * @param {Object} leaf - Schema leaf
+ * @returns {Object} Type with `parse`, `check` and `expected`
+ */
+function typeOf(leaf) {
+  if (leaf.type !== 'enum') {
+    return TYPES[leaf.type];
+  }
+  return {
+    parse: (text) => text.trim().toLowerCase(),
+    check: (value) => leaf.values.includes(value),
+    expected: `one of ${leaf.values.map((value) => JSON.stringify(value)).join(', ')}`
+  };
+}
+
+/**
+ * Configuration schema
+ *
+ * Each leaf declares its type and default, plus the environment variables
+ * (`env`) and command-line flags (`flags`) that may override it. A leaf with
+ * a `flagValue` may also be given as a bare flag, which sets that value.
+ */
+const SCHEMA = {
+  serverConfiguration: {
+    hostname: { type: 'nonEmptyString', default: '127.0.0.1', env: ['HOSTNAME', 'HOST'], flags: ['--host', '--hostname', '-H'] },
+    port: { type: 'port', default: 3000, env: ['PORT'], flags: ['--port', '-p'] },
+    portRetry: { type: 'count', default: 0, env: ['PORT_RETRY'], flags: ['--port-retry'], flagValue: '100' },
+    protocol: { type: 'enum', values: ['http', 'https'], default: 'http', env: ['PROTOCOL'], flags: ['--protocol'] }
+  },
+  tlsConfiguration: {
+    keyFile: { type: 'string', default: '', env: ['TLS_KEY_FILE'], flags: ['--tls-key'] },
+    certFile: { type: 'string', default: '', env: ['TLS_CERT_FILE'], flags: ['--tls-cert'] },
+    pfxFile: { type: 'string', default: '', env: ['TLS_PFX_FILE'], flags: ['--tls-pfx'] },
+    passphrase: { type: 'string', default: '', env: ['TLS_PASSPHRASE'] },
+    redirect: {
+      enabled: { type: 'boolean', default: false, env: ['HTTPS_REDIRECT'], flags: ['--https-redirect'], flagValue: 'true' },
+      port: { type: 'port', default: 80, env: ['HTTPS_REDIRECT_PORT'], flags: ['--https-redirect-port'] }
+    },
+    hsts: {
+      enabled: { type: 'boolean', default: true, env: ['HSTS'] },
+      maxAge: { type: 'count', default: 15552000, env: ['HSTS_MAX_AGE'] },
+      includeSubDomains: { type: 'boolean', default: false, env: ['HSTS_INCLUDE_SUBDOMAINS'] }
+    }
+  },
+  http2Configuration: {
+    enabled: { type: 'boolean', default: false, env: ['HTTP2'], flags: ['--http2'], flagValue: 'true' },
+    maxConcurrentStreams: {
+      type: 'streamLimit',
+      default: 100,
+      env: ['HTTP2_MAX_CONCURRENT_STREAMS'],
+      flags: ['--http2-max-concurrent-streams']
+    }
+  },
+  responseConfiguration: {
+    body: { type: 'string', default: 'Hello, World!\n', env: ['RESPONSE_BODY'] },
+    contentType: { type: 'nonEmptyString', default: 'text/plain', env: ['RESPONSE_CONTENT_TYPE'] }
+  },
+  compressionConfiguration: {
+    enabled: { type: 'boolean', default: true, env: ['COMPRESSION'], flags: ['--compression'], flagValue: 'true' },
+    threshold: { type: 'count', default: 1024, env: ['COMPRESSION_THRESHOLD'] },
+    encodings: { type: 'encodingList', default: ['br', 'gzip', 'deflate'], env: ['COMPRESSION_ENCODINGS'] }
+  },
+  cacheConfiguration: {
+    etag: { type: 'boolean', default: true, env: ['ETAG'] },
+    cacheControl: { type: 'cacheControlMap', default: {}, env: ['CACHE_CONTROL'] }
+  },
+  bodyConfiguration: {
+    limit: { type: 'count', default: 1048576, env: ['BODY_LIMIT'] },
+    fileLimit: { type: 'count', default: 10485760, env: ['BODY_FILE_LIMIT'] },
+    maxParts: { type: 'count', default: 100, env: ['BODY_MAX_PARTS'] },
+    uploadDirectory: { type: 'string', default: '', env: ['UPLOAD_DIRECTORY'] }
+  },
+  echoConfiguration: {
+    enabled: { type: 'boolean', default: false, env: ['ECHO'], flags: ['--echo'], flagValue: 'true' },
+    redactHeaders: {
+      type: 'headerList',
+      default: ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie', 'X-Api-Key'],
+      env: ['ECHO_REDACT_HEADERS']
+    }
+  },
+  corsConfiguration: {
+    origins: { type: 'originList', default: [], env: ['CORS_ORIGINS'], flags: ['--cors-origins'] },
+    methods: { type: 'methodList', default: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'], env: ['CORS_METHODS'] },
+    allowedHeaders: {
+      type: 'headerList',
+      default: ['Accept', 'Authorization', 'Content-Type', 'X-Request-Id'],
+      env: ['CORS_ALLOWED_HEADERS']
+    },
+    exposedHeaders: { type: 'headerList', default: ['X-Request-Id'], env: ['CORS_EXPOSED_HEADERS'] },
+    credentials: { type: 'boolean', default: false, env: ['CORS_CREDENTIALS'] },
+    maxAge: { type: 'count', default: 600, env: ['CORS_MAX_AGE'] },
+    routes: { type: 'corsPolicyMap', default: {}, env: ['CORS_ROUTES'] }
+  },
+  proxyConfiguration: {
+    trustedProxies: { type: 'addressList', default: [], env: ['TRUSTED_PROXIES'], flags: ['--trusted-proxies'] },
+    hops: { type: 'count', default: 0, env: ['TRUSTED_PROXY_HOPS'], flags: ['--trusted-proxy-hops'] }
+  },
+  rateLimitConfiguration: {
+    enabled: { type: 'boolean', default: false, env: ['RATE_LIMIT'], flags: ['--rate-limit'], flagValue: 'true' },
+    limit: { type: 'count', default: 60, env: ['RATE_LIMIT_REQUESTS'] },
+    window: { type: 'duration', default: 60000, env: ['RATE_LIMIT_WINDOW'] },
+    keyBy: { type: 'enum', values: ['ip', 'api-key'], default: 'ip', env: ['RATE_LIMIT_KEY'] },
+    apiKeyHeader: { type: 'nonEmptyString', default: 'X-Api-Key', env: ['RATE_LIMIT_API_KEY_HEADER'] },
+    apiKeys: { type: 'keyList', default: [], env: ['RATE_LIMIT_API_KEYS'] },
+    routes: { type: 'rateLimitPolicyMap', default: {}, env: ['RATE_LIMIT_ROUTES'] }
+  },
+  securityHeadersConfiguration: {
+    enabled: { type: 'boolean', default: true, env: ['SECURITY_HEADERS'] },
+    contentSecurityPolicy: {
+      type: 'headerValue',
+      default: "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'",
+      env: ['CONTENT_SECURITY_POLICY']
+    },
+    contentTypeOptions: { type: 'boolean', default: true, env: ['CONTENT_TYPE_OPTIONS'] },
+    frameOptions: { type: 'enum', values: ['deny', 'sameorigin', 'off'], default: 'deny', env: ['FRAME_OPTIONS'] },
+    referrerPolicy: {
+      type: 'enum',
+      values: [
+        'no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin', 'same-origin',
+        'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url', 'off'
+      ],
+      default: 'no-referrer',
+      env: ['REFERRER_POLICY']
+    },
+    crossOriginOpenerPolicy: {
+      type: 'enum',
+      values: ['same-origin', 'same-origin-allow-popups', 'unsafe-none', 'off'],
+      default: 'same-origin',
+      env: ['CROSS_ORIGIN_OPENER_POLICY']
+    },
+    crossOriginResourcePolicy: {
+      type: 'enum',
+      values: ['same-origin', 'same-site', 'cross-origin', 'off'],
+      default: 'same-origin',
+      env: ['CROSS_ORIGIN_RESOURCE_POLICY']
+    },
+    crossOriginEmbedderPolicy: {
+      type: 'enum',
+      values: ['require-corp', 'credentialless', 'unsafe-none', 'off'],
+      default: 'require-corp',
+      env: ['CROSS_ORIGIN_EMBEDDER_POLICY']
+    },
+    routes: { type: 'securityHeadersPolicyMap', default: {}, env: ['SECURITY_HEADERS_ROUTES'] }
+  },
+  timeoutConfiguration: {
+    keepAliveTimeout: { type: 'duration', default: 5000, env: ['KEEP_ALIVE_TIMEOUT'] },
+    headersTimeout: { type: 'duration', default: 60000, env: ['HEADERS_TIMEOUT'] },
+    requestTimeout: { type: 'duration', default: 300000, env: ['REQUEST_TIMEOUT'] },
+    idleTimeout: { type: 'duration', default: 30000, env: ['IDLE_TIMEOUT'] },
+    maxPendingConnectionsPerIp: { type: 'count', default: 20, env: ['MAX_PENDING_CONNECTIONS_PER_IP'] }
+  },
+  loadSheddingConfiguration: {
+    maxConnections: { type: 'count', default: 0, env: ['MAX_CONNECTIONS'], flags: ['--max-connections'] },
+    maxInFlight: { type: 'count', default: 0, env: ['MAX_IN_FLIGHT_REQUESTS'] },
+    maxEventLoopLag: { type: 'duration', default: 0, env: ['MAX_EVENT_LOOP_LAG'] },
+    retryAfter: { type: 'count', default: 1, env: ['RETRY_AFTER'] }
+  },
+  shutdownConfiguration: {
+    gracefulShutdown: {
+      enabled: { type: 'boolean', default: true, env: ['GRACEFUL_SHUTDOWN'] },
+      readinessDelay: { type: 'duration', default: 0, env: ['SHUTDOWN_READINESS_DELAY'] },
+      timeout: { type: 'duration', default: 5000, env: ['SHUTDOWN_TIMEOUT'] },
+      signals: { type: 'signalList', default: ['SIGTERM', 'SIGINT'], env: ['SHUTDOWN_SIGNALS'] },
+      forceShutdownAfterTimeout: { type: 'boolean', default: true, env: ['FORCE_SHUTDOWN_AFTER_TIMEOUT'] }
+    }
+  },
+  loggingConfiguration: {
+    level: {
+      type: 'enum',
+      values: ['debug', 'info', 'warn', 'error', 'silent'],
+      default: 'info',
+      env: ['LOG_LEVEL'],
+      flags: ['--log-level']
+    },
+    accessLog: {
+      enabled: { type: 'boolean', default: true, env: ['ACCESS_LOG'] },
+      format: {
+        type: 'enum',
+        values: ['json', 'common', 'combined'],
+        default: 'json',
+        env: ['ACCESS_LOG_FORMAT'],
+        flags: ['--access-log-format']
+      },
+      destination: { type: 'nonEmptyString', default: 'stdout', env: ['ACCESS_LOG_DESTINATION'], flags: ['--access-log'] }
+    }
+  },
+  tracingConfiguration: {
+    enabled: { type: 'boolean', default: false, env: ['TRACING'], flags: ['--tracing'], flagValue: 'true' },
+    serviceName: { type: 'nonEmptyString', default: 'hello_world', env: ['OTEL_SERVICE_NAME'] },
+    destination: {
+      type: 'nonEmptyString',
+      default: 'traces.jsonl',
+      env: ['TRACE_DESTINATION'],
+      flags: ['--trace-destination']
+    },
+    flushInterval: { type: 'duration', default: 5000, env: ['TRACE_FLUSH_INTERVAL'] }
+  }
+};
+
+/**
+ * Error raised when the configuration cannot be resolved
+ *
+ * @property {string[]} problems - One human-readable entry per invalid setting
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    const list = [].concat(problems);
+    super(`Invalid configuration:\n${list.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = list;
+  }
+}
+
+function parseInteger(text) {
+  const trimmed = text.trim();
+  return /^-?\d+$/.test(trimmed) ? Number(trimmed) : NaN;
+}
+
+/**
+ * HTTP token characters, as allowed in method and header names
+ */
+const TOKEN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function splitList(text) {
+  return text.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a JSON-valued environment variable; unparseable text is returned
+ * as is so the type check reports it
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Checks a CORS origin pattern: `*`, an exact origin, an origin with `*`
+ * standing for subdomains, or a regular expression between slashes
+ */
+function isOriginPattern(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(value);
+  if (!regex) {
+    return value === '*' || value === 'null' || /^[a-z][a-z0-9+.-]*:\/\/[^/?#\s]+$/i.test(value);
+  }
+  try {
+    return Boolean(new RegExp(regex[1], regex[2]));
+  } catch (error) {
+    return false;
+  }
+}
+
+function isLeaf(node) {
+  return typeof node.type === 'string';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Invokes fn for every leaf of the schema with its dotted key path
+ */
+function forEachLeaf(schema, fn, prefix = []) {
+  for (const [key, node] of Object.entries(schema)) {
+    const keyPath = prefix.concat(key);
+    if (isLeaf(node)) {
+      fn(keyPath, node);
+    } else {
+      forEachLeaf(node, fn, keyPath);
+    }
+  }
+}
+
+function setIn(target, keyPath, value) {
+  let node = target;
+  for (const key of keyPath.slice(0, -1)) {
+    node = node[key];
+  }
+  node[keyPath[keyPath.length - 1]] = value;
+}
+
+function buildDefaults() {
+  const defaults = {};
+  forEachLeaf(SCHEMA, (keyPath, leaf) => {
+    let node = defaults;
+    for (const key of keyPath.slice(0, -1)) {
+      node = node[key] = node[key] || {};
+    }
+    node[keyPath[keyPath.length - 1]] = leaf.default;
+  });
+  return defaults;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (isPlainObject(value)) {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(object);
+}
+
+const DEFAULTS = deepFreeze(buildDefaults());
+
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(DEFAULTS));
+}
+
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Validates a value against its schema leaf and stores it on the config
+ */
+function assign(config, keyPath, leaf, value, source, problems) {
+  const type = typeOf(leaf);
+  if (type.check(value)) {
+    setIn(config, keyPath, value);
+  } else {
+    problems.push(`${keyPath.join('.')}: ${formatValue(value)} from ${source} must be ${type.expected}`);
+  }
+}
+
+/**
+ * Recursively merges a plain-object source (file contents or programmatic
+ * options) into the config, validating each value and rejecting unknown keys
+ */
+function mergeObject(config, schema, values, source, problems, prefix = []) {
+  if (!isPlainObject(values)) {
+    const where = prefix.length > 0 ? prefix.join('.') : 'configuration';
+    problems.push(`${where}: ${formatValue(values)} from ${source} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const keyPath = prefix.concat(key);
+    const node = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : undefined;
+
+    if (!node) {
+      problems.push(`${keyPath.join('.')}: unknown key in ${source}`);
+    } else if (isLeaf(node)) {
+      assign(config, keyPath, node, value, source, problems);
+    } else {
+      mergeObject(config, node, value, source, problems, keyPath);
+    }
+  }
+}
+
+/**
+ * Parses command-line arguments into raw (unvalidated) overrides
+ *
+ * Accepts both `--flag value` and `--flag=value` forms.
+ *
+ * @param {string[]} argv - Arguments excluding the node binary and script path
+ * @param {string[]} problems - Collector for parse errors
+ * @returns {{configFile: (Object|undefined), overrides: Array}} Config file selection and value overrides
+ */
+function parseArgs(argv, problems) {
+  const flags = new Map();
+  forEachLeaf(SCHEMA, (keyPath, leaf) => {
+    for (const flag of leaf.flags || []) {
+      flags.set(flag, { keyPath, leaf });
+    }
+  });
+
+  const result = { configFile: undefined, overrides: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eqIndex = arg.indexOf('=');
+    const flag = arg.startsWith('--') && eqIndex !== -1 ? arg.slice(0, eqIndex) : arg;
+    const isConfigFlag = CONFIG_FILE_FLAGS.includes(flag);
+
+    if (!isConfigFlag && !flags.has(flag)) {
+      problems.push(`${arg}: unknown option`);
+      continue;
+    }
+
+    const entry = flags.get(flag);
+    let value;
+    if (flag !== arg) {
+      value = arg.slice(eqIndex + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+      value = argv[++i];
+    } else if (entry && entry.leaf.flagValue !== undefined) {
+      value = entry.leaf.flagValue;
+    } else {
+      problems.push(`${flag}: missing value`);
+      continue;
+    }
+
+    if (isConfigFlag) {
+      result.configFile = { path: value, source: flag };
+    } else {
+      result.overrides.push({ ...entry, value, source: flag });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Collects raw overrides from environment variables
+ *
+ * @param {Object} env - Environment variable map
+ * @returns {Array} Overrides with their key path, schema leaf, value and source
+ */
+function readEnv(env) {
+  const overrides = [];
+
+  forEachLeaf(SCHEMA, (keyPath, leaf) => {
+    const name = (leaf.env || []).find((candidate) => env[candidate] !== undefined && env[candidate] !== '');
+    if (name) {
+      overrides.push({ keyPath, leaf, value: env[name], source: name });
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Reads and parses the JSON configuration file
+ *
+ * @returns {Object|undefined} Parsed file contents, or undefined when absent or invalid
+ */
+function readConfigFile(filePath, required, problems) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (required || error.code !== 'ENOENT') {
+      problems.push(`${filePath}: cannot read configuration file (${error.code || error.message})`);
+    }
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    problems.push(`${filePath}: invalid JSON (${error.message})`);
+    return undefined;
+  }
+}
+
+/**
+ * Applies string overrides from the environment or command line
+ */
+function applyOverrides(config, overrides, problems) {
+  for (const { keyPath, leaf, value, source } of overrides) {
+    const type = typeOf(leaf);
+    const parsed = type.parse(value);
+    if (type.check(parsed)) {
+      setIn(config, keyPath, parsed);
+    } else {
+      problems.push(`${keyPath.join('.')}: ${formatValue(value)} from ${source} must be ${type.expected}`);
+    }
+  }
+}
+
+/**
+ * Checks rules that span several keys
+ *
+ * @param {Object} config - Resolved configuration
+ * @param {string[]} problems - Collected problem descriptions
+ */
+function checkConsistency(config, problems) {
+  const { keyFile, certFile, pfxFile } = config.tlsConfiguration;
+  if (config.serverConfiguration.protocol === 'https' && !pfxFile && !(keyFile && certFile)) {
+    problems.push('tlsConfiguration: protocol "https" needs keyFile and certFile, or pfxFile');
+  }
+
+  const cors = config.corsConfiguration;
+  const policies = [['corsConfiguration', cors]]
+    .concat(Object.entries(cors.routes).map(([pattern, policy]) => [`corsConfiguration.routes.${pattern}`, { ...cors, ...policy }]));
+  for (const [where, { origins, credentials }] of policies) {
+    if (credentials && origins.includes('*')) {
+      problems.push(`${where}: credentials cannot be allowed for the "*" origin; list the allowed origins instead`);
+    }
+  }
+
+  const rateLimit = config.rateLimitConfiguration;
+  const rateLimits = [['rateLimitConfiguration', rateLimit]]
+    .concat(Object.entries(rateLimit.routes).map(([pattern, policy]) => [`rateLimitConfiguration.routes.${pattern}`, { ...rateLimit, ...policy }]));
+  for (const [where, { enabled, limit, window, keyBy, apiKeys }] of rateLimits) {
+    if (enabled && (limit === 0 || window === 0)) {
+      problems.push(`${where}: limit and window must be greater than 0`);
+    }
+    if (enabled && keyBy === 'api-key' && apiKeys.length === 0) {
+      problems.push(`${where}: keyBy "api-key" needs the apiKeys to count requests by`);
+    }
+  }
+}
+
+/**
+ * Completes a partial configuration object with defaults and validates it
+ *
+ * Used for programmatic configuration (createServer/start options), where
+ * values are already typed. The access log stays off unless the options
+ * turn it on; loadConfig, behind the command line, keeps it on by default.
+ *
+ * @param {Object} options - Partial configuration in the resolved shape
+ * @returns {Object} Complete, validated configuration
+ * @throws {ConfigError} When any key is unknown or any value is invalid
+ */
+function normalizeConfig(options = {}) {
+  const problems = [];
+  const config = cloneDefaults();
+  config.loggingConfiguration.accessLog.enabled = false;
+
+  mergeObject(config, SCHEMA, options, 'options', problems);
+  checkConsistency(config, problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return config;
+}
+
+/**
+ * Resolves the server configuration from defaults, file, environment and CLI flags
+ *
+ * @param {Object} options - Resolution inputs
+ * @param {string[]} options.argv - Command-line arguments (default: process.argv.slice(2))
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {string} options.cwd - Directory to resolve the config file against (default: process.cwd())
+ * @returns {Object} Complete, validated configuration
+ * @throws {ConfigError} When any source contains an invalid flag, key or value
+ */
+function loadConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+  const problems = [];
+  const config = cloneDefaults();
+
+  const args = parseArgs(argv, problems);
+
+  let configFile = args.configFile;
+  if (!configFile && env[CONFIG_FILE_ENV]) {
+    configFile = { path: env[CONFIG_FILE_ENV], source: CONFIG_FILE_ENV };
+  }
+
+  const filePath = path.resolve(cwd, configFile ? configFile.path : DEFAULT_CONFIG_FILE);
+  const fileValues = readConfigFile(filePath, Boolean(configFile), problems);
+  if (fileValues !== undefined) {
+    mergeObject(config, SCHEMA, fileValues, path.relative(cwd, filePath) || filePath, problems);
+  }
+
+  applyOverrides(config, readEnv(env), problems);
+  applyOverrides(config, args.overrides, problems);
+  checkConsistency(config, problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULTS,
+  DEFAULT_CONFIG_FILE,
+  SCHEMA,
+  loadConfig,
+  normalizeConfig
+};
@@ -0,0 +1,148 @@
+/**
+ * Cross-Origin Resource Sharing
+ *
+ * Adds the `Access-Control-*` headers that let browsers on other origins
+ * read responses, following the Fetch standard's CORS protocol. Allowed
+ * origins are exact (`https://app.example.com`), a wildcard standing for
+ * subdomains (`https://*.example.com`), a regular expression between
+ * slashes (`/^https:\/\/.+\.example\.com$/`) or `*` for any origin.
+ *
+ * A policy is resolved per route: the route pattern's entry in `routes`
+ * overrides the top-level settings. Preflight requests (OPTIONS with
+ * `Access-Control-Request-Method`) from an allowed origin are answered with
+ * 204 before the route's handler runs. Requests from other origins get no
+ * CORS headers, which makes the browser withhold the response.
+ *
+ * @fileoverview CORS headers and preflight responses with per-route policies
+ * @version 1.0.0
+ */
+
+const { appendVary } = require('./negotiation');
+
+/**
+ * Compiles an origin pattern into a predicate
+ *
+ * @param {string} pattern - `*`, an exact origin, an origin with `*` for
+ *   subdomains, or a regular expression written as `/source/flags`
+ * @returns {Function} Returns whether an `Origin` header value matches
+ */
+function compileOrigin(pattern) {
+  if (pattern === '*') {
+    return () => true;
+  }
+
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    const expression = new RegExp(regex[1], regex[2]);
+    return (origin) => expression.test(origin);
+  }
+
+  if (pattern.includes('*')) {
+    const source = pattern.toLowerCase().split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+    const expression = new RegExp(`^${source}$`);
+    return (origin) => expression.test(origin.toLowerCase());
+  }
+
+  const exact = pattern.toLowerCase();
+  return (origin) => origin.toLowerCase() === exact;
+}
+
+/**
+ * Resolves the policy for every route pattern with its own settings, plus
+ * the default used by all other routes
+ *
+ * @param {Object} corsConfiguration - Resolved `corsConfiguration` section
+ * @returns {Function} Returns the policy for a route pattern (or undefined)
+ */
+function compilePolicies(corsConfiguration) {
+  const { routes, ...defaults } = corsConfiguration;
+
+  const compile = (settings) => ({
+    ...settings,
+    anyOrigin: settings.origins.includes('*'),
+    matchers: settings.origins.map(compileOrigin)
+  });
+
+  const fallback = compile(defaults);
+  const policies = new Map(Object.entries(routes).map(([pattern, overrides]) => [pattern, compile({ ...defaults, ...overrides })]));
+
+  return (pattern) => policies.get(pattern) || fallback;
+}
+
+/**
+ * Creates the CORS handler from the CORS configuration
+ *
+ * @param {Object} corsConfiguration - Resolved `corsConfiguration` section
+ * @returns {Object} Handler exposing `handle(req, res, pattern)`, which sets
+ *   the CORS headers for the route `pattern` and returns true when it has
+ *   answered the request as a preflight
+ */
+function createCors(corsConfiguration) {
+  const policyFor = compilePolicies(corsConfiguration);
+
+  /**
+   * Applies the route's CORS policy to a request
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   * @param {string|undefined} pattern - Route pattern the request matched
+   * @returns {boolean} True when a preflight was answered and routing must stop
+   */
+  const handle = (req, res, pattern) => {
+    const policy = policyFor(pattern);
+    if (policy.origins.length === 0) {
+      return false;
+    }
+
+    // A response that names the origin (or omits it) differs by origin
+    const reflect = !policy.anyOrigin || policy.credentials;
+    if (reflect) {
+      appendVary(res, 'Origin');
+    }
+
+    const origin = req.headers.origin;
+    if (origin === undefined || !policy.matchers.some((matches) => matches(origin))) {
+      return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', reflect ? origin : '*');
+    if (policy.credentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    const requestedMethod = req.headers['access-control-request-method'];
+    if (req.method !== 'OPTIONS' || requestedMethod === undefined) {
+      if (policy.exposedHeaders.length > 0) {
+        res.setHeader('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+      }
+      return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', policy.methods.join(', '));
+    const requestedHeaders = req.headers['access-control-request-headers'];
+    if (policy.allowedHeaders.includes('*') && policy.credentials) {
+      // `*` is taken literally on credentialed requests, so echo the request
+      appendVary(res, 'Access-Control-Request-Headers');
+      if (requestedHeaders) {
+        res.setHeader('Access-Control-Allow-Headers', requestedHeaders);
+      }
+    } else if (policy.allowedHeaders.length > 0) {
+      res.setHeader('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+    }
+    res.setHeader('Access-Control-Max-Age', String(policy.maxAge));
+    res.statusCode = 204;
+    res.end();
+    return true;
+  };
+
+  return {
+    handle
+  };
+}
+
+module.exports = {
+  compileOrigin,
+  createCors
+};
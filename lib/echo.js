@@ -0,0 +1,124 @@
+/**
+ * Echo Endpoint
+ *
+ * Serves `/echo`, which answers any method with a JSON description of the
+ * request as the server received it: method, path, query, headers, body
+ * (parsed, with its length on the wire), remote address, the client as
+ * resolved through trusted proxies, HTTP version and TLS details. It is
+ * meant for debugging proxies and clients, so it is only registered when
+ * `echoConfiguration.enabled` is set, and the values of sensitive headers
+ * such as `Authorization` are redacted.
+ *
+ * @fileoverview Request inspection endpoint for debugging
+ * @version 1.0.0
+ */
+
+const METHODS = Object.freeze(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Body parsers whose content types the endpoint accepts
+ */
+const BODY_TYPES = Object.freeze(['json', 'urlencoded', 'multipart', 'text', 'raw']);
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Describes the TLS session a request arrived on
+ *
+ * @param {tls.TLSSocket|net.Socket} socket - Request socket
+ * @returns {Object|null} Protocol, cipher, ALPN protocol and SNI name, or
+ *   null for cleartext connections
+ */
+function describeTls(socket) {
+  if (!socket.encrypted) {
+    return null;
+  }
+  return {
+    protocol: socket.getProtocol(),
+    cipher: socket.getCipher().name,
+    alpnProtocol: socket.alpnProtocol || null,
+    servername: socket.servername || null
+  };
+}
+
+/**
+ * Describes a request whose body has been read
+ *
+ * @param {http.IncomingMessage} req - Routed request with `req.body` and `req.files`
+ * @param {Object} details - `{ length, redact }`: body bytes received and
+ *   the lowercase names of headers to redact (`*` redacts every header)
+ * @returns {Object} JSON-serializable description
+ */
+function describeRequest(req, { length, redact }) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (!name.startsWith(':')) {
+      headers[name] = redact.includes('*') || redact.includes(name) ? REDACTED : value;
+    }
+  }
+
+  let parsed = req.body === undefined ? null : req.body;
+  if (Buffer.isBuffer(parsed)) {
+    parsed = parsed.toString('base64');
+  }
+
+  return {
+    id: req.id || null,
+    method: req.method,
+    path: req.path,
+    query: req.query,
+    httpVersion: req.httpVersion,
+    remoteAddress: req.socket.remoteAddress || null,
+    remotePort: req.socket.remotePort || null,
+    remoteClient: req.remoteClient || null,
+    headers,
+    body: {
+      contentType: req.headers['content-type'] || null,
+      length,
+      parsed,
+      encoding: Buffer.isBuffer(req.body) ? 'base64' : null,
+      files: (req.files || []).map(({ field, filename, contentType, size }) => ({ field, filename, contentType, size }))
+    },
+    tls: describeTls(req.socket)
+  };
+}
+
+/**
+ * Registers the echo endpoint on a router when it is enabled
+ *
+ * @param {Object} router - Router from lib/router.js
+ * @param {Object} bodyParser - Body parser from lib/body.js
+ * @param {Object} echoConfiguration - Resolved `echoConfiguration` section
+ */
+function createEcho(router, bodyParser, echoConfiguration) {
+  const { enabled, redactHeaders } = echoConfiguration;
+  if (!enabled) {
+    return;
+  }
+
+  const redact = redactHeaders.map((name) => name.toLowerCase());
+
+  router.route(METHODS, '/echo', (req, res) => {
+    // Counts the body as received, whatever the parser makes of it
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+    });
+
+    bodyParser.parse(BODY_TYPES, () => {
+      const body = JSON.stringify(describeRequest(req, { length, redact }), null, 2);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Length', Buffer.byteLength(body));
+      if (!res.hasHeader('Cache-Control')) {
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      res.end(body);
+    })(req, res);
+  });
+}
+
+module.exports = {
+  createEcho,
+  describeRequest
+};
@@ -0,0 +1,105 @@
+/**
+ * Health Endpoints
+ *
+ * Serves the probes used by process supervisors and load balancers:
+ *
+ * - `GET /livez`   - the process is up and serving requests
+ * - `GET /readyz`  - every readiness check passes; 503 otherwise, e.g. once
+ *                    graceful shutdown has begun
+ * - `GET /healthz` - summary with version, uptime and readiness
+ *
+ * Responses are JSON and never cached, unless a `Cache-Control` value is
+ * configured for the route.
+ *
+ * @fileoverview Liveness, readiness and health probes
+ * @version 1.0.0
+ */
+
+const { version } = require('../package.json');
+
+/**
+ * Sends a JSON probe response
+ *
+ * @param {http.ServerResponse} res - Response to complete
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} payload - Response body
+ */
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  if (!res.hasHeader('Cache-Control')) {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  res.end(body);
+}
+
+/**
+ * Creates the health state and registers its endpoints on a router
+ *
+ * @param {Object} router - Router from lib/router.js
+ * @returns {Object} Health controller exposing `addReadinessCheck(name, check)`,
+ *   `readiness()` and `uptime()`
+ */
+function createHealth(router) {
+  const startTime = Date.now();
+  const checks = new Map();
+
+  /**
+   * Seconds since the health state was created, to millisecond precision
+   *
+   * @returns {number} Uptime in seconds
+   */
+  const uptime = () => (Date.now() - startTime) / 1000;
+
+  /**
+   * Registers a readiness check
+   *
+   * @param {string} name - Name reported in the `/readyz` body
+   * @param {Function} check - Returns true while the server may receive traffic
+   */
+  const addReadinessCheck = (name, check) => {
+    checks.set(name, check);
+  };
+
+  /**
+   * Runs every readiness check
+   *
+   * @returns {Object} `{ ready, checks }` where checks maps names to `"ok"` or `"failing"`
+   */
+  const readiness = () => {
+    const results = {};
+    let ready = true;
+    for (const [name, check] of checks) {
+      const ok = Boolean(check());
+      results[name] = ok ? 'ok' : 'failing';
+      ready = ready && ok;
+    }
+    return { ready, checks: results };
+  };
+
+  router.route('GET', '/livez', (req, res) => {
+    sendJson(res, 200, { status: 'ok', uptime: uptime() });
+  });
+
+  router.route('GET', '/readyz', (req, res) => {
+    const { ready, checks: results } = readiness();
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'ok' : 'unavailable', checks: results });
+  });
+
+  router.route('GET', '/healthz', (req, res) => {
+    const { ready } = readiness();
+    sendJson(res, 200, { status: 'ok', version, uptime: uptime(), ready });
+  });
+
+  return {
+    addReadinessCheck,
+    readiness,
+    uptime
+  };
+}
+
+module.exports = {
+  createHealth
+};
@@ -0,0 +1,79 @@
+/**
+ * HTTP/2 Support
+ *
+ * Builds the HTTP/2 flavour of the server: h2 over TLS, negotiated with
+ * ALPN and falling back to HTTP/1.1 for clients that do not offer h2, or
+ * cleartext h2c for clients with prior knowledge. Requests go through the
+ * compatibility API, so the same request listener serves every protocol.
+ *
+ * A failing stream is reset on its own; the session and its other streams
+ * keep running. HEAD responses drop the body their handler writes, as they
+ * do over HTTP/1.1.
+ *
+ * @fileoverview h2 / h2c server construction and stream error handling
+ * @version 1.0.0
+ */
+
+const http2 = require('http2');
+
+/**
+ * Drops the body of a HEAD response, as Node.js does over HTTP/1.1; the
+ * compatibility API ends a HEAD stream with its headers and fails any write
+ * after them
+ *
+ * @param {http2.Http2ServerResponse} res - Response to a HEAD request
+ */
+function omitBody(res) {
+  const { end } = res;
+  const callbackOf = (args) => args.find((arg) => typeof arg === 'function');
+
+  res.write = (...args) => {
+    const callback = callbackOf(args);
+    if (callback) {
+      process.nextTick(callback);
+    }
+    return true;
+  };
+  res.end = (...args) => {
+    const callback = callbackOf(args);
+    return callback ? end.call(res, callback) : end.call(res);
+  };
+}
+
+/**
+ * Creates an HTTP/2 server around a request listener
+ *
+ * @param {Object} http2Configuration - Resolved `http2Configuration` section
+ * @param {Object|null} credentials - TLS options from readCredentials for h2,
+ *   or null for cleartext h2c
+ * @param {Function} app - Request listener
+ * @returns {http2.Http2SecureServer|http2.Http2Server} Unstarted server
+ */
+function createHttp2Server(http2Configuration, credentials, app) {
+  const settings = { maxConcurrentStreams: http2Configuration.maxConcurrentStreams };
+  const listener = (req, res) => {
+    if (req.method === 'HEAD' && req.httpVersionMajor === 2) {
+      omitBody(res);
+    }
+    app(req, res);
+  };
+  const server = credentials
+    ? http2.createSecureServer({ ...credentials, allowHTTP1: true, settings }, listener)
+    : http2.createServer({ settings }, listener);
+
+  server.on('stream', (stream) => {
+    stream.on('error', (error) => {
+      console.error(`HTTP/2 stream ${stream.id} failed: ${error.message}`);
+    });
+  });
+
+  server.on('sessionError', (error) => {
+    console.error(`HTTP/2 session failed: ${error.message}`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  createHttp2Server
+};
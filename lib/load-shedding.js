@@ -0,0 +1,130 @@
+/**
+ * Load Shedding
+ *
+ * Turns requests away with `503 Service Unavailable` and a `Retry-After`
+ * header while the server is overloaded, so the requests it does accept are
+ * still answered within their latency budget instead of queueing behind
+ * everything else:
+ *
+ * - `maxInFlight` caps the requests being answered at once
+ * - `maxEventLoopLag` sheds while the event loop runs late by more than
+ *   this many milliseconds, measured by a sampling timer and smoothed
+ *
+ * Either check is off when set to 0. Health probes and `/metrics` are never
+ * shed, so supervisors and monitoring can still see an overloaded server.
+ *
+ * @fileoverview 503 responses with Retry-After under excessive load
+ * @version 1.0.0
+ */
+
+const { sendStatus } = require('./router');
+
+/**
+ * Paths answered whatever the load
+ */
+const EXEMPT_PATHS = Object.freeze(['/livez', '/readyz', '/healthz', '/metrics']);
+
+/**
+ * Weight of the newest event loop lag sample in the smoothed value
+ */
+const LAG_SMOOTHING = 1 / 3;
+
+/**
+ * Measures how late the event loop runs a repeating timer
+ *
+ * @param {number} interval - Sampling interval in milliseconds
+ * @returns {Object} `{ lag(), stop() }` where lag() is the smoothed delay
+ *   in milliseconds
+ */
+function monitorLag(interval) {
+  let lag = 0;
+  let expected = Date.now() + interval;
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    lag += (Math.max(0, now - expected) - lag) * LAG_SMOOTHING;
+    expected = now + interval;
+  }, interval);
+  timer.unref();
+
+  return {
+    lag: () => lag,
+    stop: () => clearInterval(timer)
+  };
+}
+
+/**
+ * Creates the load shedder
+ *
+ * @param {Object} loadSheddingConfiguration - Resolved `loadSheddingConfiguration` section
+ * @returns {Object} Shedder exposing `track(req, res)`, which answers the
+ *   request with 503 and returns true when it is shed, `inFlight()`, `lag()`
+ *   and `stop()`, which stops sampling the event loop
+ */
+function createLoadShedder(loadSheddingConfiguration) {
+  const { maxInFlight, maxEventLoopLag, retryAfter } = loadSheddingConfiguration;
+  const monitor = maxEventLoopLag > 0 ? monitorLag(Math.max(10, Math.min(500, Math.floor(maxEventLoopLag / 2)))) : null;
+  let inFlight = 0;
+
+  /**
+   * Why the server should not take another request
+   *
+   * @returns {string|null} Reason, or null when there is capacity
+   */
+  const overload = () => {
+    if (maxInFlight > 0 && inFlight >= maxInFlight) {
+      return `${inFlight} requests in flight`;
+    }
+    if (monitor && monitor.lag() > maxEventLoopLag) {
+      return `event loop lagging ${Math.round(monitor.lag())}ms`;
+    }
+    return null;
+  };
+
+  /**
+   * Counts a request while it is answered, or sheds it
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   * @returns {boolean} True when the request was answered with 503
+   */
+  const track = (req, res) => {
+    const path = req.url.split('?')[0];
+    if (!EXEMPT_PATHS.includes(path)) {
+      const reason = overload();
+      if (reason) {
+        res.setHeader('Retry-After', String(retryAfter));
+        sendStatus(res, 503, `Service Unavailable; overloaded (${reason})`);
+        return true;
+      }
+    }
+
+    inFlight += 1;
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        inFlight -= 1;
+      }
+    };
+    res.once('finish', release);
+    res.once('close', release);
+    return false;
+  };
+
+  return {
+    track,
+    inFlight: () => inFlight,
+    lag: () => (monitor ? monitor.lag() : 0),
+    stop: () => {
+      if (monitor) {
+        monitor.stop();
+      }
+    }
+  };
+}
+
+module.exports = {
+  EXEMPT_PATHS,
+  createLoadShedder
+};
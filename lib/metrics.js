@@ -0,0 +1,280 @@
+/**
+ * Prometheus Metrics
+ *
+ * Serves `GET /metrics` in the Prometheus text exposition format (0.0.4):
+ *
+ * - `http_requests_total{method,route,status}` - completed requests
+ * - `http_request_duration_seconds{method,route}` - latency histogram
+ * - `http_requests_in_flight` - requests still being answered
+ * - gauges registered with `gauge()`, such as open connections
+ * - process and Node.js runtime statistics: CPU, memory, heap, event loop
+ *   lag and garbage collection
+ *
+ * `route` is the pattern the router matched (`/users/:id`), or `unmatched`,
+ * so label cardinality stays bounded whatever paths clients request.
+ *
+ * @fileoverview Request and runtime metrics for Prometheus
+ * @version 1.0.0
+ */
+
+const { PerformanceObserver, constants, monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * Latency buckets in seconds; 0.01 and 0.05 match the response time and
+ * end-to-end budgets asserted by the integration suite
+ */
+const DURATION_BUCKETS = Object.freeze([0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+/**
+ * Escapes a label value for the exposition format
+ *
+ * @param {*} value - Label value
+ * @returns {string} Value with backslashes, quotes and newlines escaped
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set
+ *
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value; Prometheus spells infinities `+Inf` and `-Inf`
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Renders one metric family
+ *
+ * @param {string} name - Metric name
+ * @param {string} type - `counter`, `gauge` or `histogram`
+ * @param {string} help - Help text
+ * @param {Array} samples - `[suffix, labels, value]` triples
+ * @returns {string} HELP and TYPE lines followed by the samples
+ */
+function renderFamily(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [suffix, labels, value] of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+  return lines.join('\n');
+}
+
+let runtime = null;
+
+/**
+ * Starts the process-wide event loop and garbage collection monitors once;
+ * every metrics registry in the process shares them
+ *
+ * @returns {Object} `{ eventLoop, gc }` where gc maps kinds to `{ count, seconds }`
+ */
+function runtimeMonitors() {
+  if (runtime) {
+    return runtime;
+  }
+
+  const eventLoop = monitorEventLoopDelay({ resolution: 10 });
+  eventLoop.enable();
+
+  const gc = {};
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'unknown';
+      gc[kind] = gc[kind] || { count: 0, seconds: 0 };
+      gc[kind].count += 1;
+      gc[kind].seconds += entry.duration / 1000;
+    }
+  });
+  observer.observe({ entryTypes: ['gc'] });
+
+  runtime = { eventLoop, gc };
+  return runtime;
+}
+
+/**
+ * Renders process and Node.js runtime metrics
+ *
+ * @returns {string[]} Metric families
+ */
+function renderRuntime() {
+  const { eventLoop, gc } = runtimeMonitors();
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const nanoseconds = (value) => (Number.isNaN(value) ? 0 : value / 1e9);
+
+  return [
+    renderFamily('process_cpu_user_seconds_total', 'counter', 'User CPU time spent in seconds.',
+      [['', {}, cpu.user / 1e6]]),
+    renderFamily('process_cpu_system_seconds_total', 'counter', 'System CPU time spent in seconds.',
+      [['', {}, cpu.system / 1e6]]),
+    renderFamily('process_start_time_seconds', 'gauge', 'Start time of the process since the Unix epoch in seconds.',
+      [['', {}, Math.round(Date.now() / 1000 - process.uptime())]]),
+    renderFamily('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.',
+      [['', {}, memory.rss]]),
+    renderFamily('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap size in bytes.',
+      [['', {}, memory.heapTotal]]),
+    renderFamily('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap used in bytes.',
+      [['', {}, memory.heapUsed]]),
+    renderFamily('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript in bytes.',
+      [['', {}, memory.external]]),
+    renderFamily('nodejs_eventloop_lag_mean_seconds', 'gauge', 'Mean event loop delay since the previous scrape in seconds.',
+      [['', {}, nanoseconds(eventLoop.mean)]]),
+    renderFamily('nodejs_eventloop_lag_p99_seconds', 'gauge', '99th percentile event loop delay since the previous scrape in seconds.',
+      [['', {}, nanoseconds(eventLoop.percentile(99))]]),
+    renderFamily('nodejs_eventloop_lag_max_seconds', 'gauge', 'Maximum event loop delay since the previous scrape in seconds.',
+      [['', {}, nanoseconds(eventLoop.max)]]),
+    renderFamily('nodejs_gc_runs_total', 'counter', 'Garbage collection runs by kind.',
+      Object.entries(gc).map(([kind, { count }]) => ['', { kind }, count])),
+    renderFamily('nodejs_gc_duration_seconds_total', 'counter', 'Time spent in garbage collection by kind in seconds.',
+      Object.entries(gc).map(([kind, { seconds }]) => ['', { kind }, seconds]))
+  ];
+}
+
+/**
+ * Creates the metrics registry and registers `GET /metrics` on a router
+ *
+ * @param {Object} router - Router from lib/router.js
+ * @returns {Object} Registry exposing `track(req, res)`, which records the
+ *   request once its response completes, `gauge(name, help, read)`, which
+ *   adds a gauge read at scrape time, and `render()`
+ */
+function createMetrics(router) {
+  const requests = new Map();
+  const durations = new Map();
+  const gauges = new Map();
+  let inFlight = 0;
+
+  runtimeMonitors();
+
+  /**
+   * Starts timing a request and records it once the response finishes or
+   * the connection closes first
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   */
+  const track = (req, res) => {
+    const startTime = process.hrtime.bigint();
+    inFlight += 1;
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      inFlight -= 1;
+
+      const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+      const route = req.route || 'unmatched';
+      const status = res.headersSent ? res.statusCode : 0;
+
+      const requestKey = JSON.stringify([req.method, route, status]);
+      const counted = requests.get(requestKey) || { labels: { method: req.method, route, status }, value: 0 };
+      counted.value += 1;
+      requests.set(requestKey, counted);
+
+      const durationKey = JSON.stringify([req.method, route]);
+      const histogram = durations.get(durationKey) || {
+        labels: { method: req.method, route },
+        buckets: DURATION_BUCKETS.map(() => 0),
+        count: 0,
+        sum: 0
+      };
+      DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+          histogram.buckets[index] += 1;
+        }
+      });
+      histogram.count += 1;
+      histogram.sum += seconds;
+      durations.set(durationKey, histogram);
+    };
+
+    res.once('finish', record);
+    res.once('close', record);
+  };
+
+  /**
+   * Registers a gauge whose value is read when metrics are scraped
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Function} read - Returns the current value
+   */
+  const gauge = (name, help, read) => {
+    gauges.set(name, { help, read });
+  };
+
+  /**
+   * Renders every metric in the text exposition format
+   *
+   * @returns {string} Exposition body ending in a newline
+   */
+  const render = () => {
+    const families = [
+      renderFamily('http_requests_total', 'counter', 'Completed HTTP requests.',
+        [...requests.values()].map(({ labels, value }) => ['', labels, value])),
+      renderFamily('http_request_duration_seconds', 'histogram', 'HTTP request latency in seconds.',
+        [...durations.values()].flatMap(({ labels, buckets, count, sum }) => [
+          ...DURATION_BUCKETS.map((bound, index) => ['_bucket', { ...labels, le: bound }, buckets[index]]),
+          ['_bucket', { ...labels, le: '+Inf' }, count],
+          ['_sum', labels, sum],
+          ['_count', labels, count]
+        ])),
+      renderFamily('http_requests_in_flight', 'gauge', 'HTTP requests currently being served.',
+        [['', {}, inFlight]])
+    ];
+    for (const [name, { help, read }] of gauges) {
+      families.push(renderFamily(name, 'gauge', help, [['', {}, read()]]));
+    }
+    families.push(...renderRuntime());
+    runtime.eventLoop.reset();
+
+    return `${families.join('\n')}\n`;
+  };
+
+  router.route('GET', '/metrics', (req, res) => {
+    const body = render();
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPE);
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    if (!res.hasHeader('Cache-Control')) {
+      res.setHeader('Cache-Control', 'no-store');
+    }
+    res.end(body);
+  });
+
+  return {
+    track,
+    gauge,
+    render
+  };
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  createMetrics
+};
@@ -0,0 +1,225 @@
+/**
+ * Content Negotiation
+ *
+ * Parses `Accept` headers (media ranges with q-values) and picks the best
+ * of the media types a route can produce, following RFC 9110 section 12.5.1:
+ * the most specific matching range decides a type's quality, and a quality
+ * of 0 makes the type unacceptable. `Accept-Encoding` is negotiated the same
+ * way for content codings (RFC 9110 section 12.5.3). Responses that depend
+ * on a request header record it in `Vary`.
+ *
+ * @fileoverview Accept and Accept-Encoding parsing and selection
+ * @version 1.0.0
+ */
+
+/**
+ * Reduces a media type to its lowercase `type/subtype` essence
+ *
+ * @param {string} mediaType - Media type, possibly with parameters
+ * @returns {string} Essence such as `text/plain`
+ */
+function essence(mediaType) {
+  return mediaType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Reads the q-value from a list of header parameters
+ *
+ * @param {string[]} params - Parameters following the value, split on `;`
+ * @returns {number} The quality, 1 when absent, NaN when malformed
+ */
+function parseQuality(params) {
+  let q = 1;
+  for (const param of params) {
+    const [name, value = ''] = param.split('=').map((text) => text.trim());
+    if (name.toLowerCase() === 'q') {
+      q = /^(0(\.\d{0,3})?|1(\.0{0,3})?)$/.test(value) ? Number(value) : NaN;
+    }
+  }
+  return q;
+}
+
+/**
+ * Parses an Accept header into media ranges
+ *
+ * Malformed ranges and q-values are skipped rather than rejected so a
+ * sloppy client still gets a representation.
+ *
+ * @param {string} header - Accept header value
+ * @returns {Object[]} Ranges as `{ type, subtype, q, index }` in header order
+ */
+function parseAccept(header) {
+  const ranges = [];
+
+  header.split(',').forEach((part, index) => {
+    const [range, ...params] = part.split(';');
+    const match = /^([\w!#$%&'*+.^`|~-]+)\/([\w!#$%&'*+.^`|~-]+)$/.exec(range.trim().toLowerCase());
+    if (!match || (match[1] === '*' && match[2] !== '*')) {
+      return;
+    }
+
+    const q = parseQuality(params);
+    if (Number.isNaN(q)) {
+      return;
+    }
+
+    ranges.push({ type: match[1], subtype: match[2], q, index });
+  });
+
+  return ranges;
+}
+
+/**
+ * Scores how specifically a range matches a media type
+ *
+ * @param {Object} range - Parsed media range
+ * @param {string} type - Media type essence
+ * @returns {number} 2 for an exact match, 1 for `type/*`, 0 for `*\/*`, -1 for no match
+ */
+function specificity(range, type) {
+  const [mainType, subtype] = type.split('/');
+  if (range.type === '*') {
+    return 0;
+  }
+  if (range.type !== mainType) {
+    return -1;
+  }
+  if (range.subtype === '*') {
+    return 1;
+  }
+  return range.subtype === subtype ? 2 : -1;
+}
+
+/**
+ * Picks the media type to serve for an Accept header
+ *
+ * A missing, empty or entirely malformed header accepts anything, so the
+ * first type is served.
+ * Ties on quality go to the more specific range, then to the range listed
+ * first by the client, then to the order of `types`.
+ *
+ * @param {string|undefined} header - Accept header value
+ * @param {string[]} types - Media types the route can produce, most preferred first
+ * @returns {string|null} The chosen entry of `types`, or null when none is acceptable
+ */
+function negotiate(header, types) {
+  const ranges = header === undefined ? [] : parseAccept(header);
+  if (ranges.length === 0) {
+    return types.length > 0 ? types[0] : null;
+  }
+
+  let best = null;
+
+  types.forEach((type) => {
+    let match = null;
+    for (const range of ranges) {
+      const score = specificity(range, essence(type));
+      if (score > -1 && (!match || score > match.score)) {
+        match = { score, q: range.q, index: range.index };
+      }
+    }
+    if (!match || match.q === 0) {
+      return;
+    }
+
+    const candidate = { type, ...match };
+    if (!best ||
+        candidate.q > best.q ||
+        (candidate.q === best.q && candidate.score > best.score) ||
+        (candidate.q === best.q && candidate.score === best.score && candidate.index < best.index)) {
+      best = candidate;
+    }
+  });
+
+  return best ? best.type : null;
+}
+
+/**
+ * Parses an Accept-Encoding header into a map of content codings to
+ * qualities
+ *
+ * Malformed entries are skipped. When a coding is listed twice the first
+ * entry wins.
+ *
+ * @param {string} header - Accept-Encoding header value
+ * @returns {Map<string, number>} Lowercase coding (or `*`) -> quality
+ */
+function parseAcceptEncoding(header) {
+  const codings = new Map();
+
+  for (const part of header.split(',')) {
+    const [coding, ...params] = part.split(';');
+    const name = coding.trim().toLowerCase();
+    const q = parseQuality(params);
+    if (/^[\w!#$%&'*+.^`|~-]+$/.test(name) && !Number.isNaN(q) && !codings.has(name)) {
+      codings.set(name, q);
+    }
+  }
+
+  return codings;
+}
+
+/**
+ * Picks the content coding to apply for an Accept-Encoding header
+ *
+ * A missing header asks for no particular coding, so the response is sent
+ * as is. `*` covers every coding the header does not name. `identity` stays
+ * acceptable unless excluded explicitly or through `*;q=0`; it is only
+ * chosen over an acceptable coding when the header ranks it higher. Ties
+ * between codings go to the order of `codings`.
+ *
+ * @param {string|undefined} header - Accept-Encoding header value
+ * @param {string[]} codings - Codings the server can apply, most preferred first
+ * @returns {string|null} An entry of `codings`, `identity`, or null when
+ *   nothing is acceptable
+ */
+function negotiateEncoding(header, codings) {
+  if (header === undefined) {
+    return 'identity';
+  }
+
+  const accepted = parseAcceptEncoding(header);
+  const qualityOf = (coding) => {
+    if (accepted.has(coding)) {
+      return accepted.get(coding);
+    }
+    return accepted.has('*') ? accepted.get('*') : null;
+  };
+
+  let best = null;
+  for (const coding of codings) {
+    const q = qualityOf(coding);
+    if (q > 0 && (!best || q > best.q)) {
+      best = { coding, q };
+    }
+  }
+
+  // null: identity is not mentioned, so it is the fallback
+  const identity = qualityOf('identity');
+  if (best && (identity === null || best.q >= identity)) {
+    return best.coding;
+  }
+  return identity === null || identity > 0 ? 'identity' : null;
+}
+
+/**
+ * Adds a field to the response's Vary header unless it is already covered
+ *
+ * @param {http.ServerResponse} res - Response whose headers are not sent yet
+ * @param {string} field - Request header name
+ */
+function appendVary(res, field) {
+  const current = res.getHeader('Vary');
+  const fields = current === undefined ? [] : String(current).split(',').map((name) => name.trim()).filter(Boolean);
+  if (!fields.some((name) => name === '*' || name.toLowerCase() === field.toLowerCase())) {
+    res.setHeader('Vary', [...fields, field].join(', '));
+  }
+}
+
+module.exports = {
+  appendVary,
+  negotiate,
+  negotiateEncoding,
+  parseAccept,
+  parseAcceptEncoding
+};
@@ -0,0 +1,222 @@
+/**
+ * Trusted Proxies
+ *
+ * Resolves the client behind reverse proxies: its address, the protocol it
+ * used and the host it asked for. Proxies describe the requests they
+ * forward in the `Forwarded` header (RFC 7239) or, when that is absent, in
+ * `X-Forwarded-For`, `X-Forwarded-Proto` and `X-Forwarded-Host`.
+ *
+ * Those headers are only believed from trusted proxies: peers whose address
+ * is in `trustedProxies` (single addresses or CIDR ranges, IPv4 or IPv6),
+ * and the nearest `hops` proxies whatever their address. The forwarded hops
+ * are read from the nearest outwards, and the first hop that is not a
+ * trusted proxy is the client, so clients cannot choose the address they
+ * are known by. Without trusted proxies the client is the peer itself.
+ *
+ * The application resolves every request's client as `req.remoteClient`;
+ * the access log, tracing, rate limiting, HSTS and the HTTPS redirect use it
+ * in place of the connection's own address and protocol.
+ *
+ * @fileoverview Client address, protocol and host behind trusted proxies
+ * @version 1.0.0
+ */
+
+const net = require('net');
+
+/**
+ * A host as it may appear in a Host header: a name or IPv4 address, or an
+ * IPv6 address in brackets, with an optional port
+ */
+const HOST = /^([A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.?|\[[0-9A-Fa-f:.]+\])(:\d{1,5})?$/;
+
+/**
+ * Parses a trusted proxy entry
+ *
+ * @param {string} entry - Address (`10.0.0.1`) or CIDR range (`10.0.0.0/8`)
+ * @returns {Object|null} `{ address, prefix, family }`, or null when malformed
+ */
+function parseCidr(entry) {
+  const [address, prefixText, extra] = String(entry).split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) {
+    return null;
+  }
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+    return null;
+  }
+  const bits = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (prefix > bits) {
+    return null;
+  }
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix Node.js reports for IPv4 peers on
+ * dual-stack sockets
+ *
+ * @param {string} address - IP address
+ * @returns {string} The plain IPv4 address, or the address unchanged
+ */
+function normalizeAddress(address) {
+  return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address) ? address.slice(7) : address;
+}
+
+/**
+ * Compiles a trusted proxy list into a predicate
+ *
+ * @param {string[]} trustedProxies - Addresses and CIDR ranges
+ * @returns {Function} Returns true for addresses in the list
+ */
+function createProxyTrust(trustedProxies) {
+  if (trustedProxies.length === 0) {
+    return () => false;
+  }
+
+  const list = new net.BlockList();
+  for (const entry of trustedProxies) {
+    const { address, prefix, family } = parseCidr(entry);
+    list.addSubnet(address, prefix, family);
+  }
+  return (address) => {
+    const version = net.isIP(address || '');
+    return version !== 0 && list.check(address, version === 4 ? 'ipv4' : 'ipv6');
+  };
+}
+
+/**
+ * Extracts the IP address from a forwarded node: `192.0.2.7`,
+ * `192.0.2.7:4711`, `[2001:db8::7]` or `[2001:db8::7]:4711`
+ *
+ * @param {string} node - Node as sent by a proxy
+ * @returns {string|null} Address, or null for `unknown`, obfuscated or
+ *   malformed nodes
+ */
+function parseNode(node) {
+  const value = String(node || '').trim();
+  const bracketed = /^\[([^\]]+)\](?::\d{1,5})?$/.exec(value);
+  const address = bracketed ? bracketed[1] : value.replace(/^(\d+\.\d+\.\d+\.\d+):\d{1,5}$/, '$1');
+  return net.isIP(address) ? normalizeAddress(address) : null;
+}
+
+/**
+ * Parses a `Forwarded` header into its elements, one per proxy from the
+ * client outwards
+ *
+ * @param {string} header - Header value
+ * @returns {Object[]|null} Elements mapping lowercase parameter names to
+ *   values, or null when the header is malformed
+ */
+function parseForwarded(header) {
+  const elements = [];
+  let element = {};
+  const pair = /\s*([!#$%&'*+.^_`|~0-9A-Za-z-]+)=(?:"((?:[^"\\]|\\.)*)"|([!#$%&'*+.^_`|~0-9A-Za-z:[\]-]*))\s*([;,]|$)/y;
+
+  while (pair.lastIndex < header.length) {
+    const start = pair.lastIndex;
+    const match = pair.exec(header);
+    if (!match) {
+      // Empty elements (`a=b, , c=d`) are allowed by the list syntax
+      const empty = /\s*,/y;
+      empty.lastIndex = start;
+      if (!empty.test(header)) {
+        return null;
+      }
+      pair.lastIndex = empty.lastIndex;
+      continue;
+    }
+    const [, name, quoted, token, separator] = match;
+    element[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+    if (separator !== ';') {
+      elements.push(element);
+      element = {};
+    }
+  }
+  return elements;
+}
+
+/**
+ * Lists the hops that forwarded a request, nearest first
+ *
+ * Each proxy appends to `X-Forwarded-For`, and to `X-Forwarded-Proto` and
+ * `X-Forwarded-Host` when it sets them, so their entries are matched by
+ * position counting from the nearest proxy. Entries further out were
+ * written by the client or by untrusted proxies and never describe a hop
+ * nearer than their own.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Object[]} `{ address, protocol, host }` per hop; fields a proxy
+ *   did not send, or sent malformed, are null
+ */
+function forwardedHops(req) {
+  const protocolOf = (value) => (/^https?$/i.test(value || '') ? value.toLowerCase() : null);
+  const hostOf = (value) => (HOST.test(value || '') ? value : null);
+
+  if (req.headers.forwarded !== undefined) {
+    const elements = parseForwarded(String(req.headers.forwarded)) || [];
+    return elements.reverse().map((element) => ({
+      address: parseNode(element.for),
+      protocol: protocolOf(element.proto),
+      host: hostOf(element.host)
+    }));
+  }
+
+  const nearestFirst = (name) => {
+    const header = req.headers[name];
+    return header === undefined ? [] : String(header).split(',').map((value) => value.trim()).reverse();
+  };
+  const protocols = nearestFirst('x-forwarded-proto');
+  const hosts = nearestFirst('x-forwarded-host');
+  return nearestFirst('x-forwarded-for').map((node, index) => ({
+    address: parseNode(node),
+    protocol: protocolOf(protocols[index]),
+    host: hostOf(hosts[index])
+  }));
+}
+
+/**
+ * Creates the resolver of the client behind trusted proxies
+ *
+ * @param {Object} proxyConfiguration - Resolved `proxyConfiguration` section
+ * @returns {Function} Returns `{ address, protocol, host, forwarded }` for a
+ *   request, where `forwarded` tells whether a proxy supplied them
+ */
+function createProxyResolver({ trustedProxies, hops }) {
+  const trusts = createProxyTrust(trustedProxies);
+
+  return (req) => {
+    let client = {
+      address: normalizeAddress(req.socket.remoteAddress || ''),
+      protocol: req.socket.encrypted ? 'https' : 'http',
+      host: req.headers[':authority'] || req.headers.host || null,
+      forwarded: false
+    };
+    if (trustedProxies.length === 0 && hops === 0) {
+      return client;
+    }
+
+    const chain = forwardedHops(req);
+    for (let index = 0; index < chain.length; index++) {
+      const hop = chain[index];
+      if (!(index < hops || trusts(client.address)) || !hop.address) {
+        break;
+      }
+      client = {
+        address: hop.address,
+        protocol: hop.protocol || client.protocol,
+        host: hop.host || client.host,
+        forwarded: true
+      };
+    }
+    return client;
+  };
+}
+
+module.exports = {
+  createProxyResolver,
+  createProxyTrust,
+  normalizeAddress,
+  parseCidr,
+  parseForwarded
+};
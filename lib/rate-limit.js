@@ -0,0 +1,220 @@
+/**
+ * Rate Limiting
+ *
+ * Limits how often each client may call the routes, with a token bucket
+ * per client: a bucket holds up to `limit` requests and refills at `limit`
+ * per `window` milliseconds, so clients may burst up to the limit and then
+ * continue at the sustained rate. Clients are identified by their address
+ * (`req.remoteClient.address`, resolved through the trusted proxies of
+ * lib/proxy.js) or, with `keyBy` set to `api-key`, by the value of
+ * `apiKeyHeader` when it is one of the configured `apiKeys`. Requests
+ * without a known key are counted by their address, so inventing keys does
+ * not buy a client fresh buckets. The health probes and `/metrics` are
+ * never limited.
+ *
+ * Limited responses carry `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` and `RateLimit-Policy`; requests over the limit are
+ * answered with `429 Too Many Requests` and `Retry-After`. Route patterns
+ * in `routes` get their own policy and buckets; routes without one share
+ * the default buckets.
+ *
+ * Buckets live in a store, so several server processes can share limits.
+ * A store implements `consume(key, { limit, window })`, resolving to
+ * `{ allowed, remaining, resetMs, retryAfterMs }`, and optionally `close()`;
+ * `createMemoryStore()` keeps a bounded number of them in this process.
+ * When the store fails, requests are let through and the failure is logged.
+ *
+ * @fileoverview Token-bucket rate limiting per client address or API key
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const { EXEMPT_PATHS } = require('./load-shedding');
+const { createProxyResolver } = require('./proxy');
+const { loggerFor } = require('./request-id');
+const { sendStatus } = require('./router');
+
+/**
+ * Interval between sweeps of full buckets from the memory store
+ */
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Buckets the memory store holds at most
+ */
+const MAX_BUCKETS = 100000;
+
+/**
+ * Creates a store that keeps token buckets in memory
+ *
+ * Buckets that have refilled completely are dropped periodically, so idle
+ * clients do not accumulate. When `maxBuckets` are in use, a new client
+ * first triggers a sweep and then evicts the least recently used bucket.
+ *
+ * @param {Object} options - Store options
+ * @param {number} options.maxBuckets - Bucket limit, 100000 by default
+ * @returns {Object} Store exposing `consume(key, policy)`, `size()` and `close()`
+ */
+function createMemoryStore({ maxBuckets = MAX_BUCKETS } = {}) {
+  const buckets = new Map();
+
+  const dropFull = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  const sweep = setInterval(() => dropFull(Date.now()), SWEEP_INTERVAL);
+  sweep.unref();
+
+  /**
+   * Takes a token from a bucket, refilling it for the time since last use
+   *
+   * @param {string} key - Bucket key
+   * @param {Object} policy - `{ limit, window }`
+   * @returns {Promise<Object>} `{ allowed, remaining, resetMs, retryAfterMs }`
+   */
+  const consume = async (key, { limit, window }) => {
+    const now = Date.now();
+    const rate = limit / window;
+    const bucket = buckets.get(key);
+    if (!bucket && buckets.size >= maxBuckets) {
+      dropFull(now);
+      if (buckets.size >= maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+    }
+    let tokens = bucket ? Math.min(limit, bucket.tokens + (now - bucket.updated) * rate) : limit;
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+    const resetMs = Math.ceil((limit - tokens) / rate);
+    // Re-inserting keeps the map ordered from least to most recently used
+    buckets.delete(key);
+    buckets.set(key, { tokens, updated: now, fullAt: now + resetMs });
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs,
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+    };
+  };
+
+  return {
+    consume,
+    size: () => buckets.size,
+    close: () => clearInterval(sweep)
+  };
+}
+
+/**
+ * Hashes an API key, so keys are not kept, or sent to a shared store, in
+ * the clear
+ *
+ * @param {string} apiKey - API key
+ * @returns {string} Truncated base64url SHA-256 digest
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Identifies the client a request is counted against
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {Object} policy - Compiled policy with `keyBy`, `apiKeyHeader` and
+ *   the hashed `apiKeys`
+ * @param {Function} resolveClient - Client resolver from lib/proxy.js, for
+ *   requests that have no `req.remoteClient` yet
+ * @returns {string} `key:<hash>` for known API keys, otherwise `ip:<address>`
+ */
+function identify(req, policy, resolveClient) {
+  const apiKey = policy.keyBy === 'api-key' && req.headers[policy.apiKeyHeader.toLowerCase()];
+  if (apiKey) {
+    const hash = hashKey(apiKey);
+    if (policy.apiKeys.has(hash)) {
+      return `key:${hash}`;
+    }
+  }
+  return `ip:${(req.remoteClient || resolveClient(req)).address}`;
+}
+
+/**
+ * Creates the rate limiter
+ *
+ * @param {Object} rateLimitConfiguration - Resolved `rateLimitConfiguration` section
+ * @param {Object} proxyConfiguration - Resolved `proxyConfiguration` section
+ * @returns {Object} Rate limiter exposing `handle(req, res, pattern, next)`,
+ *   which calls `next()` unless it answers the request with 429,
+ *   `useStore(store)`, which replaces the bucket store, and `close()`
+ */
+function createRateLimiter(rateLimitConfiguration, proxyConfiguration) {
+  const { routes, ...defaults } = rateLimitConfiguration;
+  const compile = (settings) => ({ ...settings, apiKeys: new Set(settings.apiKeys.map(hashKey)) });
+  const fallback = compile(defaults);
+  const policies = new Map(Object.entries(routes).map(([pattern, overrides]) => [pattern, compile({ ...defaults, ...overrides })]));
+  const resolveClient = createProxyResolver(proxyConfiguration);
+  let store = createMemoryStore();
+
+  const closeStore = () => {
+    if (typeof store.close === 'function') {
+      store.close();
+    }
+  };
+
+  /**
+   * Applies the route's policy to a request
+   *
+   * @param {http.IncomingMessage} req - Routed request
+   * @param {http.ServerResponse} res - Its response
+   * @param {string} pattern - Route pattern the request matched
+   * @param {Function} next - Dispatches the request to its handler
+   */
+  const handle = (req, res, pattern, next) => {
+    const routed = policies.has(pattern);
+    const policy = routed ? policies.get(pattern) : fallback;
+    if (!policy.enabled || EXEMPT_PATHS.includes(pattern)) {
+      next();
+      return;
+    }
+
+    const { limit, window } = policy;
+    const key = `${routed ? pattern : '*'}|${identify(req, policy, resolveClient)}`;
+    store.consume(key, { limit, window }).then(({ allowed, remaining, resetMs, retryAfterMs }) => {
+      res.setHeader('RateLimit-Limit', String(limit));
+      res.setHeader('RateLimit-Remaining', String(remaining));
+      res.setHeader('RateLimit-Reset', String(Math.ceil(resetMs / 1000)));
+      res.setHeader('RateLimit-Policy', `${limit};w=${Math.ceil(window / 1000)}`);
+      if (allowed) {
+        next();
+        return;
+      }
+      const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+      res.setHeader('Retry-After', String(seconds));
+      sendStatus(res, 429, `Too Many Requests; retry in ${seconds} second${seconds === 1 ? '' : 's'}`);
+    }, (error) => {
+      loggerFor(req).error(`Rate limit store failed, letting the request through: ${error.message}`);
+      next();
+    });
+  };
+
+  return {
+    handle,
+    useStore: (replacement) => {
+      closeStore();
+      store = replacement;
+    },
+    close: closeStore
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter
+};
@@ -0,0 +1,93 @@
+/**
+ * Request IDs
+ *
+ * Gives every request an identifier shared with the gateway in front of
+ * the server: a valid incoming `X-Request-Id` is kept, anything else is
+ * replaced by a random UUID. The ID is exposed to handlers as `req.id`,
+ * echoed in the `X-Request-Id` response header and picked up by the access
+ * log and by plain-text error bodies. Diagnostics about a request go
+ * through its logger, `req.log`, which starts every line with the ID.
+ *
+ * @fileoverview X-Request-Id acceptance, generation and propagation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Longest incoming ID that is accepted
+ */
+const MAX_REQUEST_ID_LENGTH = 128;
+
+/**
+ * Characters allowed in an incoming ID: enough for UUIDs, ULIDs, base64
+ * and `service:counter` styles, but nothing that could break a log line
+ * or a header
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:+=/-]+$/;
+
+/**
+ * Checks whether an incoming `X-Request-Id` value may be reused
+ *
+ * @param {*} value - Header value
+ * @returns {boolean} True for 1-128 characters from the allowed set
+ */
+function isValidRequestId(value) {
+  return typeof value === 'string' &&
+    value.length > 0 &&
+    value.length <= MAX_REQUEST_ID_LENGTH &&
+    REQUEST_ID_PATTERN.test(value);
+}
+
+/**
+ * Creates a logger that tags every line with a request ID
+ *
+ * @param {string} [id] - Request ID; lines are left untagged without one
+ * @returns {Object} Logger exposing `info(message)` and `error(message)`,
+ *   which write to stdout and stderr
+ */
+function createRequestLogger(id) {
+  const prefix = id ? `[request ${id}] ` : '';
+  return {
+    info: (message) => console.log(`${prefix}${message}`),
+    error: (message) => console.error(`${prefix}${message}`)
+  };
+}
+
+/**
+ * Returns the logger of a request, for code that may also see requests
+ * that did not pass through assignRequestId
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object} `req.log`, or a logger tagged with `req.id` if any
+ */
+function loggerFor(req) {
+  return req.log || createRequestLogger(req.id);
+}
+
+/**
+ * Assigns the request its ID and echoes it on the response
+ *
+ * A header sent more than once reaches Node.js joined with `, ` and is
+ * therefore rejected and replaced like any other invalid value.
+ *
+ * @param {http.IncomingMessage} req - Incoming request; receives `req.id`
+ *   and its logger as `req.log`
+ * @param {http.ServerResponse} res - Its response; receives `X-Request-Id`
+ * @returns {string} The request ID
+ */
+function assignRequestId(req, res) {
+  const incoming = req.headers['x-request-id'];
+  req.id = isValidRequestId(incoming) ? incoming : crypto.randomUUID();
+  req.log = createRequestLogger(req.id);
+  res.setHeader('X-Request-Id', req.id);
+  return req.id;
+}
+
+module.exports = {
+  MAX_REQUEST_ID_LENGTH,
+  assignRequestId,
+  createRequestLogger,
+  isValidRequestId,
+  loggerFor
+};
@@ -0,0 +1,294 @@
+/**
+ * Request Router
+ *
+ * Matches requests by method and path. Path patterns are literal segments
+ * plus `:name` parameters (`/api/v1/users/:id`). Matched requests receive
+ * `req.path`, `req.params`, `req.query` and `req.route`, the pattern they
+ * matched; unknown paths are answered with 404 and known paths requested
+ * with an unsupported method with 405 and an `Allow` header listing the
+ * methods that are supported.
+ *
+ * HEAD is served by the GET handler of a route that does not register HEAD
+ * itself (Node.js drops the body), and OPTIONS on a known path - or
+ * `OPTIONS *` for the whole server - is answered with 204 and `Allow`.
+ *
+ * A router can be given a `Cache-Control` value per route pattern; it is set
+ * before the route's handler runs, so handlers only fall back to their own
+ * default when none is configured. A CORS handler (lib/cors.js) given to the
+ * router sees every routed request with the pattern it matched and may
+ * answer a preflight before the route is dispatched; a rate limiter
+ * (lib/rate-limit.js) sees requests matching a route and may answer them
+ * with 429 instead of dispatching them. A handler that throws is answered
+ * with 500, or has its response destroyed if it already began to send it.
+ *
+ * @fileoverview Method and path routing for the request handler
+ * @version 1.0.0
+ */
+
+const { loggerFor } = require('./request-id');
+
+/**
+ * Compiles a path pattern into a matcher
+ *
+ * @param {string} pattern - Path pattern such as `/users/:id`
+ * @returns {Function} Returns the decoded parameters for a matching path, or null
+ */
+function compilePattern(pattern) {
+  if (!pattern.startsWith('/')) {
+    throw new TypeError(`Route pattern must start with "/": ${pattern}`);
+  }
+
+  const segments = pattern.split('/').slice(1);
+
+  return (pathSegments) => {
+    if (pathSegments.length !== segments.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.startsWith(':')) {
+        if (pathSegments[i] === '') {
+          return null;
+        }
+        params[segment.slice(1)] = pathSegments[i];
+      } else if (segment !== pathSegments[i]) {
+        return null;
+      }
+    }
+    return params;
+  };
+}
+
+/**
+ * Parses a query string into an object; repeated keys collect into arrays
+ *
+ * @param {URLSearchParams} searchParams - Parsed query string
+ * @returns {Object} Query parameters by name
+ */
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (!Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = value;
+    } else if (Array.isArray(query[key])) {
+      query[key].push(value);
+    } else {
+      query[key] = [query[key], value];
+    }
+  }
+  return query;
+}
+
+/**
+ * Splits a request target into its path and query string
+ *
+ * Absolute-form targets (`http://host/path`) are reduced to their path.
+ *
+ * @param {string} target - Request target as received (`req.url`)
+ * @returns {Object} `{ pathname, search }`
+ */
+function parseTarget(target) {
+  let rest = target;
+  if (!rest.startsWith('/')) {
+    try {
+      const url = new URL(rest);
+      rest = url.pathname + url.search;
+    } catch (error) {
+      return { pathname: rest, search: '' };
+    }
+  }
+
+  const queryIndex = rest.indexOf('?');
+  return queryIndex === -1
+    ? { pathname: rest, search: '' }
+    : { pathname: rest.slice(0, queryIndex), search: rest.slice(queryIndex + 1) };
+}
+
+/**
+ * Splits a request path into decoded segments
+ *
+ * @param {string} pathname - Raw request path
+ * @returns {string[]|null} Decoded segments, or null when the path is malformed
+ */
+function splitPath(pathname) {
+  if (!pathname.startsWith('/')) {
+    return null;
+  }
+  try {
+    return pathname.split('/').slice(1).map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the methods a set of routes answers, including implied HEAD and OPTIONS
+ *
+ * @param {string[]} methods - Methods registered on the routes
+ * @returns {string[]} Methods for the `Allow` header
+ */
+function allowedMethods(methods) {
+  const allow = [...new Set(methods)];
+  if (allow.includes('GET') && !allow.includes('HEAD')) {
+    allow.splice(allow.indexOf('GET') + 1, 0, 'HEAD');
+  }
+  if (!allow.includes('OPTIONS')) {
+    allow.push('OPTIONS');
+  }
+  return allow;
+}
+
+/**
+ * Answers an OPTIONS request with the supported methods and no body
+ *
+ * @param {http.ServerResponse} res - Response to complete
+ * @param {string[]} methods - Methods for the `Allow` header
+ */
+function sendOptions(res, methods) {
+  res.statusCode = 204;
+  res.setHeader('Allow', methods.join(', '));
+  res.end();
+}
+
+/**
+ * Sends a plain-text status response
+ *
+ * When the request has an ID (`req.id`) it is added on a second line so a
+ * client reporting the error can quote it.
+ *
+ * @param {http.ServerResponse} res - Response to complete
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Body text without the trailing newline
+ */
+function sendStatus(res, statusCode, message) {
+  const id = res.req && res.req.id;
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end(id ? `${message}\nRequest ID: ${id}\n` : `${message}\n`);
+}
+
+/**
+ * Creates an empty router
+ *
+ * @param {Object} options - Router options
+ * @param {Object} options.cacheControl - `Cache-Control` values by route pattern
+ * @param {Object} options.cors - CORS handler exposing `handle(req, res, pattern)`
+ * @param {Object} options.rateLimit - Rate limiter exposing `handle(req, res, pattern, next)`
+ * @returns {Object} Router exposing `route(methods, pattern, handler)`,
+ *   `handle(req, res)` and the registered `routes`
+ */
+function createRouter({ cacheControl = {}, cors = null, rateLimit = null } = {}) {
+  const routes = [];
+
+  /**
+   * Registers a handler for one or more methods on a path pattern
+   *
+   * @param {string|string[]} methods - HTTP method(s), e.g. `'GET'` or `['GET', 'POST']`
+   * @param {string} pattern - Path pattern; `:name` segments become `req.params.name`
+   * @param {Function} handler - Called with `(req, res)` for matching requests
+   * @returns {Object} The router, for chaining
+   */
+  const route = (methods, pattern, handler) => {
+    routes.push({
+      methods: [].concat(methods).map((method) => method.toUpperCase()),
+      pattern,
+      match: compilePattern(pattern),
+      handler
+    });
+    return router;
+  };
+
+  /**
+   * Dispatches a request to the first route matching its method and path
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response to complete
+   */
+  const handle = (req, res) => {
+    if (req.url === '*' && req.method === 'OPTIONS') {
+      req.route = '*';
+      sendOptions(res, allowedMethods(routes.flatMap((candidate) => candidate.methods)));
+      return;
+    }
+
+    const { pathname, search } = parseTarget(req.url);
+    const pathSegments = splitPath(pathname);
+
+    if (!pathSegments) {
+      sendStatus(res, 400, 'Bad Request');
+      return;
+    }
+
+    const matches = [];
+    for (const candidate of routes) {
+      const params = candidate.match(pathSegments);
+      if (params) {
+        matches.push({ route: candidate, params });
+      }
+    }
+
+    const find = (method) => matches.find((match) => match.route.methods.includes(method));
+    const match = find(req.method) || (req.method === 'HEAD' && find('GET'));
+
+    if (matches.length > 0) {
+      req.route = (match || matches[0]).route.pattern;
+    }
+    if (cors && cors.handle(req, res, req.route)) {
+      return;
+    }
+
+    if (match) {
+      req.path = pathname;
+      req.params = match.params;
+      req.query = parseQuery(new URLSearchParams(search));
+      if (Object.prototype.hasOwnProperty.call(cacheControl, req.route)) {
+        res.setHeader('Cache-Control', cacheControl[req.route]);
+      }
+      const dispatch = () => {
+        try {
+          match.route.handler(req, res);
+        } catch (error) {
+          loggerFor(req).error(`Request handler failed: ${error.message}`);
+          if (res.headersSent) {
+            if (!res.writableEnded) {
+              res.destroy();
+            }
+            return;
+          }
+          sendStatus(res, 500, 'Internal Server Error');
+        }
+      };
+      if (rateLimit) {
+        rateLimit.handle(req, res, req.route, dispatch);
+      } else {
+        dispatch();
+      }
+      return;
+    }
+
+    if (matches.length === 0) {
+      sendStatus(res, 404, 'Not Found');
+      return;
+    }
+
+    const allow = allowedMethods(matches.flatMap((candidate) => candidate.route.methods));
+    if (req.method === 'OPTIONS') {
+      sendOptions(res, allow);
+      return;
+    }
+
+    res.setHeader('Allow', allow.join(', '));
+    sendStatus(res, 405, 'Method Not Allowed');
+  };
+
+  const router = { routes, route, handle };
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  parseQuery,
+  sendStatus
+};
@@ -0,0 +1,124 @@
+/**
+ * Security Headers
+ *
+ * Adds hardening headers to every response: `Content-Security-Policy`,
+ * `X-Content-Type-Options: nosniff`, `X-Frame-Options`, `Referrer-Policy`
+ * and the `Cross-Origin-Opener-Policy`, `Cross-Origin-Resource-Policy` and
+ * `Cross-Origin-Embedder-Policy` isolation headers. Each header can be
+ * turned off (`off`, or an empty Content-Security-Policy), and the route
+ * pattern's entry in `routes` overrides the top-level settings. Requests
+ * that matched no route, redirects to HTTPS and replies written straight
+ * to the socket get the top-level policy.
+ *
+ * Headers are added as the response head is sent, so handlers can still
+ * set their own value for any of them, which is kept. Headers that reveal
+ * the runtime or framework version (`X-Powered-By` and the like, or a
+ * `Server` header carrying a version) are removed from every response.
+ *
+ * @fileoverview Hardening response headers with per-route policies
+ * @version 1.0.0
+ */
+
+/**
+ * Headers that only serve to name the software and version behind a server
+ */
+const VERSION_HEADERS = ['X-Powered-By', 'X-AspNet-Version', 'X-AspNetMvc-Version'];
+
+/**
+ * Policy settings sent verbatim, with the header each one sets
+ */
+const POLICY_HEADERS = [
+  ['referrerPolicy', 'Referrer-Policy'],
+  ['crossOriginOpenerPolicy', 'Cross-Origin-Opener-Policy'],
+  ['crossOriginResourcePolicy', 'Cross-Origin-Resource-Policy'],
+  ['crossOriginEmbedderPolicy', 'Cross-Origin-Embedder-Policy']
+];
+
+/**
+ * Lists the headers a policy adds
+ *
+ * @param {Object} policy - Resolved policy
+ * @returns {Array[]} `[name, value]` pairs
+ */
+function policyHeaders(policy) {
+  if (!policy.enabled) {
+    return [];
+  }
+
+  const headers = [];
+  if (policy.contentSecurityPolicy) {
+    headers.push(['Content-Security-Policy', policy.contentSecurityPolicy]);
+  }
+  if (policy.contentTypeOptions) {
+    headers.push(['X-Content-Type-Options', 'nosniff']);
+  }
+  if (policy.frameOptions !== 'off') {
+    headers.push(['X-Frame-Options', policy.frameOptions.toUpperCase()]);
+  }
+  for (const [key, name] of POLICY_HEADERS) {
+    if (policy[key] !== 'off') {
+      headers.push([name, policy[key]]);
+    }
+  }
+  return headers;
+}
+
+/**
+ * Creates the security header middleware
+ *
+ * @param {Object} securityHeadersConfiguration - Resolved `securityHeadersConfiguration` section
+ * @returns {Object} Middleware exposing `track(req, res)`, which adds the
+ *   headers of the route `req.route` names once the response head is sent,
+ *   and `headersFor(route)`, which lists them as `[name, value]` pairs for
+ *   responses written without `res`
+ */
+function createSecurityHeaders(securityHeadersConfiguration) {
+  const { routes, ...defaults } = securityHeadersConfiguration;
+  const fallback = policyHeaders(defaults);
+  const policies = new Map(Object.entries(routes).map(([pattern, overrides]) => [pattern, policyHeaders({ ...defaults, ...overrides })]));
+  const headersFor = (route) => policies.get(route) || fallback;
+
+  /**
+   * Sets the route's headers and strips version headers before the head is sent
+   *
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Its response
+   */
+  const track = (req, res) => {
+    const { writeHead } = res;
+
+    res.writeHead = function (statusCode, ...rest) {
+      if (res.headersSent) {
+        return writeHead.apply(res, [statusCode, ...rest]);
+      }
+
+      const headers = rest.find((arg) => arg && typeof arg === 'object' && !Array.isArray(arg));
+      if (headers) {
+        for (const [name, value] of Object.entries(headers)) {
+          res.setHeader(name, value);
+        }
+      }
+
+      for (const [name, value] of headersFor(req.route)) {
+        if (!res.hasHeader(name)) {
+          res.setHeader(name, value);
+        }
+      }
+      VERSION_HEADERS.forEach((name) => res.removeHeader(name));
+      if (/\d/.test(String(res.getHeader('Server') || ''))) {
+        res.removeHeader('Server');
+      }
+
+      return writeHead.apply(res, [statusCode, ...rest.filter((arg) => arg !== headers)]);
+    };
+  };
+
+  return {
+    track,
+    headersFor
+  };
+}
+
+module.exports = {
+  createSecurityHeaders
+};
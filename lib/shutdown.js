@@ -0,0 +1,180 @@
+/**
+ * Graceful Shutdown Coordinator
+ *
+ * Tracks the connections of an HTTP server and how many requests each one
+ * is serving so the server can be drained: report not ready for a while so
+ * load balancers stop routing to it, stop accepting connections, let
+ * in-flight requests finish (answering HTTP/1.1 ones with `Connection: close`
+ * and sending HTTP/2 sessions a GOAWAY), close idle keep-alive sockets, and
+ * destroy whatever is left once the deadline passes.
+ *
+ * @fileoverview Connection tracking and draining for graceful shutdown
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+/**
+ * Attaches connection tracking to a server and returns its drain controller
+ *
+ * Must be called before the server accepts connections. HTTPS servers are
+ * tracked by their TLS sockets, the ones requests arrive on, so a
+ * connection counts once its handshake completes. HTTP/2 connections are
+ * tracked by their session instead, since their requests share it.
+ *
+ * @param {http.Server|https.Server|http2.Http2Server|http2.Http2SecureServer} server - Server to track
+ * @returns {Object} Controller exposing `drain(options)`, `forceClose()`,
+ *   `isDraining()` and the live `connections` map (socket or HTTP/2
+ *   session -> in-flight requests)
+ */
+function trackConnections(server) {
+  const connections = new Map();
+  const responses = new Set();
+  const speaksHttp2 = !(server instanceof http.Server || server instanceof https.Server);
+  let draining = false;
+  let drainPromise = null;
+  let forceClose = () => {};
+
+  const closeIfIdle = (connection) => {
+    if (!draining) {
+      return;
+    }
+    if (typeof connection.goaway === 'function') {
+      // Sends GOAWAY and closes once the open streams finish
+      connection.close();
+    } else if (connections.get(connection) === 0) {
+      connection.destroy();
+    }
+  };
+
+  server.on(server instanceof tls.Server ? 'secureConnection' : 'connection', (socket) => {
+    // h2 and h2c sockets are tracked through their session
+    if (speaksHttp2 && (socket.alpnProtocol === 'h2' || !socket.encrypted)) {
+      return;
+    }
+    connections.set(socket, 0);
+    socket.once('close', () => connections.delete(socket));
+  });
+
+  server.on('session', (session) => {
+    connections.set(session, 0);
+    session.once('close', () => connections.delete(session));
+    closeIfIdle(session);
+  });
+
+  // Runs before the application's listener, which may answer synchronously
+  server.prependListener('request', (req, res) => {
+    const connection = req.stream ? req.stream.session : req.socket;
+    connections.set(connection, (connections.get(connection) || 0) + 1);
+    responses.add(res);
+
+    if (draining && !req.stream) {
+      res.setHeader('Connection', 'close');
+    }
+
+    let done = false;
+    const onDone = () => {
+      if (done) return;
+      done = true;
+      responses.delete(res);
+      if (connections.has(connection)) {
+        connections.set(connection, connections.get(connection) - 1);
+        closeIfIdle(connection);
+      }
+    };
+    res.once('finish', onDone);
+    res.once('close', onDone);
+  });
+
+  /**
+   * Stops accepting connections and waits for in-flight requests to finish
+   *
+   * `isDraining()` turns true at once, which fails readiness; the listener
+   * keeps accepting for `readinessDelay` so requests a load balancer routes
+   * before it notices are still served, with `Connection: close`. Calling
+   * drain again while a drain is in progress returns the same promise.
+   *
+   * @param {Object} options - Drain options
+   * @param {number} options.readinessDelay - Milliseconds between failing readiness and closing the listener (default: 0)
+   * @param {number} options.timeout - Deadline in milliseconds, from closing the listener, before sockets are destroyed
+   * @param {boolean} options.forceAfterTimeout - Destroy remaining sockets at the deadline (default: true)
+   * @returns {Promise<Object>} Resolves with `{ forced, remaining, durationMs }` once the server is closed
+   */
+  const drain = (options = {}) => {
+    if (drainPromise) {
+      return drainPromise;
+    }
+
+    const timeout = options.timeout === undefined ? 5000 : options.timeout;
+    const readinessDelay = options.readinessDelay || 0;
+    const forceAfterTimeout = options.forceAfterTimeout !== false;
+    const startTime = Date.now();
+
+    draining = true;
+
+    drainPromise = new Promise((resolve) => {
+      let forced = false;
+      let remaining = 0;
+      let timer = null;
+      let delayTimer = null;
+
+      const close = () => {
+        clearTimeout(delayTimer);
+        delayTimer = null;
+
+        server.close(() => {
+          if (timer) clearTimeout(timer);
+          resolve({ forced, remaining, durationMs: Date.now() - startTime });
+        });
+
+        for (const res of responses) {
+          if (!res.headersSent && !res.stream) {
+            res.setHeader('Connection', 'close');
+          }
+        }
+
+        for (const connection of connections.keys()) {
+          closeIfIdle(connection);
+        }
+
+        if (forceAfterTimeout) {
+          timer = setTimeout(forceClose, timeout);
+          timer.unref();
+        }
+      };
+
+      forceClose = () => {
+        if (forced) return;
+        if (delayTimer) {
+          close();
+        }
+        forced = true;
+        remaining = connections.size;
+        for (const connection of connections.keys()) {
+          connection.destroy();
+        }
+      };
+
+      if (readinessDelay > 0) {
+        delayTimer = setTimeout(close, readinessDelay);
+      } else {
+        close();
+      }
+    });
+
+    return drainPromise;
+  };
+
+  return {
+    connections,
+    drain,
+    forceClose: () => forceClose(),
+    isDraining: () => draining
+  };
+}
+
+module.exports = {
+  trackConnections
+};
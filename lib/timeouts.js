@@ -0,0 +1,203 @@
+/**
+ * Slow Client Protection
+ *
+ * Applies the deadlines of `timeoutConfiguration` to a server so clients
+ * that send their request slowly (slowloris) or stop reading cannot hold
+ * connections open indefinitely:
+ *
+ * - `headersTimeout` and `requestTimeout` bound the time to receive the
+ *   request headers and the whole request; `keepAliveTimeout` bounds the
+ *   wait for the next request on a persistent connection
+ * - `idleTimeout` closes a connection on which the client has sent and read
+ *   nothing for that long while the server waits on it
+ * - `maxPendingConnectionsPerIp` caps the connections one address may hold
+ *   open without having sent a complete request head; trusted proxies
+ *   (`proxyConfiguration`) carry many clients' connections and are exempt
+ *
+ * An HTTP/1.1 client that times out before its response has started is
+ * answered with `408 Request Timeout` and the connection is closed; the peer
+ * is logged on stderr, through the request's logger once the request head
+ * has arrived and so has an ID. Replies written straight to the socket,
+ * before there is a request to route, carry the top-level security headers.
+ * HTTP/2 sessions are subject to the idle timeout and the per-address cap;
+ * HTTP/1.1 clients of an HTTP/2 server that allows them (the TLS fallback)
+ * are protected like those of an HTTP/1.1 server.
+ *
+ * @fileoverview Request, header and idle timeouts and a per-address cap on pending connections
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const { createProxyTrust, normalizeAddress } = require('./proxy');
+const { loggerFor } = require('./request-id');
+const { sendStatus } = require('./router');
+
+/**
+ * Status lines Node.js answers client errors with, by error code; any
+ * other parse error is a 400
+ */
+const CLIENT_ERROR_STATUS = {
+  ERR_HTTP_REQUEST_TIMEOUT: '408 Request Timeout',
+  HPE_HEADER_OVERFLOW: '431 Request Header Fields Too Large',
+  HPE_CHUNK_EXTENSIONS_OVERFLOW: '413 Payload Too Large'
+};
+
+/**
+ * Longest interval between checks of the header and request deadlines;
+ * Node.js checks every 30 seconds by default, which lets a slow client keep
+ * its connection that much longer than configured
+ */
+const MAX_CHECK_INTERVAL = 1000;
+
+/**
+ * Formats a socket's remote end for log messages
+ *
+ * @param {net.Socket} socket - Client socket
+ * @returns {string} `address:port`, with IPv6 addresses in brackets
+ */
+function formatPeer(socket) {
+  const address = socket.remoteAddress || 'unknown';
+  return `${address.includes(':') ? `[${address}]` : address}:${socket.remotePort}`;
+}
+
+/**
+ * Server options that make Node.js enforce the deadlines promptly
+ *
+ * @param {Object} timeoutConfiguration - Resolved `timeoutConfiguration` section
+ * @returns {Object} Options for http.createServer / https.createServer
+ */
+function timeoutServerOptions({ headersTimeout, requestTimeout }) {
+  const shortest = Math.min(...[headersTimeout, requestTimeout].filter((timeout) => timeout > 0), MAX_CHECK_INTERVAL * 4);
+  return { connectionsCheckingInterval: Math.max(10, Math.min(MAX_CHECK_INTERVAL, Math.floor(shortest / 4))) };
+}
+
+/**
+ * Applies timeouts and the pending connection cap to a server
+ *
+ * With `hops` set every peer is a proxy, so the cap applies to no one.
+ *
+ * @param {http.Server|https.Server|http2.Http2Server|http2.Http2SecureServer} server - Server to protect
+ * @param {Object} timeoutConfiguration - Resolved `timeoutConfiguration` section
+ * @param {Object} proxyConfiguration - Resolved `proxyConfiguration` section
+ * @param {Array[]} headers - `[name, value]` pairs added to replies written
+ *   straight to the socket
+ */
+function applyTimeouts(server, timeoutConfiguration, proxyConfiguration = { trustedProxies: [], hops: 0 }, headers = []) {
+  const { keepAliveTimeout, headersTimeout, requestTimeout, idleTimeout, maxPendingConnectionsPerIp } = timeoutConfiguration;
+  const rawReply = (status) => [`HTTP/1.1 ${status}`, 'Connection: close', ...headers.map(([name, value]) => `${name}: ${value}`), '', ''].join('\r\n');
+  const trusts = createProxyTrust(proxyConfiguration.trustedProxies);
+  const capped = maxPendingConnectionsPerIp > 0 && proxyConfiguration.hops === 0;
+  // Node.js gives an HTTP/2 server header and request deadlines only when
+  // it accepts HTTP/1.1 clients (allowHTTP1)
+  const speaksHttp1 = server instanceof http.Server || server instanceof https.Server ||
+    server.requestTimeout !== undefined;
+
+  server.keepAliveTimeout = keepAliveTimeout;
+  server.headersTimeout = headersTimeout;
+  server.requestTimeout = requestTimeout;
+
+  // Connections without a complete request head yet, as ports by address
+  const pending = new Map();
+  const refusing = new Set();
+
+  const release = (address, port) => {
+    const ports = pending.get(address);
+    if (ports && ports.delete(port)) {
+      if (ports.size === 0) {
+        pending.delete(address);
+      }
+      refusing.delete(address);
+    }
+  };
+
+  server.on('connection', (socket) => {
+    const { remoteAddress: address, remotePort: port } = socket;
+    if (!capped || address === undefined || trusts(normalizeAddress(address))) {
+      return;
+    }
+
+    const ports = pending.get(address) || new Set();
+    if (ports.size >= maxPendingConnectionsPerIp) {
+      if (!refusing.has(address)) {
+        refusing.add(address);
+        console.error(`Refusing connections from ${address}: ${ports.size} connections are still sending their request`);
+      }
+      socket.destroy();
+      return;
+    }
+    pending.set(address, ports.add(port));
+    socket.once('close', () => release(address, port));
+  });
+
+  server.on('request', (req) => {
+    release(req.socket.remoteAddress, req.socket.remotePort);
+  });
+
+  if (!speaksHttp1) {
+    // Idle HTTP/2 sessions are closed by Node.js itself
+    server.setTimeout(idleTimeout);
+    return;
+  }
+
+  // Responses in flight by socket, to tell whether an error reply is safe
+  const responses = new Map();
+  server.on('request', (req, res) => {
+    if (req.httpVersionMajor !== 1) {
+      return;
+    }
+    responses.set(req.socket, res);
+    res.once('close', () => {
+      if (responses.get(req.socket) === res) {
+        responses.delete(req.socket);
+      }
+    });
+  });
+
+  server.on('clientError', (error, socket) => {
+    const res = responses.get(socket);
+    if (error.code === 'ERR_HTTP_REQUEST_TIMEOUT') {
+      (res ? loggerFor(res.req) : console).error(`Request from ${formatPeer(socket)} timed out; closing the connection`);
+    }
+    if (socket.writable && !(res && res.headersSent)) {
+      socket.write(rawReply(CLIENT_ERROR_STATUS[error.code] || '400 Bad Request'));
+    }
+    socket.destroy();
+  });
+
+  server.setTimeout(idleTimeout, (socket) => {
+    if (!(socket instanceof net.Socket)) {
+      // An HTTP/2 session of a server with HTTP/1.1 fallback
+      socket.destroy();
+      return;
+    }
+    const res = responses.get(socket);
+    if (res && res.req.complete && socket.writableLength === 0) {
+      // The client is waiting on the handler, not the other way round
+      return;
+    }
+    if (!res && socket.bytesWritten > 0) {
+      // A persistent connection waiting for its next request
+      socket.destroy();
+      return;
+    }
+
+    (res ? loggerFor(res.req) : console).error(`Connection from ${formatPeer(socket)} idle for ${idleTimeout}ms; closing it`);
+    if (res && !res.headersSent) {
+      res.setHeader('Connection', 'close');
+      sendStatus(res, 408, 'Request Timeout');
+      return;
+    }
+    if (!res && socket.writable) {
+      socket.write(rawReply('408 Request Timeout'));
+    }
+    socket.destroy();
+  });
+}
+
+module.exports = {
+  applyTimeouts,
+  timeoutServerOptions
+};
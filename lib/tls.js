@@ -0,0 +1,107 @@
+/**
+ * TLS Support
+ *
+ * Helpers for HTTPS mode: reading the key and certificate (or PFX bundle)
+ * named by `tlsConfiguration`, the `Strict-Transport-Security` header and
+ * the plain-HTTP listener that redirects clients to HTTPS.
+ *
+ * Credentials are read from disk every time so a SIGHUP can swap renewed
+ * certificates into a running server with `server.setSecureContext()`.
+ *
+ * @fileoverview Certificate loading, HSTS and HTTP to HTTPS redirects
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+
+const { ConfigError } = require('./config');
+
+/**
+ * Reads the TLS credentials named by the configuration and checks that
+ * they form a usable secure context
+ *
+ * @param {Object} tlsConfiguration - Resolved `tlsConfiguration` section
+ * @returns {Object} Options for `https.createServer` / `setSecureContext`:
+ *   `{ pfx }` or `{ key, cert }`, plus `passphrase` when configured
+ * @throws {ConfigError} When a file cannot be read or the credentials are invalid
+ */
+function readCredentials(tlsConfiguration) {
+  const problems = [];
+  const read = (name) => {
+    try {
+      return fs.readFileSync(tlsConfiguration[name]);
+    } catch (error) {
+      problems.push(`tlsConfiguration.${name}: cannot read ${tlsConfiguration[name]} (${error.code})`);
+      return undefined;
+    }
+  };
+
+  const credentials = tlsConfiguration.pfxFile
+    ? { pfx: read('pfxFile') }
+    : { key: read('keyFile'), cert: read('certFile') };
+  if (tlsConfiguration.passphrase) {
+    credentials.passphrase = tlsConfiguration.passphrase;
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  try {
+    tls.createSecureContext(credentials);
+  } catch (error) {
+    throw new ConfigError(`tlsConfiguration: unusable key or certificate (${error.message})`);
+  }
+  return credentials;
+}
+
+/**
+ * Builds the Strict-Transport-Security header value
+ *
+ * @param {Object} hsts - `tlsConfiguration.hsts`
+ * @returns {string|null} Header value, or null when HSTS is disabled
+ */
+function hstsHeader({ enabled, maxAge, includeSubDomains }) {
+  if (!enabled) {
+    return null;
+  }
+  return includeSubDomains ? `max-age=${maxAge}; includeSubDomains` : `max-age=${maxAge}`;
+}
+
+/**
+ * Creates the request listener of the HTTP to HTTPS redirect server
+ *
+ * Redirects with 308 so clients repeat the same method and body. The host
+ * comes from the Host header when it is a plain name or address, otherwise
+ * from the configured hostname. A host forwarded by a trusted proxy is used
+ * as is, on the default HTTPS port, since clients reach the server through
+ * the proxy rather than on its own port.
+ *
+ * @param {string} hostname - Configured listen hostname
+ * @param {Function} httpsPort - Returns the port the HTTPS server is bound to
+ * @param {Function} resolveClient - Client resolver from lib/proxy.js (optional)
+ * @returns {Function} Request listener
+ */
+function createRedirectHandler(hostname, httpsPort, resolveClient = null) {
+  const fallbackHost = hostname.includes(':') ? `[${hostname}]` : hostname;
+
+  return (req, res) => {
+    const client = resolveClient ? resolveClient(req) : { host: req.headers.host, forwarded: false };
+    const host = (client.host || '').replace(/:\d*$/, '');
+    const validHost = /^([A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.?|\[[0-9A-Fa-f:.]+\])$/.test(host);
+    const port = client.forwarded ? 443 : httpsPort();
+    const authority = `${validHost ? host : fallbackHost}${port === 443 ? '' : `:${port}`}`;
+    const target = req.url.startsWith('/') ? req.url : '/';
+
+    res.statusCode = 308;
+    res.setHeader('Location', `https://${authority}${target}`);
+    res.setHeader('Content-Length', 0);
+    res.end();
+  };
+}
+
+module.exports = {
+  createRedirectHandler,
+  hstsHeader,
+  readCredentials
+};
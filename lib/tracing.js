@@ -0,0 +1,328 @@
+/**
+ * Distributed Tracing
+ *
+ * Joins incoming W3C Trace Context (`traceparent` / `tracestate`) or starts
+ * a new trace, records one server span per request and exports finished
+ * spans as OTLP/JSON `ExportTraceServiceRequest` batches, either appended to
+ * a file (one batch per line) or POSTed to an OTLP/HTTP collector.
+ *
+ * Handlers receive the span context as `req.traceContext`, including the
+ * `traceparent` to send on outgoing calls so downstream spans become
+ * children of this one.
+ *
+ * @fileoverview W3C Trace Context propagation and OTLP/JSON span export
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+const { name: scopeName, version: scopeVersion } = require('../package.json');
+const { ConfigError } = require('./config');
+
+/**
+ * Finished spans buffered before a batch is exported early
+ */
+const MAX_BATCH_SIZE = 512;
+
+const SPAN_KIND_SERVER = 2;
+const STATUS_UNSET = 0;
+const STATUS_ERROR = 2;
+
+/**
+ * Parses a `traceparent` header
+ *
+ * Version 00 must have exactly four fields; later versions may append
+ * fields, which are ignored. All-zero trace and parent IDs are invalid.
+ *
+ * @param {string|undefined} header - Header value
+ * @returns {Object|null} `{ traceId, parentSpanId, flags }`, or null when
+ *   absent or malformed
+ */
+function parseTraceparent(header) {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const fields = header.trim().toLowerCase().split('-');
+  const [version, traceId, parentSpanId, flags] = fields;
+  if (fields.length < 4 ||
+      !/^[0-9a-f]{2}$/.test(version) || version === 'ff' ||
+      (version === '00' && fields.length !== 4) ||
+      !/^[0-9a-f]{32}$/.test(traceId) || /^0+$/.test(traceId) ||
+      !/^[0-9a-f]{16}$/.test(parentSpanId) || /^0+$/.test(parentSpanId) ||
+      !/^[0-9a-f]{2}$/.test(flags)) {
+    return null;
+  }
+
+  return { traceId, parentSpanId, flags: parseInt(flags, 16) };
+}
+
+/**
+ * Normalizes a `tracestate` header: drops empty and malformed list members
+ * and keeps at most 32, as the W3C specification allows
+ *
+ * @param {string|undefined} header - Header value
+ * @returns {string} Normalized list, or an empty string
+ */
+function parseTracestate(header) {
+  if (typeof header !== 'string') {
+    return '';
+  }
+
+  return header.split(',')
+    .map((member) => member.trim())
+    .filter((member) => /^[a-z0-9][a-z0-9_\-*/@]{0,255}=[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/.test(member))
+    .slice(0, 32)
+    .join(',');
+}
+
+/**
+ * Formats a span context as a `traceparent` header value
+ *
+ * @param {Object} context - `{ traceId, spanId, flags }`
+ * @returns {string} Version 00 header value
+ */
+function formatTraceparent({ traceId, spanId, flags }) {
+  return `00-${traceId}-${spanId}-${flags.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Current wall-clock time in nanoseconds since the Unix epoch, with the
+ * sub-millisecond precision of the performance timer
+ *
+ * @returns {bigint} Nanoseconds
+ */
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+/**
+ * Converts a value to an OTLP/JSON AnyValue
+ *
+ * @param {string|number} value - Attribute value
+ * @returns {Object} `{ stringValue }` or `{ intValue }`
+ */
+function anyValue(value) {
+  return typeof value === 'number' ? { intValue: String(value) } : { stringValue: String(value) };
+}
+
+/**
+ * Opens the file spans are appended to
+ *
+ * The file is opened when the tracer is created, so a destination that
+ * cannot be written is reported at startup rather than on the first export.
+ *
+ * @param {string} destination - File path
+ * @returns {fs.WriteStream} Stream appending to the file
+ * @throws {ConfigError} When the file cannot be opened for appending
+ */
+function openFile(destination) {
+  let fd;
+  try {
+    fd = fs.openSync(destination, 'a');
+  } catch (error) {
+    throw new ConfigError(`tracingConfiguration.destination: cannot open ${destination} (${error.code})`);
+  }
+  return fs.createWriteStream(destination, { fd });
+}
+
+/**
+ * Sends one export batch to its destination
+ *
+ * @param {string} destination - File path or http(s) collector URL
+ * @param {fs.WriteStream|null} file - Open file stream for file destinations
+ * @param {string} body - OTLP/JSON request body
+ * @returns {Promise<void>} Resolves once written or sent; never rejects
+ */
+function send(destination, file, body) {
+  if (file) {
+    return new Promise((resolve) => file.write(`${body}\n`, () => resolve()));
+  }
+
+  return new Promise((resolve) => {
+    const client = destination.startsWith('https:') ? https : http;
+    const req = client.request(destination, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 300) {
+          console.error(`Trace export to ${destination} failed: HTTP ${res.statusCode}`);
+        }
+        resolve();
+      });
+    });
+    req.on('error', (error) => {
+      console.error(`Trace export to ${destination} failed: ${error.message}`);
+      resolve();
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Creates a tracer from the tracing configuration
+ *
+ * With tracing disabled, incoming context is still parsed and propagated to
+ * handlers but no spans are recorded.
+ *
+ * @param {Object} tracingConfiguration - Resolved `tracingConfiguration` section
+ * @returns {Object} Tracer exposing `track(req, res)`, which starts the
+ *   request's span and ends it once the response completes, `flush()` and
+ *   `close()`, which both resolve once buffered spans are exported
+ * @throws {ConfigError} When tracing to a file that cannot be opened
+ */
+function createTracer(tracingConfiguration) {
+  const { enabled, serviceName, destination, flushInterval } = tracingConfiguration;
+  const toCollector = /^https?:\/\//i.test(destination);
+  const watch = (stream) => stream.on('error', (error) => console.error(`Trace export to ${destination} failed: ${error.message}`));
+  let file = enabled && !toCollector ? watch(openFile(destination)) : null;
+  let timer = null;
+  let pending = [];
+  let exports = Promise.resolve();
+
+  const resource = { attributes: [{ key: 'service.name', value: anyValue(serviceName) }] };
+
+  /**
+   * Exports every buffered span as one batch
+   *
+   * @returns {Promise<void>} Resolves once this and earlier batches are exported
+   */
+  const flush = () => {
+    if (pending.length > 0) {
+      const spans = pending;
+      pending = [];
+      if (!toCollector && !file) {
+        file = watch(fs.createWriteStream(destination, { flags: 'a' }));
+      }
+      const body = JSON.stringify({
+        resourceSpans: [{
+          resource,
+          scopeSpans: [{ scope: { name: scopeName, version: scopeVersion }, spans }]
+        }]
+      });
+      exports = exports.then(() => send(destination, file, body));
+    }
+    return exports;
+  };
+
+  /**
+   * Buffers a finished span, exporting when the batch is full and
+   * otherwise within `flushInterval`
+   *
+   * @param {Object} span - OTLP/JSON span
+   */
+  const record = (span) => {
+    pending.push(span);
+    if (pending.length >= MAX_BATCH_SIZE) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, flushInterval);
+      timer.unref();
+    }
+  };
+
+  /**
+   * Assigns the request its span context and records its server span
+   *
+   * @param {http.IncomingMessage} req - Incoming request; receives `req.traceContext`
+   * @param {http.ServerResponse} res - Its response
+   */
+  const track = (req, res) => {
+    const parent = parseTraceparent(req.headers.traceparent);
+    const context = {
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      spanId: crypto.randomBytes(8).toString('hex'),
+      parentSpanId: parent ? parent.parentSpanId : undefined,
+      flags: parent ? parent.flags : 1,
+      tracestate: parent ? parseTracestate(req.headers.tracestate) : ''
+    };
+    context.sampled = (context.flags & 1) === 1;
+    context.traceparent = formatTraceparent(context);
+    req.traceContext = context;
+
+    if (!enabled || !context.sampled) {
+      return;
+    }
+
+    const startTime = nowUnixNano();
+    let ended = false;
+    const end = () => {
+      if (ended) return;
+      ended = true;
+
+      const status = res.headersSent ? res.statusCode : 0;
+      const queryIndex = req.url.indexOf('?');
+      const client = req.remoteClient ||
+        { address: req.socket.remoteAddress, protocol: req.socket.encrypted ? 'https' : 'http' };
+      const attributes = {
+        'http.request.method': req.method,
+        'url.path': queryIndex === -1 ? req.url : req.url.slice(0, queryIndex),
+        'url.scheme': client.protocol,
+        'network.protocol.version': req.httpVersionMajor >= 2 ? '2' : req.httpVersion,
+        'http.response.status_code': status
+      };
+      if (req.route) attributes['http.route'] = req.route;
+      if (client.address) attributes['client.address'] = client.address;
+      if (req.socket.remoteAddress) attributes['network.peer.address'] = req.socket.remoteAddress;
+      if (req.headers['user-agent']) attributes['user_agent.original'] = req.headers['user-agent'];
+      if (req.id) attributes['http.request.id'] = req.id;
+
+      const span = {
+        traceId: context.traceId,
+        spanId: context.spanId,
+        name: req.route ? `${req.method} ${req.route}` : req.method,
+        kind: SPAN_KIND_SERVER,
+        startTimeUnixNano: String(startTime),
+        endTimeUnixNano: String(nowUnixNano()),
+        attributes: Object.entries(attributes).map(([key, value]) => ({ key, value: anyValue(value) })),
+        status: status >= 500 || status === 0 ? { code: STATUS_ERROR } : { code: STATUS_UNSET }
+      };
+      if (context.parentSpanId) span.parentSpanId = context.parentSpanId;
+      if (context.tracestate) span.traceState = context.tracestate;
+
+      record(span);
+    };
+
+    res.once('finish', end);
+    res.once('close', end);
+  };
+
+  /**
+   * Exports what is buffered and closes a file destination; spans that end
+   * later reopen it
+   *
+   * @returns {Promise<void>} Resolves once everything is exported
+   */
+  const close = async () => {
+    clearTimeout(timer);
+    timer = null;
+    await flush();
+    if (file) {
+      const closing = file;
+      file = null;
+      await new Promise((resolve) => closing.end(resolve));
+    }
+  };
+
+  return {
+    track,
+    flush,
+    close
+  };
+}
+
+module.exports = {
+  createTracer,
+  formatTraceparent,
+  parseTraceparent,
+  parseTracestate
+};
@@ -1,14 +1,610 @@
+/**
+ * Hello World HTTP Server
+ *
+ * Exposes factories for the request handler and the HTTP(S) server so tests and
+ * embedding code exercise the production handler, and only binds a port when
+ * executed directly (`node server.js`).
+ *
+ * All factories accept a configuration object in the shape resolved by
+ * lib/config.js; omitted keys fall back to the schema defaults.
+ *
+ * @fileoverview HTTP server factory and command-line entry point
+ * @version 1.1.0
+ */
+
 const http = require('http');
+const https = require('https');
 
-const hostname = '127.0.0.1';
-const port = 3000;
+const { ConfigError, DEFAULTS, loadConfig, normalizeConfig } = require('./lib/config');
+const { createAccessLogger } = require('./lib/access-log');
+const { createBodyParser } = require('./lib/body');
+const { createCompression } = require('./lib/compression');
+const { createEtag, sendRepresentation } = require('./lib/conditional');
+const { createCors } = require('./lib/cors');
+const { createEcho } = require('./lib/echo');
+const { createHttp2Server } = require('./lib/http2');
+const { createHealth } = require('./lib/health');
+const { createLoadShedder } = require('./lib/load-shedding');
+const { createMetrics } = require('./lib/metrics');
+const { createProxyResolver } = require('./lib/proxy');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { assignRequestId } = require('./lib/request-id');
+const { createTracer } = require('./lib/tracing');
+const { appendVary, negotiate } = require('./lib/negotiation');
+const { createRouter, sendStatus } = require('./lib/router');
+const { createSecurityHeaders } = require('./lib/security-headers');
+const { trackConnections } = require('./lib/shutdown');
+const { applyTimeouts, timeoutServerOptions } = require('./lib/timeouts');
+const { createRedirectHandler, hstsHeader, readCredentials } = require('./lib/tls');
 
-const server = http.createServer((req, res) => {
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/plain');
-  res.end('Hello, World!\n');
-});
+const DEFAULT_HOSTNAME = DEFAULTS.serverConfiguration.hostname;
+const DEFAULT_PORT = DEFAULTS.serverConfiguration.port;
 
-server.listen(port, hostname, () => {
-  console.log(`Server running at http://${hostname}:${port}/`);
+/**
+ * Process exit codes reported by the command-line entry point
+ *
+ * A port conflict keeps exit code 1 as expected by
+ * test/fixtures/error-scenarios.json; every other failure gets its own code
+ * so supervisors can tell them apart.
+ */
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  ADDRESS_IN_USE: 1,
+  CONFIG_ERROR: 2,
+  PERMISSION_DENIED: 3,
+  ADDRESS_NOT_AVAILABLE: 4,
+  LISTEN_ERROR: 5,
+  SHUTDOWN_TIMEOUT: 6
 });
+
+/**
+ * Startup failures with a dedicated exit code and explanation, keyed by error code
+ */
+const LISTEN_ERRORS = {
+  EADDRINUSE: {
+    exitCode: EXIT_CODES.ADDRESS_IN_USE,
+    hint: 'address already in use; stop the other process, choose another port with --port or pass --port-retry'
+  },
+  EACCES: {
+    exitCode: EXIT_CODES.PERMISSION_DENIED,
+    hint: 'permission denied; ports below 1024 usually require elevated privileges'
+  },
+  EADDRNOTAVAIL: {
+    exitCode: EXIT_CODES.ADDRESS_NOT_AVAILABLE,
+    hint: 'address not available; the host is not assigned to any local interface'
+  },
+  ENOTFOUND: {
+    exitCode: EXIT_CODES.ADDRESS_NOT_AVAILABLE,
+    hint: 'hostname could not be resolved'
+  }
+};
+
+/**
+ * Methods answered by the hello-world route at `/`; the router adds HEAD and OPTIONS
+ */
+const HELLO_METHODS = Object.freeze(['GET', 'POST', 'PUT', 'DELETE', 'PATCH']);
+
+/**
+ * Methods of the hello-world route whose request body is read, and the
+ * body parsers it accepts; the greeting ignores the body, but a malformed,
+ * oversized or unsupported one is refused with 400, 413 or 415
+ */
+const HELLO_BODY_METHODS = Object.freeze(['POST', 'PUT', 'PATCH']);
+const HELLO_BODY_TYPES = Object.freeze(['json', 'urlencoded', 'multipart', 'text', 'raw']);
+
+/**
+ * Body parsers accepted by the form submission route at `/submit`
+ */
+const SUBMIT_BODY_TYPES = Object.freeze(['urlencoded', 'multipart']);
+
+/**
+ * Escapes text for HTML and XML markup
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return text.replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Builds the representations of the greeting, most preferred first
+ *
+ * The configured body is served as-is with the configured Content-Type;
+ * the JSON, HTML and XML variants carry the body without its trailing
+ * newline as the message.
+ *
+ * @param {Object} responseConfiguration - Configured `body` and `contentType`
+ * @returns {Object[]} Representations as `{ type, body, etag }`
+ */
+function greetingRepresentations({ body, contentType }) {
+  const message = body.replace(/\r?\n$/, '');
+  const escaped = escapeMarkup(message);
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<message>${escaped}</message>\n`;
+  const representations = [
+    { type: contentType, body },
+    { type: 'application/json', body: JSON.stringify({ message }) },
+    {
+      type: 'text/html',
+      body: '<!DOCTYPE html>\n<html lang="en">\n' +
+        `<head><meta charset="utf-8"><title>${escaped}</title></head>\n` +
+        `<body><h1>${escaped}</h1></body>\n</html>\n`
+    },
+    { type: 'application/xml', body: xml },
+    { type: 'text/xml', body: xml }
+  ];
+
+  const seen = new Set();
+  return representations
+    .filter(({ type }) => {
+      const key = type.split(';')[0].trim().toLowerCase();
+      return seen.has(key) ? false : seen.add(key);
+    })
+    .map((representation) => ({ ...representation, etag: createEtag(representation.body) }));
+}
+
+/**
+ * Creates the request handler used by the server
+ *
+ * Each request passes through, in order:
+ *
+ * - client resolution through trusted proxies, and HSTS for HTTPS clients
+ * - request ID and trace context
+ * - access log, metrics, compression and security headers
+ * - load shedding, which may answer 503
+ * - the router: CORS, rate limiting, then the route handler
+ *
+ * Built in are `/` (the negotiated, cacheable greeting), `/submit` (form
+ * submissions), the health probes, `/metrics` and, when enabled, `/echo`;
+ * other paths are 404 unless added through `app.router`. Bodies sent to
+ * `/`, `/submit` and `/echo` are read by `app.bodyParser`.
+ *
+ * @param {Object} options - Configuration; `responseConfiguration` sets the body and Content-Type
+ * @returns {Function} Request listener compatible with http.createServer,
+ *   exposing `app.router`, `app.bodyParser`,
+ *   `app.health`, `app.accessLog`, `app.metrics`, `app.tracer`,
+ *   `app.loadShedder`, `app.rateLimiter` and `app.securityHeaders`
+ */
+function createApp(options = {}) {
+  const config = normalizeConfig(options);
+  const representations = greetingRepresentations(config.responseConfiguration);
+  const types = representations.map(({ type }) => type);
+  const rateLimiter = createRateLimiter(config.rateLimitConfiguration, config.proxyConfiguration);
+  const router = createRouter({
+    cacheControl: config.cacheConfiguration.cacheControl,
+    cors: createCors(config.corsConfiguration),
+    rateLimit: rateLimiter
+  });
+  const lastModified = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  const bodyParser = createBodyParser(config.bodyConfiguration);
+
+  const greet = (req, res) => {
+    appendVary(res, 'Accept');
+
+    const type = negotiate(req.headers.accept, types);
+    if (!type) {
+      sendStatus(res, 406, `Not Acceptable; available types: ${types.join(', ')}`);
+      return;
+    }
+
+    const { body, etag } = representations[types.indexOf(type)];
+    res.setHeader('Content-Type', type);
+    sendRepresentation(req, res, {
+      body,
+      etag: config.cacheConfiguration.etag ? etag : undefined,
+      lastModified
+    });
+  };
+  const greetWithBody = bodyParser.parse(HELLO_BODY_TYPES, greet);
+  router.route(HELLO_METHODS, '/', (req, res) => {
+    (HELLO_BODY_METHODS.includes(req.method) ? greetWithBody : greet)(req, res);
+  });
+
+  router.route('POST', '/submit', bodyParser.parse(SUBMIT_BODY_TYPES, (req, res) => {
+    const body = JSON.stringify({
+      fields: Object.keys(req.body || {}),
+      files: req.files.map(({ field, filename, size }) => ({ field, filename, size }))
+    });
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+  }));
+
+  const health = createHealth(router);
+  const metrics = createMetrics(router);
+  createEcho(router, bodyParser, config.echoConfiguration);
+  const accessLog = createAccessLogger(config.loggingConfiguration);
+  const tracer = createTracer(config.tracingConfiguration);
+  const compression = createCompression(config.compressionConfiguration);
+  const securityHeaders = createSecurityHeaders(config.securityHeadersConfiguration);
+  const loadShedder = createLoadShedder(config.loadSheddingConfiguration);
+  const hsts = hstsHeader(config.tlsConfiguration.hsts);
+  const resolveClient = createProxyResolver(config.proxyConfiguration);
+
+  const app = (req, res) => {
+    req.remoteClient = resolveClient(req);
+    if (hsts && req.remoteClient.protocol === 'https') {
+      res.setHeader('Strict-Transport-Security', hsts);
+    }
+    assignRequestId(req, res);
+    tracer.track(req, res);
+    accessLog.track(req, res);
+    metrics.track(req, res);
+    compression.track(req, res);
+    securityHeaders.track(req, res);
+    if (loadShedder.track(req, res)) {
+      return;
+    }
+    router.handle(req, res);
+  };
+  app.router = router;
+  app.bodyParser = bodyParser;
+  app.health = health;
+  app.accessLog = accessLog;
+  app.metrics = metrics;
+  app.tracer = tracer;
+  app.loadShedder = loadShedder;
+  app.rateLimiter = rateLimiter;
+  app.securityHeaders = securityHeaders;
+  return app;
+}
+
+/**
+ * Creates an HTTP server wired to the application handler without binding it
+ *
+ * With `serverConfiguration.protocol` set to `https` the server speaks TLS
+ * using the credentials named by `tlsConfiguration`; `server.reloadCertificates()`
+ * re-reads them for new connections while existing ones keep theirs. When
+ * `tlsConfiguration.redirect.enabled` is set, `server.redirectServer` is a
+ * plain HTTP server that redirects every request to HTTPS; listen() binds it
+ * and shutdown closes it.
+ *
+ * `http2Configuration.enabled` switches to HTTP/2: h2 negotiated over TLS
+ * with HTTP/1.1 as the fallback, or cleartext h2c (prior knowledge only)
+ * when the protocol is `http`.
+ *
+ * Readiness (`/readyz`) starts failing as soon as the server begins draining.
+ *
+ * @param {Object} options - Configuration; `timeoutConfiguration` is applied to the server
+ *   and `shutdownConfiguration` supplies the defaults for `server.shutdown()`
+ * @returns {http.Server|https.Server|http2.Http2Server|http2.Http2SecureServer} Unstarted server instance; the handler is exposed as `server.app`,
+ *   the resolved configuration as `server.config` and connection tracking as
+ *   `server.connectionTracker`
+ * @throws {ConfigError} When the TLS key or certificate cannot be read or used
+ */
+function createServer(options = {}) {
+  const config = normalizeConfig(options);
+  const secure = config.serverConfiguration.protocol === 'https';
+  const app = createApp(config);
+  const credentials = secure ? readCredentials(config.tlsConfiguration) : null;
+  let server;
+  if (config.http2Configuration.enabled) {
+    server = createHttp2Server(config.http2Configuration, credentials, app);
+    if (credentials) {
+      // Deadlines of HTTP/1.1 fallback connections are checked like those of an HTTP/1.1 server
+      Object.assign(server, timeoutServerOptions(config.timeoutConfiguration));
+    }
+  } else {
+    const serverOptions = timeoutServerOptions(config.timeoutConfiguration);
+    server = secure ? https.createServer({ ...credentials, ...serverOptions }, app) : http.createServer(serverOptions, app);
+  }
+  const { gracefulShutdown } = config.shutdownConfiguration;
+  const tracker = trackConnections(server);
+
+  applyTimeouts(server, config.timeoutConfiguration, config.proxyConfiguration, app.securityHeaders.headersFor());
+  if (config.loadSheddingConfiguration.maxConnections > 0) {
+    server.maxConnections = config.loadSheddingConfiguration.maxConnections;
+  }
+  server.app = app;
+  server.config = config;
+  server.connectionTracker = tracker;
+
+  if (secure) {
+    /**
+     * Re-reads the configured key and certificate and uses them for new
+     * connections
+     *
+     * @throws {ConfigError} When the files cannot be read or used; the
+     *   current certificates stay in place
+     */
+    server.reloadCertificates = () => {
+      server.setSecureContext(readCredentials(config.tlsConfiguration));
+    };
+
+    if (config.tlsConfiguration.redirect.enabled) {
+      const redirect = createRedirectHandler(
+        config.serverConfiguration.hostname,
+        () => server.address().port,
+        createProxyResolver(config.proxyConfiguration)
+      );
+      server.redirectServer = http.createServer((req, res) => {
+        app.securityHeaders.track(req, res);
+        redirect(req, res);
+      });
+    }
+  }
+
+  app.health.addReadinessCheck('shutdown', () => !tracker.isDraining());
+  app.metrics.gauge('http_open_connections', 'Open client connections.', () => tracker.connections.size);
+  server.on('close', () => {
+    app.accessLog.close();
+    app.tracer.close();
+    app.loadShedder.stop();
+    app.rateLimiter.close();
+    if (server.redirectServer && server.redirectServer.listening) {
+      server.redirectServer.close();
+      server.redirectServer.closeAllConnections();
+    }
+  });
+
+  /**
+   * Drains the server: fails readiness, stops accepting connections after
+   * the configured readiness delay, finishes in-flight requests, closes idle
+   * keep-alive sockets and force-closes the rest after the deadline
+   *
+   * @param {Object} overrides - Per-call overrides for the drain options
+   * @returns {Promise<Object>} Resolves with `{ forced, remaining, durationMs }`
+   */
+  server.shutdown = (overrides = {}) => tracker.drain({
+    readinessDelay: gracefulShutdown.readinessDelay,
+    timeout: gracefulShutdown.timeout,
+    forceAfterTimeout: gracefulShutdown.forceShutdownAfterTimeout,
+    ...overrides
+  });
+
+  return server;
+}
+
+/**
+ * Formats the base URL a listening server is reachable at
+ *
+ * @param {string} hostname - Hostname the server was bound to
+ * @param {number} port - Port the server is actually bound to
+ * @param {string} protocol - `http` or `https` (default: `http`)
+ * @returns {string} Base URL with a trailing slash
+ */
+function formatUrl(hostname, port, protocol = 'http') {
+  return `${protocol}://${formatAddress(hostname, port)}/`;
+}
+
+/**
+ * Formats a host and port pair, bracketing IPv6 hosts
+ *
+ * @param {string} hostname - Hostname or IP address
+ * @param {number} port - Port number
+ * @returns {string} `host:port`
+ */
+function formatAddress(hostname, port) {
+  const host = hostname.includes(':') ? `[${hostname}]` : hostname;
+  return `${host}:${port}`;
+}
+
+/**
+ * Explains why a server could not start listening
+ *
+ * @param {Error} error - Error emitted by server.listen
+ * @param {string} hostname - Hostname the server tried to bind
+ * @param {number} port - Port the server tried to bind
+ * @returns {Object} `{ message, exitCode }` for the command-line entry point
+ */
+function describeListenError(error, hostname, port) {
+  const known = LISTEN_ERRORS[error.code];
+  const reason = known ? `${known.hint} (${error.code})` : error.message;
+
+  return {
+    message: `Cannot listen on ${formatAddress(hostname, port)}: ${reason}`,
+    exitCode: known ? known.exitCode : EXIT_CODES.LISTEN_ERROR
+  };
+}
+
+/**
+ * Binds a server created by createServer and logs the startup line
+ *
+ * Port 0 binds an ephemeral port; the startup line reports the port
+ * actually assigned by the operating system. When
+ * `serverConfiguration.portRetry` is set, a port that is already in use is
+ * skipped in favour of the next one, up to that many times. An HTTPS
+ * redirect listener is bound once the main server is listening; if it
+ * cannot bind, the main server is closed again.
+ *
+ * @param {http.Server} server - Unstarted server from createServer
+ * @returns {Promise<http.Server>} Listening server instance; rejects with the
+ *   last listen error, annotated with the `hostname` and `port` attempted
+ */
+function listen(server) {
+  const { port, hostname, portRetry } = server.config.serverConfiguration;
+  const lastPort = port === 0 ? 0 : Math.min(port + portRetry, 65535);
+
+  const attempt = (candidate) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(candidate, hostname, () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  }).catch((error) => {
+    if (error.code === 'EADDRINUSE' && candidate < lastPort) {
+      console.error(`Port ${candidate} on ${hostname} is already in use, trying ${candidate + 1}`);
+      return attempt(candidate + 1);
+    }
+    error.hostname = hostname;
+    error.port = candidate;
+    throw error;
+  });
+
+  const listenRedirect = () => new Promise((resolve, reject) => {
+    const { redirectServer } = server;
+    const redirectPort = server.config.tlsConfiguration.redirect.port;
+    redirectServer.once('error', reject);
+    redirectServer.listen(redirectPort, hostname, () => {
+      redirectServer.removeListener('error', reject);
+      resolve();
+    });
+  }).catch((error) => {
+    error.hostname = hostname;
+    error.port = server.config.tlsConfiguration.redirect.port;
+    return new Promise((resolve) => server.close(resolve)).then(() => {
+      throw error;
+    });
+  });
+
+  return attempt(port)
+    .then(() => server.redirectServer && listenRedirect())
+    .then(() => {
+      const protocol = server.config.serverConfiguration.protocol;
+      const suffix = server.config.http2Configuration.enabled ? ' (HTTP/2)' : '';
+      console.log(`Server running at ${formatUrl(hostname, server.address().port, protocol)}${suffix}`);
+      if (server.redirectServer) {
+        console.log(`Redirecting ${formatUrl(hostname, server.redirectServer.address().port)} to HTTPS`);
+      }
+      return server;
+    });
+}
+
+/**
+ * Creates a server, binds it and logs the startup line
+ *
+ * @param {Object} options - Configuration; `serverConfiguration` sets the bind address
+ * @returns {Promise<http.Server>} Listening server instance
+ */
+function start(options = {}) {
+  return listen(createServer(options));
+}
+
+/**
+ * Drains the server and exits the process when a configured signal arrives
+ *
+ * A second signal received while draining closes the remaining connections
+ * immediately. The process exits with EXIT_CODES.OK when every connection
+ * finished on its own and EXIT_CODES.SHUTDOWN_TIMEOUT when any had to be
+ * force-closed or the shutdown failed.
+ *
+ * @param {http.Server} server - Server from createServer
+ * @returns {Function} Removes the installed signal handlers
+ */
+function handleShutdownSignals(server) {
+  const { enabled, signals, timeout, readinessDelay } = server.config.shutdownConfiguration.gracefulShutdown;
+  if (!enabled) {
+    return () => {};
+  }
+
+  const onSignal = (signal) => {
+    if (server.connectionTracker.isDraining()) {
+      console.error(`Received ${signal} during shutdown, closing remaining connections`);
+      server.connectionTracker.forceClose();
+      return;
+    }
+
+    const delay = readinessDelay > 0 ? `, not ready for ${readinessDelay}ms first` : '';
+    console.log(`Received ${signal}, shutting down gracefully (timeout ${timeout}ms${delay})`);
+    server.shutdown().then(async ({ forced, remaining, durationMs }) => {
+      await Promise.all([server.app.accessLog.close(), server.app.tracer.close()]);
+      if (forced) {
+        console.error(`Shutdown forced after ${durationMs}ms, closed ${remaining} active connection(s)`);
+        process.exit(EXIT_CODES.SHUTDOWN_TIMEOUT);
+      } else {
+        console.log(`Server closed gracefully in ${durationMs}ms`);
+        process.exit(EXIT_CODES.OK);
+      }
+    }).catch((error) => {
+      console.error(`Shutdown failed: ${error.message}`);
+      process.exit(EXIT_CODES.SHUTDOWN_TIMEOUT);
+    });
+  };
+
+  for (const signal of signals) {
+    process.on(signal, onSignal);
+  }
+
+  return () => {
+    for (const signal of signals) {
+      process.removeListener(signal, onSignal);
+    }
+  };
+}
+
+/**
+ * Reloads the TLS key and certificate when SIGHUP arrives
+ *
+ * Connections accepted afterwards use the new certificates; open ones keep
+ * the certificates they were established with. Files that cannot be read or
+ * used are reported and the current certificates stay in place.
+ *
+ * @param {https.Server} server - HTTPS server from createServer
+ * @returns {Function} Removes the installed signal handler
+ */
+function handleReloadSignal(server) {
+  if (!server.reloadCertificates) {
+    return () => {};
+  }
+
+  const onSignal = () => {
+    try {
+      server.reloadCertificates();
+      console.log('Reloaded TLS certificates');
+    } catch (error) {
+      const reason = error instanceof ConfigError ? error.problems.join('; ') : error.message;
+      console.error(`Keeping current TLS certificates: ${reason}`);
+    }
+  };
+
+  process.on('SIGHUP', onSignal);
+  return () => process.removeListener('SIGHUP', onSignal);
+}
+
+/**
+ * Command-line entry point: resolves configuration and starts the server
+ *
+ * Signal handlers are installed before binding so a shutdown request that
+ * arrives during startup is still handled gracefully. A server that cannot
+ * bind, or whose TLS credentials cannot be loaded, reports why on stderr and
+ * sets the exit code from EXIT_CODES.
+ *
+ * @param {Object} options - Options forwarded to loadConfig (argv, env, cwd)
+ * @returns {Promise<http.Server|undefined>} Listening server, or undefined when
+ *   the configuration is invalid or the server cannot bind
+ */
+function main(options = {}) {
+  let server;
+  try {
+    server = createServer(loadConfig(options));
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(error.message);
+    process.exitCode = EXIT_CODES.CONFIG_ERROR;
+    return Promise.resolve();
+  }
+
+  const removeSignalHandlers = handleShutdownSignals(server);
+  const removeReloadHandler = handleReloadSignal(server);
+  return listen(server).catch((error) => {
+    const { message, exitCode } = describeListenError(error, error.hostname, error.port);
+    removeSignalHandlers();
+    removeReloadHandler();
+    console.error(message);
+    process.exitCode = exitCode;
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createApp,
+  createServer,
+  listen,
+  start,
+  main,
+  handleShutdownSignals,
+  handleReloadSignal,
+  describeListenError,
+  EXIT_CODES,
+  formatUrl,
+  DEFAULT_HOSTNAME,
+  DEFAULT_PORT
+};
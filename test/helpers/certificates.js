@@ -0,0 +1,58 @@
+/**
+ * Self-Signed Certificate Helper
+ *
+ * Generates throwaway TLS credentials with the openssl command-line tool so
+ * HTTPS tests never depend on key material checked into the repository.
+ *
+ * @fileoverview Test utilities for generating self-signed certificates
+ * @version 1.0.0
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Generates a self-signed certificate for localhost and 127.0.0.1
+ *
+ * @param {string} directory - Directory the files are written to
+ * @param {Object} options - Generation options
+ * @param {string} options.name - File name prefix (default: 'server')
+ * @param {string} options.commonName - Subject common name (default: 'localhost')
+ * @returns {Object} `{ keyFile, certFile }` absolute paths
+ */
+function generateCertificate(directory, { name = 'server', commonName = 'localhost' } = {}) {
+  const keyFile = path.join(directory, `${name}-key.pem`);
+  const certFile = path.join(directory, `${name}-cert.pem`);
+
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+    '-keyout', keyFile, '-out', certFile, '-days', '1',
+    '-subj', `/CN=${commonName}`,
+    '-addext', 'subjectAltName=DNS:localhost,IP:127.0.0.1'
+  ], { stdio: 'ignore' });
+
+  return { keyFile, certFile };
+}
+
+/**
+ * Bundles a generated key and certificate into a PKCS#12 (PFX) file
+ *
+ * @param {Object} certificate - `{ keyFile, certFile }` from generateCertificate
+ * @param {string} passphrase - Export password
+ * @returns {string} Absolute path of the PFX file
+ */
+function exportPfx({ keyFile, certFile }, passphrase) {
+  const pfxFile = certFile.replace(/-cert\.pem$/, '.pfx');
+
+  execFileSync('openssl', [
+    'pkcs12', '-export', '-inkey', keyFile, '-in', certFile, '-out', pfxFile,
+    '-passout', `pass:${passphrase}`
+  ], { stdio: 'ignore' });
+
+  return pfxFile;
+}
+
+module.exports = {
+  exportPfx,
+  generateCertificate
+};
@@ -23,6 +23,8 @@ const net = require('net');
 const path = require('path');
 const fs = require('fs');
 
+const { createServer } = require('../../server');
+
 /**
  * Server Lifecycle Manager Class
  * 
@@ -72,12 +74,8 @@ class ServerLifecycleManager {
             throw new Error(`EADDRINUSE: Port ${port} is already in use`);
         }
 
-        // Create server instance with the same logic as server.js
-        const server = http.createServer((req, res) => {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'text/plain');
-            res.end('Hello, World!\n');
-        });
+        // Create server instance with the production handler from server.js
+        const server = createServer();
 
         const instance = {
             id: instanceId,
@@ -0,0 +1,40 @@
+/**
+ * Shared Test Utilities
+ *
+ * An application starts timers it never needs outside of a server: the rate
+ * limit store sweep and the event loop lag sampling of the load shedder.
+ * Suites that create many apps get them from useTestApps, which stops those
+ * timers after each test.
+ *
+ * @fileoverview Application factory shared by the test suites
+ * @version 1.0.0
+ */
+
+const { createApp } = require('../../server');
+
+/**
+ * Creates apps for the tests of one suite and stops their timers after
+ * each test
+ *
+ * @returns {Function} App factory taking the options of createApp
+ */
+function useTestApps() {
+  const apps = [];
+
+  afterEach(() => {
+    for (const app of apps.splice(0)) {
+      app.rateLimiter.close();
+      app.loadShedder.stop();
+    }
+  });
+
+  return (options) => {
+    const app = createApp(options);
+    apps.push(app);
+    return app;
+  };
+}
+
+module.exports = {
+  useTestApps
+};
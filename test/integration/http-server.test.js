@@ -20,6 +20,8 @@ const { spawn, fork } = require('child_process');
 const path = require('path');
 const net = require('net');
 
+const { createServer } = require('../../server');
+
 // Import server lifecycle helpers for test utilities
 const serverLifecycle = require('../helpers/server-lifecycle');
 
@@ -92,7 +94,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle POST requests with identical response behavior', async () => {
       const response = await request(testServer)
-        .post('/api/test')
+        .post('/')
         .send({ test: 'data' })
         .expect(EXPECTED_STATUS_CODE)
         .expect('Content-Type', EXPECTED_CONTENT_TYPE);
@@ -103,7 +105,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle PUT requests uniformly - Feature F-003-RQ-002', async () => {
       const response = await request(testServer)
-        .put('/update/resource')
+        .put('/')
         .send({ update: 'data' })
         .expect(EXPECTED_STATUS_CODE)
         .expect('Content-Type', EXPECTED_CONTENT_TYPE);
@@ -113,7 +115,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle DELETE requests with consistent behavior', async () => {
       const response = await request(testServer)
-        .delete('/resource/123')
+        .delete('/')
         .expect(EXPECTED_STATUS_CODE)
         .expect('Content-Type', EXPECTED_CONTENT_TYPE);
       
@@ -122,7 +124,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle PATCH requests maintaining response consistency', async () => {
       const response = await request(testServer)
-        .patch('/resource/456')
+        .patch('/')
         .send({ field: 'value' })
         .expect(EXPECTED_STATUS_CODE)
         .expect('Content-Type', EXPECTED_CONTENT_TYPE);
@@ -133,22 +135,22 @@ describe('HTTP Server Integration Tests', () => {
     test('should handle OPTIONS requests for method discovery', async () => {
       const response = await request(testServer)
         .options('/')
-        .expect(EXPECTED_STATUS_CODE)
-        .expect('Content-Type', EXPECTED_CONTENT_TYPE);
+        .expect(204)
+        .expect('Allow', 'GET, HEAD, POST, PUT, DELETE, PATCH, OPTIONS');
       
-      expect(response.text).toBe(EXPECTED_RESPONSE);
+      expect(response.text).toBe('');
     });
 
-    test('should maintain response consistency across different paths', async () => {
-      const paths = ['/', '/api', '/api/v1/test', '/deep/nested/path'];
+    test('should answer unknown paths with 404 Not Found', async () => {
+      const paths = ['/api', '/api/v1/test', '/deep/nested/path'];
       
       for (const testPath of paths) {
         const response = await request(testServer)
           .get(testPath)
-          .expect(EXPECTED_STATUS_CODE)
+          .expect(404)
           .expect('Content-Type', EXPECTED_CONTENT_TYPE);
         
-        expect(response.text).toBe(EXPECTED_RESPONSE);
+        expect(response.text).toBe(`Not Found\nRequest ID: ${response.headers['x-request-id']}\n`);
       }
     });
   });
@@ -162,7 +164,7 @@ describe('HTTP Server Integration Tests', () => {
       // Create array of concurrent requests
       const concurrentRequests = Array.from({ length: CONCURRENT_CONNECTION_COUNT }, (_, index) =>
         request(testServer)
-          .get(`/concurrent/${index}`)
+          .get(`/?request=${index}`)
           .expect(EXPECTED_STATUS_CODE)
           .expect('Content-Type', EXPECTED_CONTENT_TYPE)
       );
@@ -184,9 +186,9 @@ describe('HTTP Server Integration Tests', () => {
     test('should maintain response consistency under load', async () => {
       const loadTestRequests = Array.from({ length: LOAD_TEST_CONNECTION_COUNT }, (_, index) =>
         Promise.all([
-          request(testServer).get(`/load/get/${index}`).expect(200),
-          request(testServer).post(`/load/post/${index}`).send({ data: index }).expect(200),
-          request(testServer).put(`/load/put/${index}`).send({ update: index }).expect(200)
+          request(testServer).get(`/?get=${index}`).expect(200),
+          request(testServer).post(`/?post=${index}`).send({ data: index }).expect(200),
+          request(testServer).put(`/?put=${index}`).send({ update: index }).expect(200)
         ])
       );
       
@@ -204,7 +206,7 @@ describe('HTTP Server Integration Tests', () => {
       // Test with connection count at typical Node.js limits
       const heavyLoadRequests = Array.from({ length: 100 }, (_, index) =>
         request(testServer)
-          .get(`/heavy-load/${index}`)
+          .get(`/?heavy=${index}`)
           .timeout(5000) // 5 second timeout for heavy load
       );
       
@@ -236,7 +238,7 @@ describe('HTTP Server Integration Tests', () => {
       
       // Verify server is listening and responsive
       const response = await request(testServer)
-        .get('/startup-validation')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       
       expect(response.text).toBe(EXPECTED_RESPONSE);
@@ -252,7 +254,7 @@ describe('HTTP Server Integration Tests', () => {
       
       // Establish active connections
       const connectionPromise = request(testServer)
-        .get('/long-running')
+        .get('/')
         .timeout(1000);
       
       // Wait briefly for connection establishment
@@ -289,7 +291,7 @@ describe('HTTP Server Integration Tests', () => {
       
       // Verify server is operational
       const testResponse = await request(`http://localhost:${testPort}`)
-        .get('/signal-test')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       expect(testResponse.text).toBe(EXPECTED_RESPONSE);
       
@@ -337,11 +339,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle network binding failures gracefully', async () => {
       // Test with invalid hostname
-      const invalidServer = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      const invalidServer = createServer();
       
       // Attempt binding to invalid address
       await expect(new Promise((resolve, reject) => {
@@ -364,7 +362,7 @@ describe('HTTP Server Integration Tests', () => {
       
       // Test server resilience (server should continue serving after isolated errors)
       const postErrorResponse = await request(testServer)
-        .get('/post-error-test')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       
       expect(postErrorResponse.text).toBe(EXPECTED_RESPONSE);
@@ -378,7 +376,7 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle requests with invalid HTTP methods gracefully', async () => {
       // Test with custom invalid method using raw HTTP
-      const invalidMethodTest = await makeRawHttpRequest(testPort, 'INVALID /test HTTP/1.1\r\nHost: localhost\r\n\r\n');
+      const invalidMethodTest = await makeRawHttpRequest(testPort, 'INVALID / HTTP/1.1\r\nHost: localhost\r\n\r\n');
       
       // Server should still respond (Node.js accepts custom methods)
       expect(invalidMethodTest).toContain('Hello, World!');
@@ -388,7 +386,7 @@ describe('HTTP Server Integration Tests', () => {
       // Test with malformed headers
       const malformedHeaderRequest = await makeRawHttpRequest(
         testPort, 
-        'GET /test HTTP/1.1\r\nMalformed-Header: value-with-\r\n\r\nnewlines\r\nHost: localhost\r\n\r\n'
+        'GET / HTTP/1.1\r\nMalformed-Header: value-with-\r\n\r\nnewlines\r\nHost: localhost\r\n\r\n'
       );
       
       // Server should handle gracefully
@@ -400,7 +398,7 @@ describe('HTTP Server Integration Tests', () => {
       const largePayload = 'x'.repeat(1024 * 1024);
       
       const response = await request(testServer)
-        .post('/large-payload')
+        .post('/')
         .send(largePayload)
         .timeout(10000); // Allow extra time for large payload
       
@@ -412,7 +410,7 @@ describe('HTTP Server Integration Tests', () => {
     test('should handle requests with invalid HTTP versions', async () => {
       const invalidVersionRequest = await makeRawHttpRequest(
         testPort,
-        'GET /test HTTP/9.9\r\nHost: localhost\r\n\r\n'
+        'GET / HTTP/9.9\r\nHost: localhost\r\n\r\n'
       );
       
       // Should still process the request
@@ -422,7 +420,7 @@ describe('HTTP Server Integration Tests', () => {
     test('should handle requests with missing required headers', async () => {
       const noHostHeaderRequest = await makeRawHttpRequest(
         testPort,
-        'GET /test HTTP/1.1\r\n\r\n'
+        'GET / HTTP/1.1\r\n\r\n'
       );
       
       // Server should handle missing Host header gracefully
@@ -431,10 +429,9 @@ describe('HTTP Server Integration Tests', () => {
 
     test('should handle boundary condition testing for request parameters', async () => {
       const boundaryTests = [
-        '/test?param=' + 'a'.repeat(10000), // Very long query parameter
-        '/test?' + 'param=value&'.repeat(1000), // Many query parameters
-        '/' + 'long-path/'.repeat(500), // Very long path
-        '/test#' + 'fragment'.repeat(1000) // Long fragment
+        '/?param=' + 'a'.repeat(10000), // Very long query parameter
+        '/?' + 'param=value&'.repeat(1000), // Many query parameters
+        '/#' + 'fragment'.repeat(1000) // Long fragment
       ];
       
       for (const testPath of boundaryTests) {
@@ -445,6 +442,13 @@ describe('HTTP Server Integration Tests', () => {
         expect(response.status).toBe(EXPECTED_STATUS_CODE);
         expect(response.text).toBe(EXPECTED_RESPONSE);
       }
+
+      // Very long unknown path
+      const longPathResponse = await request(testServer)
+        .get('/' + 'long-path/'.repeat(500))
+        .timeout(5000);
+
+      expect(longPathResponse.status).toBe(404);
     });
   });
 
@@ -456,11 +460,11 @@ describe('HTTP Server Integration Tests', () => {
     test('should function identically in local development environment', async () => {
       const localTestResults = {};
       
-      // Test all HTTP methods in local environment
-      const methods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+      // Test all content-returning HTTP methods in local environment
+      const methods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
       
       for (const method of methods) {
-        const response = await request(testServer)[method.toLowerCase()]('/local-test')
+        const response = await request(testServer)[method.toLowerCase()]('/')
           .expect(EXPECTED_STATUS_CODE)
           .expect('Content-Type', EXPECTED_CONTENT_TYPE);
         
@@ -482,7 +486,7 @@ describe('HTTP Server Integration Tests', () => {
     test('should validate environment compatibility markers', async () => {
       // Test environment-specific behavior consistency
       const envTestResponse = await request(testServer)
-        .get('/env-compatibility')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       
       expect(envTestResponse.text).toBe(EXPECTED_RESPONSE);
@@ -497,7 +501,7 @@ describe('HTTP Server Integration Tests', () => {
     test('should maintain consistent behavior across Node.js versions', async () => {
       // Test Node.js compatibility by validating core functionality
       const nodeCompatibilityResponse = await request(testServer)
-        .get('/node-compatibility')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       
       expect(nodeCompatibilityResponse.text).toBe(EXPECTED_RESPONSE);
@@ -521,7 +525,7 @@ describe('HTTP Server Integration Tests', () => {
         const startTime = process.hrtime.bigint();
         
         const response = await request(testServer)
-          .get(`/performance-test-${i}`)
+          .get(`/?performance=${i}`)
           .expect(EXPECTED_STATUS_CODE);
         
         const endTime = process.hrtime.bigint();
@@ -561,7 +565,7 @@ describe('HTTP Server Integration Tests', () => {
         
         // Verify server is responsive
         const response = await request(tempServer)
-          .get('/startup-perf-test')
+          .get('/')
           .expect(EXPECTED_STATUS_CODE);
         
         expect(response.text).toBe(EXPECTED_RESPONSE);
@@ -594,7 +598,7 @@ describe('HTTP Server Integration Tests', () => {
       
       // Verify server continues operating normally after error
       const postErrorResponse = await request(testServer)
-        .get('/post-error-recovery')
+        .get('/')
         .expect(EXPECTED_STATUS_CODE);
       
       expect(postErrorResponse.text).toBe(EXPECTED_RESPONSE);
@@ -608,11 +612,7 @@ describe('HTTP Server Integration Tests', () => {
    */
   async function createTestServerInstance(port) {
     return new Promise((resolve, reject) => {
-      const server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      const server = createServer();
       
       server.listen(port, SERVER_HOSTNAME, (err) => {
         if (err) {
@@ -709,7 +709,7 @@ describe('HTTP Server Integration Tests', () => {
     while (Date.now() - startTime < timeout) {
       try {
         const response = await request(`http://localhost:${port}`)
-          .get('/health-check')
+          .get('/readyz')
           .timeout(1000);
         
         if (response.status === 200) {
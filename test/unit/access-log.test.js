@@ -0,0 +1,204 @@
+/**
+ * Unit Test Suite for lib/access-log.js
+ *
+ * Validates the JSON, Common and Combined line formats, level filtering,
+ * byte counting and file destinations of the access logger.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+
+const { createAccessLogger } = require('../../lib/access-log');
+const { ConfigError } = require('../../lib/config');
+const { assignRequestId } = require('../../lib/request-id');
+const { createRouter, sendStatus } = require('../../lib/router');
+
+/**
+ * Builds a logging configuration section with overrides
+ */
+function loggingConfiguration({ level = 'info', ...accessLog } = {}) {
+  return {
+    level,
+    accessLog: { enabled: true, format: 'json', destination: 'stdout', ...accessLog }
+  };
+}
+
+describe('Access Log Unit Tests', () => {
+  let stream;
+  let lines;
+
+  /**
+   * Creates a request listener that logs through the given configuration
+   */
+  const createApp = (configuration) => {
+    const accessLog = createAccessLogger(configuration, { stream });
+    const router = createRouter()
+      .route('GET', '/', (req, res) => res.end('Hello, World!\n'))
+      .route('GET', '/readyz', (req, res) => res.end('{}'))
+      .route('GET', '/fail', (req, res) => sendStatus(res, 500, 'Internal Server Error'));
+    return (req, res) => {
+      assignRequestId(req, res);
+      accessLog.track(req, res);
+      router.handle(req, res);
+    };
+  };
+
+  beforeEach(() => {
+    stream = new PassThrough();
+    lines = [];
+    stream.on('data', (chunk) => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+  });
+
+  describe('Formats', () => {
+
+    test('should write one JSON line per request', async () => {
+      const app = createApp(loggingConfiguration());
+
+      await request(app)
+        .get('/?name=value')
+        .set('User-Agent', 'jest-agent')
+        .set('X-Request-Id', 'abc-123')
+        .expect(200);
+
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toEqual({
+        time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'info',
+        method: 'GET',
+        path: '/',
+        status: 200,
+        bytes: 14,
+        durationMs: expect.any(Number),
+        remoteAddress: expect.stringMatching(/127\.0\.0\.1|::1/),
+        userAgent: 'jest-agent',
+        requestId: 'abc-123'
+      });
+    });
+
+    test('should write Common Log Format lines', async () => {
+      const app = createApp(loggingConfiguration({ format: 'common' }));
+
+      await request(app).get('/?name=value').expect(200);
+
+      expect(lines[0]).toMatch(
+        /^\S+ - - \[\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/\?name=value HTTP\/1\.1" 200 14$/
+      );
+    });
+
+    test('should append referer and user agent in Combined Log Format', async () => {
+      const app = createApp(loggingConfiguration({ format: 'combined' }));
+
+      await request(app)
+        .get('/')
+        .set('Referer', 'http://example.com/')
+        .set('User-Agent', 'say "hi"')
+        .expect(200);
+
+      expect(lines[0]).toMatch(/" 200 14 "http:\/\/example\.com\/" "say \\"hi\\""$/);
+    });
+
+    test('should log no bytes for HEAD requests', async () => {
+      const app = createApp(loggingConfiguration());
+
+      await request(app).head('/').expect(200);
+
+      expect(JSON.parse(lines[0])).toMatchObject({ method: 'HEAD', status: 200, bytes: 0 });
+    });
+  });
+
+  describe('Levels', () => {
+
+    test('should log probes at debug, 4xx at warn and 5xx at error', async () => {
+      const app = createApp(loggingConfiguration({ level: 'debug' }));
+
+      await request(app).get('/readyz').expect(200);
+      await request(app).get('/missing').expect(404);
+      await request(app).get('/fail').expect(500);
+
+      expect(lines.map((line) => JSON.parse(line).level)).toEqual(['debug', 'warn', 'error']);
+    });
+
+    test('should drop entries below the configured level', async () => {
+      const app = createApp(loggingConfiguration({ level: 'warn' }));
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/readyz').expect(200);
+      await request(app).get('/missing').expect(404);
+
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toMatchObject({ path: '/missing', status: 404 });
+    });
+
+    test('should log nothing when silent or disabled', async () => {
+      for (const configuration of [loggingConfiguration({ level: 'silent' }), loggingConfiguration({ enabled: false })]) {
+        await request(createApp(configuration)).get('/fail').expect(500);
+      }
+
+      expect(lines).toEqual([]);
+    });
+  });
+
+  describe('Destinations', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'access-log-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should append to a file and close it with the logger', async () => {
+      const file = path.join(directory, 'access.log');
+      fs.writeFileSync(file, 'existing\n');
+
+      const accessLog = createAccessLogger(loggingConfiguration({ format: 'common', destination: file }));
+      const app = (req, res) => {
+        accessLog.track(req, res);
+        res.end('ok');
+      };
+
+      await request(app).get('/').expect(200);
+      await accessLog.close();
+
+      const contents = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+      expect(contents[0]).toBe('existing');
+      expect(contents[1]).toMatch(/"GET \/ HTTP\/1\.1" 200 2$/);
+    });
+
+    test('should report a file that cannot be opened as a configuration error', () => {
+      const file = path.join(directory, 'missing', 'access.log');
+
+      expect(() => createAccessLogger(loggingConfiguration({ destination: file }))).toThrow(ConfigError);
+      expect(() => createAccessLogger(loggingConfiguration({ destination: file })))
+        .toThrow(`loggingConfiguration.accessLog.destination: cannot open ${file} (ENOENT)`);
+    });
+
+    (fs.existsSync('/dev/full') ? test : test.skip)('should keep serving when writing the file fails', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const accessLog = createAccessLogger(loggingConfiguration({ destination: '/dev/full' }));
+      const app = (req, res) => {
+        accessLog.track(req, res);
+        res.end('ok');
+      };
+
+      try {
+        await request(app).get('/').expect(200);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await request(app).get('/').expect(200);
+        await accessLog.close();
+
+        expect(errorSpy).toHaveBeenCalledTimes(1);
+        expect(errorSpy.mock.calls[0][0]).toMatch(/^Access log \/dev\/full failed; dropping entries: ENOSPC/);
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+  });
+});
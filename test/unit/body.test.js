@@ -0,0 +1,280 @@
+/**
+ * Unit Test Suite for lib/body.js
+ *
+ * Validates body parsing by Content-Type (JSON, URL-encoded, multipart,
+ * text and raw), charsets, size limits, multipart uploads streamed to the
+ * upload directory, and the 400 / 413 / 415 responses for bodies that
+ * cannot be accepted.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { BodyError, createBodyParser } = require('../../lib/body');
+const { assignRequestId } = require('../../lib/request-id');
+const { createRouter } = require('../../lib/router');
+
+const BOUNDARY = '----FormBoundary7MA4YWxk';
+
+/**
+ * Builds a multipart/form-data body from `{ name, value }` and
+ * `{ name, filename, type, value }` parts
+ */
+const multipart = (parts) => parts.map(({ name, filename, type, value }) => {
+  let headers = `Content-Disposition: form-data; name="${name}"`;
+  if (filename !== undefined) {
+    headers += `; filename="${filename}"\r\nContent-Type: ${type || 'application/octet-stream'}`;
+  }
+  return `--${BOUNDARY}\r\n${headers}\r\n\r\n${value}\r\n`;
+}).join('') + `--${BOUNDARY}--\r\n`;
+
+describe('Request Body Unit Tests', () => {
+  let uploadDirectory;
+  let received;
+
+  /**
+   * Creates a request listener with routes echoing what their handler received
+   */
+  const createApp = (configuration = {}) => {
+    const parser = createBodyParser({ limit: 1024, fileLimit: 4096, maxParts: 10, uploadDirectory, ...configuration });
+    const echo = (req, res) => {
+      received = {
+        body: req.body,
+        files: req.files.map((file) => ({ ...file, content: fs.readFileSync(file.path, 'utf8') }))
+      };
+      res.end('ok\n');
+    };
+    const router = createRouter()
+      .route('POST', '/api/users', parser.parse(['json'], echo))
+      .route('POST', '/submit', parser.parse(['urlencoded', 'multipart'], echo))
+      .route('PUT', '/blob', parser.parse(['text', 'raw'], echo));
+    return (req, res) => router.handle(req, res);
+  };
+
+  beforeEach(() => {
+    uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-body-'));
+    received = undefined;
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDirectory, { recursive: true, force: true });
+  });
+
+  describe('Parsers', () => {
+
+    test('should parse JSON bodies, including +json types', async () => {
+      const app = createApp();
+
+      await request(app).post('/api/users').send({ name: 'Test User', age: 25 }).expect(200);
+      expect(received.body).toEqual({ name: 'Test User', age: 25 });
+
+      await request(app).post('/api/users').set('Content-Type', 'application/merge-patch+json').send('[1,2]').expect(200);
+      expect(received.body).toEqual([1, 2]);
+    });
+
+    test('should parse URL-encoded forms with repeated fields', async () => {
+      await request(createApp())
+        .post('/submit')
+        .type('form')
+        .send('name=John+Doe&email=john%40example.com&tag=a&tag=b')
+        .expect(200);
+
+      expect(received.body).toEqual({ name: 'John Doe', email: 'john@example.com', tag: ['a', 'b'] });
+    });
+
+    test('should read text in its charset and raw or untyped bodies as buffers', async () => {
+      const app = createApp();
+
+      await request(app).put('/blob').set('Content-Type', 'text/plain; charset=iso-8859-1').send(Buffer.from([0x63, 0x61, 0x66, 0xe9])).expect(200);
+      expect(received.body).toBe('café');
+
+      await request(app).put('/blob').set('Content-Type', 'application/octet-stream').send(Buffer.from([0, 1, 2])).expect(200);
+      expect(received.body).toEqual(Buffer.from([0, 1, 2]));
+
+      await request(app).put('/blob').send(Buffer.from([3, 4])).expect(200);
+      expect(received.body).toEqual(Buffer.from([3, 4]));
+      await request(createApp()).post('/api/users').send(Buffer.from('{}')).expect(415);
+    });
+
+    test('should call the handler without a body when none was sent', async () => {
+      await request(createApp()).post('/api/users').expect(200);
+
+      expect(received).toEqual({ body: undefined, files: [] });
+    });
+  });
+
+  describe('Multipart Uploads', () => {
+
+    test('should collect fields and write files to the upload directory', async () => {
+      const body = multipart([
+        { name: 'name', value: 'John' },
+        { name: 'avatar', filename: '../../etc/avatar.png', type: 'image/png', value: 'PNG data' }
+      ]);
+
+      await request(createApp())
+        .post('/submit')
+        .set('Content-Type', `multipart/form-data; boundary=${BOUNDARY}`)
+        .send(body)
+        .expect(200);
+
+      expect(received.body).toEqual({ name: 'John' });
+      expect(received.files).toEqual([{
+        field: 'avatar',
+        filename: 'avatar.png',
+        contentType: 'image/png',
+        path: expect.stringMatching(new RegExp(`^${uploadDirectory}`)),
+        size: 8,
+        content: 'PNG data'
+      }]);
+    });
+
+    test('should remove uploaded files once the response is complete', async () => {
+      await request(createApp())
+        .post('/submit')
+        .set('Content-Type', `multipart/form-data; boundary=${BOUNDARY}`)
+        .send(multipart([{ name: 'file', filename: 'a.txt', value: 'abc' }]))
+        .expect(200);
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(fs.readdirSync(uploadDirectory)).toEqual([]);
+    });
+
+    test('should parse bodies whose boundaries are split across chunks', async () => {
+      const server = http.createServer(createApp());
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const body = Buffer.from(multipart([
+          { name: 'first', value: 'one' },
+          { name: 'upload', filename: 'b.txt', value: 'x'.repeat(3000) },
+          { name: 'last', value: 'two' }
+        ]));
+
+        const status = await new Promise((resolve, reject) => {
+          const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method: 'POST',
+            path: '/submit',
+            headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` }
+          }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+          });
+          req.on('error', reject);
+          const writeFrom = (offset) => {
+            if (offset >= body.length) {
+              req.end();
+              return;
+            }
+            req.write(body.subarray(offset, offset + 7));
+            setImmediate(() => writeFrom(offset + 7));
+          };
+          writeFrom(0);
+        });
+
+        expect(status).toBe(200);
+        expect(received.body).toEqual({ first: 'one', last: 'two' });
+        expect(received.files[0].content).toBe('x'.repeat(3000));
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    test('should reject malformed multipart bodies', async () => {
+      const app = createApp();
+
+      const truncated = await request(app)
+        .post('/submit')
+        .set('Content-Type', `multipart/form-data; boundary=${BOUNDARY}`)
+        .send(multipart([{ name: 'a', value: 'b' }]).slice(0, -8))
+        .expect(400);
+      expect(truncated.text).toBe('Bad Request; malformed multipart body (missing closing boundary)\n');
+
+      await request(app).post('/submit').set('Content-Type', 'multipart/form-data').send('--x--').expect(400);
+    });
+  });
+
+  describe('Rejected Bodies', () => {
+
+    test('should answer malformed JSON with 400', async () => {
+      const response = await request(createApp())
+        .post('/api/users')
+        .set('Content-Type', 'application/json')
+        .send('{"name": "Test User",')
+        .expect(400);
+
+      expect(response.text).toBe('Bad Request; malformed JSON\n');
+      expect(received).toBeUndefined();
+    });
+
+    test('should answer bodies over the limit with 413 and close the connection', async () => {
+      const app = createApp({ limit: 16 });
+
+      const declared = await request(app).post('/api/users').send({ name: 'x'.repeat(32) }).expect(413);
+      expect(declared.text).toBe('Content Too Large; the limit is 16 bytes\n');
+      expect(declared.headers.connection).toBe('close');
+
+      const upload = await request(createApp({ fileLimit: 4 }))
+        .post('/submit')
+        .set('Content-Type', `multipart/form-data; boundary=${BOUNDARY}`)
+        .send(multipart([{ name: 'file', filename: 'big.bin', value: 'too big' }]))
+        .expect(413);
+      expect(upload.text).toBe('Content Too Large; files are limited to 4 bytes\n');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(fs.readdirSync(uploadDirectory)).toEqual([]);
+      expect(received).toBeUndefined();
+    });
+
+    test('should answer unsupported types, charsets and codings with 415', async () => {
+      const app = createApp();
+
+      const type = await request(app).post('/api/users').set('Content-Type', 'text/plain').send('hi').expect(415);
+      expect(type.text).toBe('Unsupported Media Type; supported types: application/json\n');
+
+      const charset = await request(app).post('/api/users').set('Content-Type', 'application/json; charset=klingon').send('{}').expect(415);
+      expect(charset.text).toBe('Unsupported Media Type; unknown charset "klingon"\n');
+
+      await request(app).post('/api/users').set('Content-Type', 'application/json').set('Content-Encoding', 'gzip').send('{}').expect(415);
+      await request(app).post('/submit').set('Content-Type', 'application/x-www-form-urlencoded; charset=utf-16').send('a=b').expect(415);
+    });
+
+    test('should answer bodies that are not valid in their charset with 400', async () => {
+      const response = await request(createApp())
+        .put('/blob')
+        .set('Content-Type', 'text/plain')
+        .send(Buffer.from([0x68, 0xff, 0x69]))
+        .expect(400);
+
+      expect(response.text).toBe('Bad Request; body is not valid utf-8\n');
+    });
+
+    test('should answer handlers that throw with 500 and log the failure with the request ID', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const router = createRouter().route('POST', '/fail', createBodyParser({ limit: 1024 }).parse(['json'], () => {
+        throw new Error('handler broke');
+      }));
+      const app = (req, res) => {
+        assignRequestId(req, res);
+        router.handle(req, res);
+      };
+
+      try {
+        const response = await request(app).post('/fail').set('X-Request-Id', 'body-1').send({}).expect(500);
+        expect(response.text).toBe('Internal Server Error\nRequest ID: body-1\n');
+        expect(errorSpy).toHaveBeenCalledWith('[request body-1] Request handler failed: handler broke');
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('should refuse unknown parser names and expose BodyError status codes', () => {
+      expect(() => createBodyParser({ limit: 1 }).parse(['xml'], () => {})).toThrow('Unknown body parser: xml');
+      expect(new BodyError(413, 'Content Too Large').statusCode).toBe(413);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Unit Test Suite for lib/compression.js
+ *
+ * Validates Accept-Encoding negotiated compression: coding choice and
+ * q-values, the size threshold, skipped responses, `Vary: Accept-Encoding`,
+ * HEAD responses matching GET and streaming large bodies through the encoder
+ * without buffering them.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const zlib = require('zlib');
+
+const { createCompression } = require('../../lib/compression');
+const { createRouter } = require('../../lib/router');
+
+const TEXT = 'Hello, World!\n'.repeat(200);
+
+/**
+ * Sends a GET through a throwaway server and resolves with the status,
+ * headers and still-encoded body; supertest would decode it
+ */
+const fetch = async (app, path, headers = {}) => {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      }).on('error', reject);
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+describe('Compression Unit Tests', () => {
+  const DEFAULTS = { enabled: true, threshold: 1024, encodings: ['br', 'gzip', 'deflate'] };
+
+  /**
+   * Creates a compressing request listener with a few test routes
+   */
+  const createApp = (configuration = {}) => {
+    const compression = createCompression({ ...DEFAULTS, ...configuration });
+    const router = createRouter()
+      .route('GET', '/text', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Vary', 'Accept');
+        res.end(TEXT);
+      })
+      .route('GET', '/small', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Length', 5);
+        res.end('small');
+      })
+      .route('GET', '/explicit', (req, res) => {
+        res.writeHead(201, 'Created', { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(TEXT) });
+        res.end(TEXT);
+      })
+      .route('GET', '/png', (req, res) => {
+        res.setHeader('Content-Type', 'image/png');
+        res.end(TEXT);
+      })
+      .route('GET', '/no-transform', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Cache-Control', 'public, no-transform');
+        res.end(TEXT);
+      })
+      .route('GET', '/encoded', (req, res) => {
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Encoding', 'gzip');
+        res.end(zlib.gzipSync(TEXT));
+      });
+    const app = (req, res) => {
+      compression.track(req, res);
+      router.handle(req, res);
+    };
+    app.router = router;
+    return app;
+  };
+
+  describe('Encoding Selection', () => {
+
+    test('should gzip bodies above the threshold', async () => {
+      const response = await fetch(createApp(), '/text', { 'Accept-Encoding': 'gzip' });
+
+      expect(response.headers['content-encoding']).toBe('gzip');
+      expect(response.headers['content-length']).toBeUndefined();
+      expect(response.headers.vary).toBe('Accept, Accept-Encoding');
+      expect(zlib.gunzipSync(response.body).toString()).toBe(TEXT);
+    });
+
+    test('should prefer the server order among equally acceptable codings', async () => {
+      const response = await fetch(createApp(), '/text', { 'Accept-Encoding': 'gzip, deflate, br' });
+
+      expect(response.headers['content-encoding']).toBe('br');
+      expect(zlib.brotliDecompressSync(response.body).toString()).toBe(TEXT);
+    });
+
+    test('should honor client q-values', async () => {
+      const response = await fetch(createApp(), '/text', { 'Accept-Encoding': 'br;q=0.2, deflate;q=0.8, *;q=0.1' });
+
+      expect(response.headers['content-encoding']).toBe('deflate');
+      expect(zlib.inflateSync(response.body).toString()).toBe(TEXT);
+    });
+
+    test('should only offer the configured codings', async () => {
+      const response = await fetch(createApp({ encodings: ['gzip'] }), '/text', { 'Accept-Encoding': 'br' });
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.body.toString()).toBe(TEXT);
+    });
+
+    test('should send identity when asked for no coding', async () => {
+      for (const header of [undefined, 'identity', 'gzip;q=0.5, identity']) {
+        const response = await fetch(createApp(), '/text', header === undefined ? {} : { 'Accept-Encoding': header });
+
+        expect(response.headers['content-encoding']).toBeUndefined();
+        expect(response.headers.vary).toBe('Accept, Accept-Encoding');
+        expect(response.body.toString()).toBe(TEXT);
+      }
+    });
+  });
+
+  describe('Skipped Responses', () => {
+
+    test('should leave bodies below the threshold alone without Vary', async () => {
+      const response = await fetch(createApp(), '/small', { 'Accept-Encoding': 'gzip' });
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.headers['content-length']).toBe('5');
+      expect(response.headers.vary).toBeUndefined();
+    });
+
+    test('should measure bodies without a Content-Length', async () => {
+      const response = await fetch(createApp({ threshold: 10000 }), '/text', { 'Accept-Encoding': 'gzip' });
+
+      expect(response.headers['content-encoding']).toBeUndefined();
+      expect(response.body.toString()).toBe(TEXT);
+    });
+
+    test('should skip compressed types, no-transform and encoded bodies', async () => {
+      const app = createApp();
+
+      for (const path of ['/png', '/no-transform']) {
+        const response = await fetch(app, path, { 'Accept-Encoding': 'gzip' });
+        expect(response.headers['content-encoding']).toBeUndefined();
+        expect(response.body.toString()).toBe(TEXT);
+      }
+
+      const encoded = await fetch(app, '/encoded', { 'Accept-Encoding': 'br' });
+      expect(encoded.headers['content-encoding']).toBe('gzip');
+      expect(zlib.gunzipSync(encoded.body).toString()).toBe(TEXT);
+    });
+
+    test('should give HEAD the headers of GET and leave compression off when disabled', async () => {
+      const head = await request(createApp()).head('/text').set('Accept-Encoding', 'gzip').expect(200);
+      expect(head.headers['content-encoding']).toBe('gzip');
+      expect(head.headers['content-length']).toBeUndefined();
+      expect(head.headers.vary).toBe('Accept, Accept-Encoding');
+
+      const disabled = await fetch(createApp({ enabled: false }), '/text', { 'Accept-Encoding': 'gzip' });
+      expect(disabled.headers['content-encoding']).toBeUndefined();
+      expect(disabled.headers.vary).toBe('Accept');
+    });
+  });
+
+  describe('Streaming', () => {
+
+    test('should apply headers passed to writeHead', async () => {
+      const response = await fetch(createApp(), '/explicit', { 'Accept-Encoding': 'gzip' });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['content-type']).toBe('application/json');
+      expect(response.headers['content-encoding']).toBe('gzip');
+      expect(response.headers['content-length']).toBeUndefined();
+      expect(zlib.gunzipSync(response.body).toString()).toBe(TEXT);
+    });
+
+    test('should stream a large body before the handler finishes it', async () => {
+      const app = createApp();
+      let received;
+      const firstData = new Promise((resolve) => { received = resolve; });
+      const chunks = [];
+
+      app.router.route('GET', '/stream', async (req, res) => {
+        res.setHeader('Content-Type', 'text/plain');
+        for (let i = 0; i < 64; i++) {
+          const chunk = crypto.randomBytes(8192).toString('hex');
+          chunks.push(chunk);
+          if (!res.write(chunk)) {
+            await new Promise((resolve) => res.once('drain', resolve));
+          }
+        }
+        // Only finish once the client has seen compressed output
+        await firstData;
+        res.end();
+      });
+
+      const server = http.createServer(app);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const body = await new Promise((resolve, reject) => {
+          http.get({ host: '127.0.0.1', port: server.address().port, path: '/stream', headers: { 'Accept-Encoding': 'gzip' } }, (res) => {
+            expect(res.headers['content-encoding']).toBe('gzip');
+            const parts = [];
+            res.on('data', (part) => {
+              parts.push(part);
+              received();
+            });
+            res.on('end', () => resolve(Buffer.concat(parts)));
+          }).on('error', reject);
+        });
+
+        expect(zlib.gunzipSync(body).toString()).toBe(chunks.join(''));
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
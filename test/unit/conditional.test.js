@@ -0,0 +1,124 @@
+/**
+ * Unit Test Suite for lib/conditional.js
+ *
+ * Validates strong ETags, precondition evaluation order (If-Match,
+ * If-Unmodified-Since, If-None-Match, If-Modified-Since) and the 304 / 412
+ * responses sent for a static representation.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { createEtag, evaluatePreconditions, parseEtagList, sendRepresentation } = require('../../lib/conditional');
+
+const ETAG = createEtag('Hello, World!\n');
+const LAST_MODIFIED = new Date('2026-10-19T09:00:00.250Z');
+
+/**
+ * Builds the minimal request evaluatePreconditions reads
+ */
+const req = (method, headers = {}) => ({ method, headers });
+
+describe('Conditional Request Unit Tests', () => {
+
+  describe('Entity Tags', () => {
+
+    test('should derive a stable strong tag from the body', () => {
+      expect(ETAG).toMatch(/^"[A-Za-z0-9_-]{27}"$/);
+      expect(createEtag(Buffer.from('Hello, World!\n'))).toBe(ETAG);
+      expect(createEtag('Hello, World!')).not.toBe(ETAG);
+    });
+
+    test('should parse entity tag lists', () => {
+      expect(parseEtagList(' * ')).toBe('*');
+      expect(parseEtagList('"a", W/"b",junk, "c,d"')).toEqual(['"a"', 'W/"b"', '"c,d"']);
+      expect(parseEtagList('junk')).toEqual([]);
+    });
+  });
+
+  describe('Precondition Evaluation', () => {
+    const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+
+    test('should answer 304 to GET and HEAD when If-None-Match matches', () => {
+      expect(evaluatePreconditions(req('GET', { 'if-none-match': ETAG }), validators)).toBe(304);
+      expect(evaluatePreconditions(req('HEAD', { 'if-none-match': `"other", W/${ETAG}` }), validators)).toBe(304);
+      expect(evaluatePreconditions(req('GET', { 'if-none-match': '*' }), validators)).toBe(304);
+      expect(evaluatePreconditions(req('GET', { 'if-none-match': '"other"' }), validators)).toBe(200);
+    });
+
+    test('should answer 412 to unsafe methods when If-None-Match matches', () => {
+      expect(evaluatePreconditions(req('PUT', { 'if-none-match': '*' }), validators)).toBe(412);
+    });
+
+    test('should require a strong If-Match', () => {
+      expect(evaluatePreconditions(req('PUT', { 'if-match': ETAG }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('PUT', { 'if-match': '*' }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('PUT', { 'if-match': `W/${ETAG}` }), validators)).toBe(412);
+      expect(evaluatePreconditions(req('DELETE', { 'if-match': '"other"' }), validators)).toBe(412);
+      expect(evaluatePreconditions(req('PATCH', { 'if-match': ETAG }), { lastModified: LAST_MODIFIED })).toBe(412);
+    });
+
+    test('should compare dates at one-second precision', () => {
+      const same = LAST_MODIFIED.toUTCString();
+      const before = new Date(LAST_MODIFIED.getTime() - 1000).toUTCString();
+
+      expect(evaluatePreconditions(req('GET', { 'if-modified-since': same }), validators)).toBe(304);
+      expect(evaluatePreconditions(req('GET', { 'if-modified-since': before }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('POST', { 'if-modified-since': same }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('POST', { 'if-unmodified-since': same }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('POST', { 'if-unmodified-since': before }), validators)).toBe(412);
+      expect(evaluatePreconditions(req('GET', { 'if-modified-since': 'yesterday' }), validators)).toBe(200);
+    });
+
+    test('should let entity tags take precedence over dates', () => {
+      const before = new Date(LAST_MODIFIED.getTime() - 1000).toUTCString();
+
+      expect(evaluatePreconditions(req('GET', { 'if-none-match': '"other"', 'if-modified-since': LAST_MODIFIED.toUTCString() }), validators)).toBe(200);
+      expect(evaluatePreconditions(req('PUT', { 'if-match': ETAG, 'if-unmodified-since': before }), validators)).toBe(200);
+    });
+  });
+
+  describe('Representation Responses', () => {
+    const app = (req, res) => {
+      res.setHeader('Content-Type', 'text/plain');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('Vary', 'Accept');
+      sendRepresentation(req, res, { body: 'Hello, World!\n', etag: ETAG, lastModified: LAST_MODIFIED });
+    };
+
+    test('should send the validators with a 200', async () => {
+      const response = await request(app).get('/').expect(200);
+
+      expect(response.headers.etag).toBe(ETAG);
+      expect(response.headers['last-modified']).toBe('Mon, 19 Oct 2026 09:00:00 GMT');
+      expect(response.headers['content-length']).toBe('14');
+      expect(response.text).toBe('Hello, World!\n');
+    });
+
+    test('should send a bodiless 304 keeping the caching headers', async () => {
+      const response = await request(app).get('/').set('If-None-Match', ETAG).expect(304);
+
+      expect(response.headers.etag).toBe(ETAG);
+      expect(response.headers['cache-control']).toBe('public, max-age=60');
+      expect(response.headers.vary).toBe('Accept');
+      expect(response.headers['content-type']).toBeUndefined();
+      expect(response.headers['content-length']).toBeUndefined();
+      expect(response.text).toBe('');
+    });
+
+    test('should send 412 without validators when If-Match fails', async () => {
+      const response = await request(app).put('/').set('If-Match', '"stale"').expect(412);
+
+      expect(response.headers.etag).toBeUndefined();
+      expect(response.text).toBe('Precondition Failed\n');
+    });
+
+    test('should omit validators from responses to unsafe methods', async () => {
+      const response = await request(app).post('/').set('If-Match', ETAG).expect(200);
+
+      expect(response.headers.etag).toBeUndefined();
+      expect(response.headers['last-modified']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,498 @@
+/**
+ * Unit Test Suite for lib/config.js
+ *
+ * Validates configuration layering (defaults < file < environment < CLI
+ * flags), flag parsing forms, config file discovery and the aggregated
+ * ConfigError reporting.
+ *
+ * Testing Framework: Jest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ConfigError,
+  DEFAULTS,
+  DEFAULT_CONFIG_FILE,
+  loadConfig,
+  normalizeConfig
+} = require('../../lib/config');
+
+describe('Configuration Loader Unit Tests', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeConfig = (name, contents) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+  };
+
+  const load = (argv = [], env = {}) => loadConfig({ argv, env, cwd: tempDir });
+
+  const problemsOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.problems;
+    }
+    throw new Error('Expected a ConfigError to be thrown');
+  };
+
+  describe('Defaults and Precedence', () => {
+
+    test('should fall back to schema defaults when nothing is configured', () => {
+      const config = load();
+
+      expect(config).toEqual(DEFAULTS);
+      expect(config.serverConfiguration).toEqual({ hostname: '127.0.0.1', port: 3000, portRetry: 0, protocol: 'http' });
+      expect(config.responseConfiguration).toEqual({ body: 'Hello, World!\n', contentType: 'text/plain' });
+    });
+
+    test('should honor PORT and HOSTNAME environment variables', () => {
+      const config = load([], { PORT: '4100', HOSTNAME: 'localhost' });
+
+      expect(config.serverConfiguration.port).toBe(4100);
+      expect(config.serverConfiguration.hostname).toBe('localhost');
+    });
+
+    test('should accept HOST when HOSTNAME is not set', () => {
+      const config = load([], { HOST: '0.0.0.0' });
+
+      expect(config.serverConfiguration.hostname).toBe('0.0.0.0');
+    });
+
+    test('should honor response environment variables verbatim', () => {
+      const config = load([], { RESPONSE_BODY: ' spaced ', RESPONSE_CONTENT_TYPE: 'text/html' });
+
+      expect(config.responseConfiguration).toEqual({ body: ' spaced ', contentType: 'text/html' });
+    });
+
+    test('should ignore empty environment variables', () => {
+      const config = load([], { PORT: '', HOSTNAME: '' });
+
+      expect(config).toEqual(DEFAULTS);
+    });
+
+    test('should let CLI flags override environment variables', () => {
+      const config = load(['--port', '4200', '--host', '::1'], { PORT: '4100', HOSTNAME: 'localhost' });
+
+      expect(config.serverConfiguration.port).toBe(4200);
+      expect(config.serverConfiguration.hostname).toBe('::1');
+    });
+
+    test('should layer file < environment < CLI flags', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, {
+        serverConfiguration: { hostname: 'localhost', port: 4000 },
+        responseConfiguration: { body: 'from file\n' },
+        timeoutConfiguration: { keepAliveTimeout: 1000 }
+      });
+
+      const config = load(['--port=4300'], { PORT: '4100', KEEP_ALIVE_TIMEOUT: '2000' });
+
+      expect(config.serverConfiguration).toEqual({ hostname: 'localhost', port: 4300, portRetry: 0, protocol: 'http' });
+      expect(config.responseConfiguration).toEqual({ body: 'from file\n', contentType: 'text/plain' });
+      expect(config.timeoutConfiguration.keepAliveTimeout).toBe(2000);
+      expect(config.timeoutConfiguration.headersTimeout).toBe(DEFAULTS.timeoutConfiguration.headersTimeout);
+    });
+  });
+
+  describe('Configuration File Selection', () => {
+
+    test('should load the file named by --config', () => {
+      const filePath = writeConfig('custom.json', { responseConfiguration: { contentType: 'text/html' } });
+
+      expect(load(['--config', filePath]).responseConfiguration.contentType).toBe('text/html');
+      expect(load(['-c', 'custom.json']).responseConfiguration.contentType).toBe('text/html');
+    });
+
+    test('should load the file named by SERVER_CONFIG', () => {
+      writeConfig('env.json', { serverConfiguration: { port: 0 } });
+
+      expect(load([], { SERVER_CONFIG: 'env.json' }).serverConfiguration.port).toBe(0);
+    });
+
+    test('should prefer --config over SERVER_CONFIG', () => {
+      writeConfig('flag.json', { serverConfiguration: { port: 1111 } });
+      writeConfig('env.json', { serverConfiguration: { port: 2222 } });
+
+      expect(load(['--config=flag.json'], { SERVER_CONFIG: 'env.json' }).serverConfiguration.port).toBe(1111);
+    });
+
+    test('should fail when an explicitly requested file is missing', () => {
+      const problems = problemsOf(() => load(['--config', 'missing.json']));
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toMatch(/missing\.json: cannot read configuration file \(ENOENT\)/);
+    });
+
+    test('should report malformed JSON without a stack trace', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, '{ "serverConfiguration": ');
+
+      const problems = problemsOf(() => load());
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toMatch(/^.*server\.config\.json: invalid JSON \(/);
+    });
+  });
+
+  describe('Validation', () => {
+
+    test('should list every bad key from the file in one error', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, {
+        serverConfiguration: { port: 70000, hostname: '', baseUrl: 'http://localhost' },
+        responseConfiguration: { body: 42 },
+        timeoutConfiguration: { keepAliveTimeout: -5 },
+        startupConfiguration: {}
+      });
+
+      const problems = problemsOf(() => load());
+
+      expect(problems).toEqual([
+        'serverConfiguration.port: 70000 from server.config.json must be an integer between 0 and 65535',
+        'serverConfiguration.hostname: "" from server.config.json must be a non-empty string',
+        'serverConfiguration.baseUrl: unknown key in server.config.json',
+        'responseConfiguration.body: 42 from server.config.json must be a string',
+        'timeoutConfiguration.keepAliveTimeout: -5 from server.config.json must be a non-negative integer number of milliseconds',
+        'startupConfiguration: unknown key in server.config.json'
+      ]);
+    });
+
+    test('should reject sections that are not objects', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, { serverConfiguration: 3000 });
+      expect(problemsOf(() => load())).toEqual([
+        'serverConfiguration: 3000 from server.config.json must be an object'
+      ]);
+
+      writeConfig(DEFAULT_CONFIG_FILE, []);
+      expect(problemsOf(() => load())).toEqual([
+        'configuration: [] from server.config.json must be an object'
+      ]);
+    });
+
+    test('should combine file, environment and CLI problems', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, { responseConfiguration: { contentType: '' } });
+
+      const problems = problemsOf(() => load(['--verbose', '--port'], { REQUEST_TIMEOUT: 'soon' }));
+
+      expect(problems).toEqual([
+        '--verbose: unknown option',
+        '--port: missing value',
+        'responseConfiguration.contentType: "" from server.config.json must be a non-empty string',
+        'timeoutConfiguration.requestTimeout: "soon" from REQUEST_TIMEOUT must be a non-negative integer number of milliseconds'
+      ]);
+    });
+
+    test('should parse shutdown settings from the environment', () => {
+      const config = load([], {
+        GRACEFUL_SHUTDOWN: 'no',
+        SHUTDOWN_TIMEOUT: '250',
+        SHUTDOWN_READINESS_DELAY: '1000',
+        SHUTDOWN_SIGNALS: 'SIGTERM, SIGHUP',
+        FORCE_SHUTDOWN_AFTER_TIMEOUT: '0'
+      });
+
+      expect(config.shutdownConfiguration.gracefulShutdown).toEqual({
+        enabled: false,
+        readinessDelay: 1000,
+        timeout: 250,
+        signals: ['SIGTERM', 'SIGHUP'],
+        forceShutdownAfterTimeout: false
+      });
+    });
+
+    test('should reject unknown signals and non-boolean flags', () => {
+      writeConfig(DEFAULT_CONFIG_FILE, {
+        shutdownConfiguration: { gracefulShutdown: { enabled: 'yes', signals: ['SIGTERM', 'SIGNOPE'] } }
+      });
+
+      expect(problemsOf(() => load([], { SHUTDOWN_SIGNALS: ' , ' }))).toEqual([
+        'shutdownConfiguration.gracefulShutdown.enabled: "yes" from server.config.json must be true or false',
+        'shutdownConfiguration.gracefulShutdown.signals: ["SIGTERM","SIGNOPE"] from server.config.json must be a non-empty list of signal names such as ["SIGTERM", "SIGINT"]',
+        'shutdownConfiguration.gracefulShutdown.signals: " , " from SHUTDOWN_SIGNALS must be a non-empty list of signal names such as ["SIGTERM", "SIGINT"]'
+      ]);
+    });
+
+    test('should format every problem on its own line', () => {
+      expect(() => load(['--verbose', '--port']))
+        .toThrow('Invalid configuration:\n  - --verbose: unknown option\n  - --port: missing value');
+    });
+
+    test('should name the offending source for out-of-range ports', () => {
+      expect(() => load([], { PORT: '70000' }))
+        .toThrow('serverConfiguration.port: "70000" from PORT must be an integer between 0 and 65535');
+
+      expect(() => load(['--port=abc']))
+        .toThrow('serverConfiguration.port: "abc" from --port must be an integer between 0 and 65535');
+
+      expect(() => load(['--port=-1']))
+        .toThrow('serverConfiguration.port: "-1" from --port must be an integer between 0 and 65535');
+    });
+
+    test('should accept the full 0-65535 port range', () => {
+      expect(load(['--port', '0']).serverConfiguration.port).toBe(0);
+      expect(load(['--port', ' 65535 ']).serverConfiguration.port).toBe(65535);
+    });
+
+    test('should read portRetry from PORT_RETRY and --port-retry', () => {
+      expect(load([], { PORT_RETRY: '3' }).serverConfiguration.portRetry).toBe(3);
+      expect(load(['--port-retry', '7']).serverConfiguration.portRetry).toBe(7);
+      expect(load(['--port-retry', '--port', '4000']).serverConfiguration).toEqual({
+        hostname: '127.0.0.1',
+        port: 4000,
+        portRetry: 100,
+        protocol: 'http'
+      });
+      expect(() => load(['--port-retry=-1']))
+        .toThrow('serverConfiguration.portRetry: "-1" from --port-retry must be a non-negative integer');
+    });
+
+    test('should read logging settings and reject unknown levels and formats', () => {
+      const config = load(['--access-log-format', 'Combined', '--access-log=/var/log/server.log'], {
+        LOG_LEVEL: 'WARN',
+        ACCESS_LOG: 'false'
+      });
+
+      expect(config.loggingConfiguration).toEqual({
+        level: 'warn',
+        accessLog: { enabled: false, format: 'combined', destination: '/var/log/server.log' }
+      });
+      expect(problemsOf(() => load(['--log-level', 'verbose'], { ACCESS_LOG_FORMAT: 'xml' }))).toEqual([
+        'loggingConfiguration.accessLog.format: "xml" from ACCESS_LOG_FORMAT must be one of "json", "common", "combined"',
+        'loggingConfiguration.level: "verbose" from --log-level must be one of "debug", "info", "warn", "error", "silent"'
+      ]);
+    });
+
+    test('should enable tracing with a bare --tracing flag', () => {
+      expect(load().tracingConfiguration).toEqual({
+        enabled: false,
+        serviceName: 'hello_world',
+        destination: 'traces.jsonl',
+        flushInterval: 5000
+      });
+
+      const config = load(['--tracing', '--trace-destination', 'http://127.0.0.1:4318/v1/traces'], {
+        OTEL_SERVICE_NAME: 'greeter',
+        TRACE_FLUSH_INTERVAL: '250'
+      });
+      expect(config.tracingConfiguration).toEqual({
+        enabled: true,
+        serviceName: 'greeter',
+        destination: 'http://127.0.0.1:4318/v1/traces',
+        flushInterval: 250
+      });
+      expect(load(['--tracing=false']).tracingConfiguration.enabled).toBe(false);
+    });
+
+    test('should read HTTPS settings from flags and the environment', () => {
+      const config = load(['--protocol', 'HTTPS', '--tls-key', 'key.pem', '--tls-cert=cert.pem', '--https-redirect'], {
+        HTTPS_REDIRECT_PORT: '8080',
+        HSTS_MAX_AGE: '60',
+        HSTS_INCLUDE_SUBDOMAINS: 'true'
+      });
+
+      expect(config.serverConfiguration.protocol).toBe('https');
+      expect(config.tlsConfiguration).toEqual({
+        keyFile: 'key.pem',
+        certFile: 'cert.pem',
+        pfxFile: '',
+        passphrase: '',
+        redirect: { enabled: true, port: 8080 },
+        hsts: { enabled: true, maxAge: 60, includeSubDomains: true }
+      });
+      expect(load([], { PROTOCOL: 'https', TLS_PFX_FILE: 'server.pfx' }).tlsConfiguration.pfxFile).toBe('server.pfx');
+    });
+
+    test('should require credentials when the protocol is https', () => {
+      expect(problemsOf(() => load(['--protocol', 'https', '--tls-key', 'key.pem']))).toEqual([
+        'tlsConfiguration: protocol "https" needs keyFile and certFile, or pfxFile'
+      ]);
+      expect(problemsOf(() => normalizeConfig({ serverConfiguration: { protocol: 'spdy' } }))).toEqual([
+        'serverConfiguration.protocol: "spdy" from options must be one of "http", "https"'
+      ]);
+    });
+
+    test('should read HTTP/2 settings and bound the stream limit', () => {
+      expect(load().http2Configuration).toEqual({ enabled: false, maxConcurrentStreams: 100 });
+      expect(load(['--http2', '--http2-max-concurrent-streams', '250']).http2Configuration)
+        .toEqual({ enabled: true, maxConcurrentStreams: 250 });
+      expect(problemsOf(() => load([], { HTTP2: 'on', HTTP2_MAX_CONCURRENT_STREAMS: '0' }))).toEqual([
+        'http2Configuration.enabled: "on" from HTTP2 must be true or false',
+        'http2Configuration.maxConcurrentStreams: "0" from HTTP2_MAX_CONCURRENT_STREAMS must be an integer between 1 and 4294967295'
+      ]);
+    });
+
+    test('should read compression settings and reject unknown codings', () => {
+      expect(load().compressionConfiguration).toEqual({ enabled: true, threshold: 1024, encodings: ['br', 'gzip', 'deflate'] });
+      expect(load(['--compression=false'], { COMPRESSION_THRESHOLD: '0', COMPRESSION_ENCODINGS: 'GZIP, deflate' }).compressionConfiguration)
+        .toEqual({ enabled: false, threshold: 0, encodings: ['gzip', 'deflate'] });
+      expect(problemsOf(() => load([], { COMPRESSION_ENCODINGS: 'gzip,zstd' }))).toEqual([
+        'compressionConfiguration.encodings: "gzip,zstd" from COMPRESSION_ENCODINGS must be a non-empty list of "br", "gzip" and "deflate"'
+      ]);
+    });
+
+    test('should read cache settings with Cache-Control values as JSON', () => {
+      expect(load().cacheConfiguration).toEqual({ etag: true, cacheControl: {} });
+      expect(load([], { ETAG: 'false', CACHE_CONTROL: '{"/": "public, max-age=60"}' }).cacheConfiguration)
+        .toEqual({ etag: false, cacheControl: { '/': 'public, max-age=60' } });
+      expect(problemsOf(() => load([], { CACHE_CONTROL: '{"root": "no-cache"}' }))).toEqual([
+        'cacheConfiguration.cacheControl: "{\\"root\\": \\"no-cache\\"}" from CACHE_CONTROL must be an object mapping route patterns to Cache-Control values, such as {"/": "public, max-age=60"}'
+      ]);
+    });
+
+    test('should read request body limits', () => {
+      expect(load().bodyConfiguration).toEqual({ limit: 1048576, fileLimit: 10485760, maxParts: 100, uploadDirectory: '' });
+      expect(load([], { BODY_LIMIT: '2048', UPLOAD_DIRECTORY: '/var/uploads' }).bodyConfiguration)
+        .toMatchObject({ limit: 2048, uploadDirectory: '/var/uploads' });
+      expect(problemsOf(() => load([], { BODY_FILE_LIMIT: '10MB' }))).toEqual([
+        'bodyConfiguration.fileLimit: "10MB" from BODY_FILE_LIMIT must be a non-negative integer'
+      ]);
+    });
+
+    test('should enable the echo endpoint with a bare --echo flag', () => {
+      expect(load().echoConfiguration).toEqual({
+        enabled: false,
+        redactHeaders: ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie', 'X-Api-Key']
+      });
+      expect(load(['--echo'], { ECHO_REDACT_HEADERS: 'Authorization, X-Session' }).echoConfiguration)
+        .toEqual({ enabled: true, redactHeaders: ['Authorization', 'X-Session'] });
+    });
+
+    test('should read slow client timeouts and the pending connection cap', () => {
+      expect(load([], { IDLE_TIMEOUT: '10000', MAX_PENDING_CONNECTIONS_PER_IP: '0' }).timeoutConfiguration).toEqual({
+        keepAliveTimeout: 5000,
+        headersTimeout: 60000,
+        requestTimeout: 300000,
+        idleTimeout: 10000,
+        maxPendingConnectionsPerIp: 0
+      });
+    });
+
+    test('should read connection limits and load shedding thresholds', () => {
+      expect(load(['--max-connections', '500'], { MAX_IN_FLIGHT_REQUESTS: '100', MAX_EVENT_LOOP_LAG: '250' }).loadSheddingConfiguration)
+        .toEqual({ maxConnections: 500, maxInFlight: 100, maxEventLoopLag: 250, retryAfter: 1 });
+    });
+
+    test('should read rate limits and trusted proxies and reject malformed ones', () => {
+      const config = load(['--rate-limit', '--trusted-proxies', '10.0.0.0/8, ::1'], {
+        RATE_LIMIT_REQUESTS: '100',
+        RATE_LIMIT_KEY: 'api-key',
+        RATE_LIMIT_API_KEYS: 'partner-a, partner-b',
+        RATE_LIMIT_ROUTES: '{"/api/:id": {"limit": 10, "window": 1000}}'
+      });
+      expect(config.proxyConfiguration).toEqual({ trustedProxies: ['10.0.0.0/8', '::1'], hops: 0 });
+      expect(load(['--trusted-proxy-hops', '2']).proxyConfiguration.hops).toBe(2);
+      expect(config.rateLimitConfiguration).toEqual({
+        enabled: true,
+        limit: 100,
+        window: 60000,
+        keyBy: 'api-key',
+        apiKeyHeader: 'X-Api-Key',
+        apiKeys: ['partner-a', 'partner-b'],
+        routes: { '/api/:id': { limit: 10, window: 1000 } }
+      });
+
+      expect(() => load([], { TRUSTED_PROXIES: '10.0.0.0/40' })).toThrow(ConfigError);
+      expect(() => load([], { RATE_LIMIT_ROUTES: '{"/api/:id": {"burst": 10}}' })).toThrow(ConfigError);
+      expect(() => load(['--rate-limit'], { RATE_LIMIT_WINDOW: '0' }))
+        .toThrow('rateLimitConfiguration: limit and window must be greater than 0');
+      expect(() => load(['--rate-limit'], { RATE_LIMIT_KEY: 'api-key' }))
+        .toThrow('rateLimitConfiguration: keyBy "api-key" needs the apiKeys to count requests by');
+    });
+
+    test('should read CORS policies and refuse credentials for any origin', () => {
+      const { corsConfiguration } = load(['--cors-origins', 'https://app.example.com,https://*.example.com'], {
+        CORS_METHODS: 'get, post',
+        CORS_CREDENTIALS: 'true',
+        CORS_ROUTES: '{"/api/:id": {"exposedHeaders": ["ETag"]}}'
+      });
+      expect(corsConfiguration).toEqual({
+        origins: ['https://app.example.com', 'https://*.example.com'],
+        methods: ['GET', 'POST'],
+        allowedHeaders: ['Accept', 'Authorization', 'Content-Type', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id'],
+        credentials: true,
+        maxAge: 600,
+        routes: { '/api/:id': { exposedHeaders: ['ETag'] } }
+      });
+
+      expect(problemsOf(() => load([], { CORS_ORIGINS: 'app.example.com, /[/', CORS_ROUTES: '{"/": {"origin": "*"}}' }))).toEqual([
+        'corsConfiguration.origins: "app.example.com, /[/" from CORS_ORIGINS must be a list of origins such as "https://app.example.com", "https://*.example.com", "/^https:\\/\\/.+$/" or "*"',
+        'corsConfiguration.routes: "{\\"/\\": {\\"origin\\": \\"*\\"}}" from CORS_ROUTES must be an object mapping route patterns to CORS policies, such as {"/api/:id": {"credentials": true}}'
+      ]);
+      expect(problemsOf(() => load([], { CORS_ROUTES: '{"/": {"origins": ["*"], "credentials": true}}' }))).toEqual([
+        'corsConfiguration.routes./: credentials cannot be allowed for the "*" origin; list the allowed origins instead'
+      ]);
+    });
+
+    test('should read security header policies and reject unknown values', () => {
+      const { securityHeadersConfiguration } = load([], {
+        CONTENT_SECURITY_POLICY: "default-src 'self'",
+        FRAME_OPTIONS: 'SAMEORIGIN',
+        CROSS_ORIGIN_EMBEDDER_POLICY: 'off',
+        SECURITY_HEADERS_ROUTES: '{"/docs": {"frameOptions": "off", "contentSecurityPolicy": ""}}'
+      });
+      expect(securityHeadersConfiguration).toEqual({
+        enabled: true,
+        contentSecurityPolicy: "default-src 'self'",
+        contentTypeOptions: true,
+        frameOptions: 'sameorigin',
+        referrerPolicy: 'no-referrer',
+        crossOriginOpenerPolicy: 'same-origin',
+        crossOriginResourcePolicy: 'same-origin',
+        crossOriginEmbedderPolicy: 'off',
+        routes: { '/docs': { frameOptions: 'off', contentSecurityPolicy: '' } }
+      });
+
+      expect(() => load([], { REFERRER_POLICY: 'never' })).toThrow(ConfigError);
+      expect(() => load([], { SECURITY_HEADERS_ROUTES: '{"/docs": {"frameOptions": "allow-from"}}' })).toThrow(ConfigError);
+      expect(() => normalizeConfig({ securityHeadersConfiguration: { contentSecurityPolicy: "default-src 'none'\r\nSet-Cookie: a=b" } }))
+        .toThrow('securityHeadersConfiguration.contentSecurityPolicy');
+    });
+
+    test('should reject an empty hostname flag', () => {
+      expect(() => load(['--host=']))
+        .toThrow('serverConfiguration.hostname: "" from --host must be a non-empty string');
+    });
+  });
+
+  describe('Programmatic Normalization', () => {
+
+    test('should complete partial options with defaults', () => {
+      const config = normalizeConfig({ serverConfiguration: { port: 0 } });
+
+      expect(config.serverConfiguration).toEqual({ hostname: '127.0.0.1', port: 0, portRetry: 0, protocol: 'http' });
+      expect(config.responseConfiguration).toEqual(DEFAULTS.responseConfiguration);
+    });
+
+    test('should leave the access log off unless the options or the command line turn it on', () => {
+      expect(normalizeConfig().loggingConfiguration.accessLog.enabled).toBe(false);
+      expect(normalizeConfig({ loggingConfiguration: { accessLog: { enabled: true } } }).loggingConfiguration.accessLog.enabled).toBe(true);
+      expect(normalizeConfig(load()).loggingConfiguration.accessLog.enabled).toBe(true);
+    });
+
+    test('should not share state with the frozen defaults', () => {
+      const config = normalizeConfig();
+      config.serverConfiguration.port = 1234;
+
+      expect(DEFAULTS.serverConfiguration.port).toBe(3000);
+      expect(Object.isFrozen(DEFAULTS.serverConfiguration)).toBe(true);
+    });
+
+    test('should validate typed option values', () => {
+      expect(problemsOf(() => normalizeConfig({ serverConfiguration: { port: '3000' } }))).toEqual([
+        'serverConfiguration.port: "3000" from options must be an integer between 0 and 65535'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit Test Suite for lib/cors.js
+ *
+ * Validates origin matching (exact, subdomain wildcard, regular expression
+ * and `*`), the headers added to simple and preflight requests, per-route
+ * policies and preflights answered before route handlers.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { DEFAULTS } = require('../../lib/config');
+const { compileOrigin, createCors } = require('../../lib/cors');
+const { createRouter } = require('../../lib/router');
+
+describe('CORS Unit Tests', () => {
+  let handled;
+
+  /**
+   * Creates a routed request listener applying a CORS policy built on the
+   * defaults; route handlers record that they ran
+   */
+  const createApp = (configuration = {}) => {
+    const router = createRouter({ cors: createCors({ ...DEFAULTS.corsConfiguration, ...configuration }) });
+    const reply = (name) => (req, res) => {
+      handled.push(name);
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(`${name}\n`);
+    };
+    router
+      .route(['GET', 'POST', 'OPTIONS'], '/', reply('root'))
+      .route(['GET', 'PUT'], '/api/items/:id', reply('item'));
+    return (req, res) => router.handle(req, res);
+  };
+
+  beforeEach(() => {
+    handled = [];
+  });
+
+  describe('Origin Matching', () => {
+
+    test('should match exact origins case-insensitively', () => {
+      const matches = compileOrigin('https://app.example.com');
+
+      expect(matches('https://app.example.com')).toBe(true);
+      expect(matches('HTTPS://APP.EXAMPLE.COM')).toBe(true);
+      expect(matches('https://app.example.com:8443')).toBe(false);
+      expect(matches('http://app.example.com')).toBe(false);
+    });
+
+    test('should let a wildcard stand for subdomains only', () => {
+      const matches = compileOrigin('https://*.example.com');
+
+      expect(matches('https://app.example.com')).toBe(true);
+      expect(matches('https://a.b.example.com')).toBe(true);
+      expect(matches('https://example.com')).toBe(false);
+      expect(matches('https://evil.com/.example.com')).toBe(false);
+      expect(matches('https://app.example.com.evil.com')).toBe(false);
+    });
+
+    test('should match regular expressions and any origin', () => {
+      const matches = compileOrigin('/^https:\\/\\/(staging|www)\\.example\\.org$/');
+
+      expect(matches('https://www.example.org')).toBe(true);
+      expect(matches('https://dev.example.org')).toBe(false);
+      expect(compileOrigin('*')('null')).toBe(true);
+    });
+  });
+
+  describe('Simple Requests', () => {
+
+    test('should add no CORS headers while no origin is configured', async () => {
+      const response = await request(createApp()).get('/').set('Origin', 'https://app.example.com').expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+      expect(response.headers.vary).toBeUndefined();
+    });
+
+    test('should echo an allowed origin with exposed headers and Vary', async () => {
+      const app = createApp({ origins: ['https://app.example.com'] });
+
+      const response = await request(app).get('/').set('Origin', 'https://app.example.com').expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(response.headers['access-control-expose-headers']).toBe('X-Request-Id');
+      expect(response.headers['access-control-allow-credentials']).toBeUndefined();
+      expect(response.headers.vary).toBe('Origin');
+      expect(response.text).toBe('root\n');
+    });
+
+    test('should withhold CORS headers from other origins', async () => {
+      const app = createApp({ origins: ['https://app.example.com'] });
+
+      const response = await request(app).get('/').set('Origin', 'https://evil.example').expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+      expect(response.headers.vary).toBe('Origin');
+    });
+
+    test('should answer any origin with * unless credentials are allowed', async () => {
+      const response = await request(createApp({ origins: ['*'] })).get('/').set('Origin', 'https://a.example').expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBe('*');
+      expect(response.headers.vary).toBeUndefined();
+    });
+
+    test('should cover error responses for routed paths', async () => {
+      const app = createApp({ origins: ['https://app.example.com'] });
+
+      const response = await request(app).delete('/api/items/1').set('Origin', 'https://app.example.com').expect(405);
+
+      expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    });
+  });
+
+  describe('Preflight Requests', () => {
+
+    test('should answer preflights with 204 before the route handler', async () => {
+      const app = createApp({ origins: ['https://*.example.com'], maxAge: 3600 });
+
+      const response = await request(app)
+        .options('/')
+        .set('Origin', 'https://app.example.com')
+        .set('Access-Control-Request-Method', 'PUT')
+        .set('Access-Control-Request-Headers', 'content-type')
+        .expect(204);
+
+      expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(response.headers['access-control-allow-methods']).toBe('GET, HEAD, POST, PUT, DELETE, PATCH');
+      expect(response.headers['access-control-allow-headers']).toBe('Accept, Authorization, Content-Type, X-Request-Id');
+      expect(response.headers['access-control-max-age']).toBe('3600');
+      expect(response.headers['access-control-expose-headers']).toBeUndefined();
+      expect(handled).toEqual([]);
+    });
+
+    test('should leave OPTIONS without a request method to the route', async () => {
+      const app = createApp({ origins: ['https://app.example.com'] });
+
+      const response = await request(app).options('/').set('Origin', 'https://app.example.com').expect(200);
+
+      expect(response.text).toBe('root\n');
+      expect(handled).toEqual(['root']);
+    });
+
+    test('should not answer preflights from other origins', async () => {
+      const app = createApp({ origins: ['https://app.example.com'] });
+
+      const response = await request(app)
+        .options('/')
+        .set('Origin', 'https://evil.example')
+        .set('Access-Control-Request-Method', 'POST')
+        .expect(200);
+
+      expect(response.headers['access-control-allow-methods']).toBeUndefined();
+      expect(handled).toEqual(['root']);
+    });
+
+    test('should echo requested headers for credentialed wildcard policies', async () => {
+      const app = createApp({ origins: ['https://app.example.com'], allowedHeaders: ['*'], credentials: true });
+
+      const response = await request(app)
+        .options('/')
+        .set('Origin', 'https://app.example.com')
+        .set('Access-Control-Request-Method', 'POST')
+        .set('Access-Control-Request-Headers', 'x-custom, content-type')
+        .expect(204);
+
+      expect(response.headers['access-control-allow-credentials']).toBe('true');
+      expect(response.headers['access-control-allow-headers']).toBe('x-custom, content-type');
+      expect(response.headers.vary).toBe('Origin, Access-Control-Request-Headers');
+    });
+  });
+
+  describe('Per-Route Policies', () => {
+
+    test('should override the defaults for a route pattern', async () => {
+      const app = createApp({
+        origins: ['https://app.example.com'],
+        routes: { '/api/items/:id': { origins: ['https://admin.example.com'], methods: ['GET', 'PUT'], credentials: true } }
+      });
+
+      const item = await request(app)
+        .options('/api/items/7')
+        .set('Origin', 'https://admin.example.com')
+        .set('Access-Control-Request-Method', 'PUT')
+        .expect(204);
+      expect(item.headers['access-control-allow-methods']).toBe('GET, PUT');
+      expect(item.headers['access-control-allow-credentials']).toBe('true');
+
+      const denied = await request(app).get('/api/items/7').set('Origin', 'https://app.example.com').expect(200);
+      expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+
+      const root = await request(app).get('/').set('Origin', 'https://app.example.com').expect(200);
+      expect(root.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    });
+  });
+});
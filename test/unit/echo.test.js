@@ -0,0 +1,127 @@
+/**
+ * Unit Test Suite for lib/echo.js
+ *
+ * Validates the /echo debugging endpoint: disabled by default, the request
+ * description it returns (method, path, query, headers, body, remote
+ * address, HTTP version and TLS details) and header redaction.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createServer, listen } = require('../../server');
+const { generateCertificate } = require('../helpers/certificates');
+const { useTestApps } = require('../helpers/test-utilities');
+
+describe('Echo Endpoint Unit Tests', () => {
+  const createApp = useTestApps();
+  const createEchoApp = (echoConfiguration = {}) => createApp({ echoConfiguration: { enabled: true, ...echoConfiguration } });
+
+  test('should not be served unless enabled', async () => {
+    await request(createApp()).get('/echo').expect(404);
+  });
+
+  test('should describe the request as JSON', async () => {
+    const response = await request(createEchoApp())
+      .post('/echo?debug=1&tag=a&tag=b')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .set('X-Request-Id', 'probe-1')
+      .send({ name: 'Test User' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/json');
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toMatchObject({
+      id: 'probe-1',
+      method: 'POST',
+      path: '/echo',
+      query: { debug: '1', tag: ['a', 'b'] },
+      httpVersion: '1.1',
+      remoteAddress: expect.stringMatching(/127\.0\.0\.1$/),
+      remotePort: expect.any(Number),
+      body: { contentType: 'application/json', length: 20, parsed: { name: 'Test User' }, encoding: null, files: [] },
+      tls: null
+    });
+    expect(response.body.headers['x-forwarded-for']).toBe('203.0.113.7');
+  });
+
+  test('should report raw bodies as base64 and uploads without their paths', async () => {
+    const app = createEchoApp();
+
+    const raw = await request(app).put('/echo').set('Content-Type', 'application/octet-stream').send(Buffer.from([1, 2, 255])).expect(200);
+    expect(raw.body.body).toMatchObject({ length: 3, parsed: 'AQL/', encoding: 'base64' });
+
+    const upload = await request(app).post('/echo').attach('report', Buffer.from('hello'), 'report.txt').field('note', 'hi').expect(200);
+    expect(upload.body.body.parsed).toEqual({ note: 'hi' });
+    expect(upload.body.body.files).toEqual([{ field: 'report', filename: 'report.txt', contentType: 'text/plain', size: 5 }]);
+
+    const empty = await request(app).get('/echo').expect(200);
+    expect(empty.body.body).toMatchObject({ contentType: null, length: 0, parsed: null });
+  });
+
+  test('should redact sensitive headers', async () => {
+    const response = await request(createEchoApp())
+      .get('/echo')
+      .set('Authorization', 'Bearer secret')
+      .set('Cookie', 'session=secret')
+      .set('X-Custom', 'visible')
+      .expect(200);
+
+    expect(response.body.headers.authorization).toBe('[REDACTED]');
+    expect(response.body.headers.cookie).toBe('[REDACTED]');
+    expect(response.body.headers['x-custom']).toBe('visible');
+
+    const custom = await request(createEchoApp({ redactHeaders: ['X-Custom'] }))
+      .get('/echo')
+      .set('Authorization', 'Bearer visible')
+      .set('X-Custom', 'secret')
+      .expect(200);
+    expect(custom.body.headers.authorization).toBe('Bearer visible');
+    expect(custom.body.headers['x-custom']).toBe('[REDACTED]');
+  });
+
+  test('should reject bodies no parser accepts', async () => {
+    const response = await request(createEchoApp()).post('/echo').set('Content-Type', 'application/xml').send('<a/>').expect(415);
+
+    expect(response.text).toContain('Unsupported Media Type; supported types: application/json');
+  });
+
+  test('should describe the TLS session', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-echo-'));
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const server = createServer({
+      serverConfiguration: { port: 0, protocol: 'https' },
+      tlsConfiguration: generateCertificate(directory),
+      loggingConfiguration: { accessLog: { enabled: false } },
+      echoConfiguration: { enabled: true }
+    });
+    try {
+      await listen(server);
+      const body = await new Promise((resolve, reject) => {
+        https.get({ host: '127.0.0.1', port: server.address().port, path: '/echo', servername: 'localhost', rejectUnauthorized: false }, (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => { text += chunk; });
+          res.on('end', () => resolve(JSON.parse(text)));
+        }).on('error', reject);
+      });
+
+      expect(body.tls).toEqual({
+        protocol: expect.stringMatching(/^TLSv1\.[23]$/),
+        cipher: expect.any(String),
+        alpnProtocol: null,
+        servername: 'localhost'
+      });
+    } finally {
+      server.connectionTracker.forceClose();
+      await new Promise((resolve) => server.close(resolve));
+      logSpy.mockRestore();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Test Suite for lib/health.js
+ *
+ * Validates the liveness, readiness and health probe responses and how
+ * readiness checks are aggregated.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { version } = require('../../package.json');
+const { createHealth } = require('../../lib/health');
+const { createRouter } = require('../../lib/router');
+
+describe('Health Endpoint Unit Tests', () => {
+  let health;
+  let app;
+
+  beforeEach(() => {
+    const router = createRouter();
+    health = createHealth(router);
+    app = (req, res) => router.handle(req, res);
+  });
+
+  test('should report liveness with uptime', async () => {
+    const response = await request(app).get('/livez').expect(200);
+
+    expect(response.headers['content-type']).toBe('application/json');
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body.status).toBe('ok');
+    expect(typeof response.body.uptime).toBe('number');
+    expect(response.body.uptime).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should be ready when every check passes', async () => {
+    health.addReadinessCheck('database', () => true);
+
+    const response = await request(app).get('/readyz').expect(200);
+
+    expect(response.body).toEqual({ status: 'ok', checks: { database: 'ok' } });
+  });
+
+  test('should answer 503 naming the failing check', async () => {
+    let accepting = true;
+    health.addReadinessCheck('database', () => true);
+    health.addReadinessCheck('shutdown', () => accepting);
+
+    await request(app).get('/readyz').expect(200);
+    accepting = false;
+
+    const response = await request(app).get('/readyz').expect(503);
+    expect(response.body).toEqual({
+      status: 'unavailable',
+      checks: { database: 'ok', shutdown: 'failing' }
+    });
+  });
+
+  test('should summarize version, uptime and readiness on /healthz', async () => {
+    health.addReadinessCheck('shutdown', () => false);
+
+    const response = await request(app).get('/healthz').expect(200);
+
+    expect(response.body).toEqual({
+      status: 'ok',
+      version,
+      uptime: expect.any(Number),
+      ready: false
+    });
+  });
+
+  test('should answer HEAD probes without a body', async () => {
+    const response = await request(app).head('/readyz').expect(200);
+
+    expect(response.headers['content-length']).toBe(String(Buffer.byteLength('{"status":"ok","checks":{}}')));
+    expect(response.text).toBeUndefined();
+  });
+
+  test('should reject other methods with 405', async () => {
+    const response = await request(app).post('/livez').expect(405);
+
+    expect(response.headers.allow).toBe('GET, HEAD, OPTIONS');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit Test Suite for lib/http2.js
+ *
+ * Validates HTTP/2 mode: h2c with prior knowledge, h2 negotiated over TLS
+ * with HTTP/1.1 fallback, the advertised stream limit, stream-level error
+ * isolation and draining sessions with GOAWAY on shutdown.
+ *
+ * Testing Framework: Jest
+ */
+
+const fs = require('fs');
+const http2 = require('http2');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+const { createServer, listen } = require('../../server');
+const { generateCertificate } = require('../helpers/certificates');
+
+describe('HTTP/2 Unit Tests', () => {
+  let server;
+  let session;
+  let pending;
+  let logSpy;
+
+  /**
+   * Creates and binds an HTTP/2 server with an extra /slow route whose
+   * responses stay open until released
+   */
+  const startServer = async (options = {}) => {
+    server = createServer({
+      serverConfiguration: { port: 0 },
+      loggingConfiguration: { accessLog: { enabled: false } },
+      ...options,
+      http2Configuration: { enabled: true, ...options.http2Configuration }
+    });
+    pending = [];
+    server.app.router.route('GET', '/slow', (req, res) => pending.push(res));
+    await listen(server);
+    return server.address().port;
+  };
+
+  /**
+   * Sends one request on the session and resolves with its headers and body
+   */
+  const fetch = (path, method = 'GET') => new Promise((resolve, reject) => {
+    const stream = session.request({ ':method': method, ':path': path });
+    let headers;
+    let body = '';
+    stream.setEncoding('utf8');
+    stream.on('response', (received) => { headers = received; });
+    stream.on('data', (chunk) => { body += chunk; });
+    stream.on('end', () => resolve({ headers, body }));
+    stream.on('error', reject);
+    stream.end();
+  });
+
+  const waitFor = async (predicate) => {
+    while (!predicate()) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (session) {
+      session.destroy();
+      session = undefined;
+    }
+    if (server && server.listening) {
+      server.connectionTracker.forceClose();
+      await new Promise((resolve) => server.close(resolve));
+    }
+    server = undefined;
+    logSpy.mockRestore();
+  });
+
+  describe('Cleartext h2c', () => {
+
+    test('should serve the same routes to prior-knowledge clients', async () => {
+      const port = await startServer();
+      session = http2.connect(`http://127.0.0.1:${port}`);
+
+      const hello = await fetch('/');
+      expect(hello.headers[':status']).toBe(200);
+      expect(hello.headers['content-type']).toBe('text/plain');
+      expect(hello.body).toBe('Hello, World!\n');
+
+      const missing = await fetch('/missing');
+      expect(missing.headers[':status']).toBe(404);
+      expect(missing.body).toBe(`Not Found\nRequest ID: ${missing.headers['x-request-id']}\n`);
+
+      expect(server.connectionTracker.connections.size).toBe(1);
+      expect(logSpy).toHaveBeenCalledWith(`Server running at http://127.0.0.1:${port}/ (HTTP/2)`);
+    });
+
+    test('should answer HEAD with the GET headers and no body', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const port = await startServer();
+        session = http2.connect(`http://127.0.0.1:${port}`);
+
+        for (const path of ['/', '/livez', '/missing']) {
+          const get = await fetch(path);
+          const head = await fetch(path, 'HEAD');
+          expect(head.headers[':status']).toBe(get.headers[':status']);
+          expect(head.headers['content-length']).toBe(get.headers['content-length']);
+          expect(head.body).toBe('');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(errorSpy).not.toHaveBeenCalled();
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('should drop the body a HEAD handler writes in chunks', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const port = await startServer();
+        const written = [];
+        server.app.router.route('GET', '/chunked', (req, res) => {
+          res.setHeader('Content-Type', 'text/plain');
+          written.push(res.write('first\n', () => written.push('flushed')));
+          res.end('last\n');
+        });
+        session = http2.connect(`http://127.0.0.1:${port}`);
+
+        const get = await fetch('/chunked');
+        expect(get.body).toBe('first\nlast\n');
+
+        written.length = 0;
+        const head = await fetch('/chunked', 'HEAD');
+        expect(head.headers[':status']).toBe(200);
+        expect(head.headers['content-type']).toBe('text/plain');
+        expect(head.body).toBe('');
+        await waitFor(() => written.length === 2);
+        expect(written).toEqual([true, 'flushed']);
+        expect(errorSpy).not.toHaveBeenCalled();
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('should advertise the configured stream limit', async () => {
+      const port = await startServer({ http2Configuration: { maxConcurrentStreams: 2 } });
+      session = http2.connect(`http://127.0.0.1:${port}`);
+
+      const settings = await new Promise((resolve) => session.once('remoteSettings', resolve));
+
+      expect(settings.maxConcurrentStreams).toBe(2);
+    });
+
+    test('should reset a failing stream without disturbing the session', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const port = await startServer();
+        session = http2.connect(`http://127.0.0.1:${port}`);
+
+        const broken = session.request({ ':path': '/slow' });
+        broken.on('error', () => {});
+        broken.end();
+        await waitFor(() => pending.length === 1);
+        broken.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+
+        await waitFor(() => errorSpy.mock.calls.length > 0);
+        expect(errorSpy).toHaveBeenCalledWith('HTTP/2 stream 1 failed: Stream closed with error code NGHTTP2_INTERNAL_ERROR');
+
+        const { headers, body } = await fetch('/');
+        expect(headers[':status']).toBe(200);
+        expect(body).toBe('Hello, World!\n');
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('should send GOAWAY on shutdown and let open streams finish', async () => {
+      const port = await startServer();
+      session = http2.connect(`http://127.0.0.1:${port}`);
+      const goaway = new Promise((resolve) => session.once('goaway', resolve));
+
+      const slow = fetch('/slow');
+      await waitFor(() => pending.length === 1);
+      const shutdown = server.shutdown({ timeout: 2000 });
+      await goaway;
+
+      pending[0].end('done\n');
+
+      await expect(slow).resolves.toMatchObject({ body: 'done\n' });
+      await expect(shutdown).resolves.toMatchObject({ forced: false, remaining: 0 });
+    });
+  });
+
+  describe('h2 over TLS', () => {
+    let directory;
+    let certificate;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-http2-'));
+      certificate = generateCertificate(directory);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const startSecureServer = () => startServer({
+      serverConfiguration: { port: 0, protocol: 'https' },
+      tlsConfiguration: certificate
+    });
+
+    test('should negotiate h2 with ALPN', async () => {
+      const port = await startSecureServer();
+      session = http2.connect(`https://127.0.0.1:${port}`, { ca: fs.readFileSync(certificate.certFile) });
+
+      const { headers, body } = await fetch('/');
+
+      expect(session.alpnProtocol).toBe('h2');
+      expect(headers[':status']).toBe(200);
+      expect(headers['strict-transport-security']).toBe('max-age=15552000');
+      expect(body).toBe('Hello, World!\n');
+      expect(logSpy).toHaveBeenCalledWith(`Server running at https://127.0.0.1:${port}/ (HTTP/2)`);
+    });
+
+    test('should fall back to HTTP/1.1 for clients without h2', async () => {
+      const port = await startSecureServer();
+
+      const res = await new Promise((resolve, reject) => {
+        https.get({ host: '127.0.0.1', port, path: '/', agent: false, rejectUnauthorized: false }, resolve)
+          .on('error', reject);
+      });
+      res.resume();
+
+      expect(res.httpVersion).toBe('1.1');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['strict-transport-security']).toBe('max-age=15552000');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit Test Suite for lib/load-shedding.js
+ *
+ * Validates that requests over the in-flight limit or arriving while the
+ * event loop lags are answered with 503 and Retry-After, that health probes
+ * and /metrics are exempt, and that maxConnections reaches the server.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { createServer } = require('../../server');
+const { useTestApps } = require('../helpers/test-utilities');
+
+describe('Load Shedding Unit Tests', () => {
+  const createApp = useTestApps();
+  let app;
+
+  const createLoadedApp = (loadSheddingConfiguration) => createApp({ loadSheddingConfiguration });
+
+  test('should shed requests beyond the in-flight limit with 503 and Retry-After', async () => {
+    app = createLoadedApp({ maxInFlight: 2, retryAfter: 5 });
+    const held = [];
+    app.router.route('GET', '/slow', (req, res) => held.push(res));
+
+    const slow = Promise.all([request(app).get('/slow'), request(app).get('/slow')]);
+    while (held.length < 2) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    expect(app.loadShedder.inFlight()).toBe(2);
+
+    const shed = await request(app).get('/').expect(503);
+    expect(shed.headers['retry-after']).toBe('5');
+    expect(shed.text).toContain('Service Unavailable; overloaded (2 requests in flight)');
+    await request(app).get('/readyz').expect(200);
+    await request(app).get('/metrics').expect(200);
+
+    held.forEach((res) => res.end('done\n'));
+    await slow;
+    expect(app.loadShedder.inFlight()).toBe(0);
+    await request(app).get('/').expect(200);
+  });
+
+  test('should shed requests while the event loop lags', async () => {
+    app = createLoadedApp({ maxEventLoopLag: 20 });
+    await request(app).get('/').expect(200);
+
+    const blockedUntil = Date.now() + 500;
+    while (Date.now() < blockedUntil) {
+      // Keeps the event loop busy
+    }
+    const shed = await request(app).get('/').expect(503);
+
+    expect(shed.text).toMatch(/overloaded \(event loop lagging \d+ms\)/);
+    expect(shed.headers['retry-after']).toBe('1');
+    expect(app.loadShedder.lag()).toBeGreaterThan(0);
+  });
+
+  test('should not shed anything by default', async () => {
+    app = createLoadedApp({});
+
+    await request(app).get('/').expect(200);
+    expect(app.loadShedder.lag()).toBe(0);
+  });
+
+  test('should cap the connections the server accepts', () => {
+    const server = createServer({ loadSheddingConfiguration: { maxConnections: 50 } });
+    server.app.loadShedder.stop();
+
+    expect(server.maxConnections).toBe(50);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Test Suite for lib/metrics.js
+ *
+ * Validates the Prometheus exposition served on /metrics: request counters,
+ * latency histograms, the in-flight gauge, registered gauges and runtime
+ * statistics.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { DURATION_BUCKETS, createMetrics } = require('../../lib/metrics');
+const { createRouter } = require('../../lib/router');
+
+/**
+ * Reads the value of one sample line from an exposition body
+ */
+function sample(body, line) {
+  const match = body.split('\n').find((candidate) => candidate.startsWith(`${line} `));
+  return match === undefined ? undefined : Number(match.slice(line.length + 1));
+}
+
+describe('Metrics Unit Tests', () => {
+  let metrics;
+  let router;
+  let app;
+
+  beforeEach(() => {
+    router = createRouter()
+      .route('GET', '/', (req, res) => res.end('Hello, World!\n'))
+      .route('GET', '/users/:id', (req, res) => res.end(req.params.id));
+    metrics = createMetrics(router);
+    app = (req, res) => {
+      metrics.track(req, res);
+      router.handle(req, res);
+    };
+  });
+
+  test('should serve the text exposition format without caching', async () => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.text).toMatch(/^# HELP http_requests_total Completed HTTP requests\.\n# TYPE http_requests_total counter\n/);
+    expect(response.text.endsWith('\n')).toBe(true);
+  });
+
+  test('should count requests by method, route pattern and status', async () => {
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(200);
+    await request(app).get('/users/1').expect(200);
+    await request(app).get('/users/2').expect(200);
+    await request(app).post('/').expect(405);
+    await request(app).get('/nowhere').expect(404);
+
+    const { text } = await request(app).get('/metrics');
+
+    expect(sample(text, 'http_requests_total{method="GET",route="/",status="200"}')).toBe(2);
+    expect(sample(text, 'http_requests_total{method="GET",route="/users/:id",status="200"}')).toBe(2);
+    expect(sample(text, 'http_requests_total{method="POST",route="/",status="405"}')).toBe(1);
+    expect(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}')).toBe(1);
+    expect(text).not.toContain('/users/1');
+  });
+
+  test('should record cumulative latency histograms', async () => {
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(200);
+
+    const { text } = await request(app).get('/metrics');
+    const labels = 'method="GET",route="/"';
+    const counts = DURATION_BUCKETS.map((bound) => sample(text, `http_request_duration_seconds_bucket{${labels},le="${bound}"}`));
+
+    expect(text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(counts).toEqual([...counts].sort((a, b) => a - b));
+    expect(sample(text, `http_request_duration_seconds_bucket{${labels},le="+Inf"}`)).toBe(2);
+    expect(sample(text, `http_request_duration_seconds_count{${labels}}`)).toBe(2);
+    expect(sample(text, `http_request_duration_seconds_sum{${labels}}`)).toBeGreaterThan(0);
+  });
+
+  test('should report requests in flight', async () => {
+    let release;
+    router.route('GET', '/slow', (req, res) => {
+      release = () => res.end('done');
+    });
+
+    const slow = request(app).get('/slow').then((response) => response);
+    while (!release) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    expect(sample(metrics.render(), 'http_requests_in_flight')).toBe(1);
+    release();
+    await slow;
+    expect(sample(metrics.render(), 'http_requests_in_flight')).toBe(0);
+  });
+
+  test('should read registered gauges at scrape time', async () => {
+    let connections = 3;
+    metrics.gauge('http_open_connections', 'Open client connections.', () => connections);
+
+    expect(sample(metrics.render(), 'http_open_connections')).toBe(3);
+    connections = 1;
+    expect(sample(metrics.render(), 'http_open_connections')).toBe(1);
+    expect(metrics.render()).toContain('# TYPE http_open_connections gauge');
+  });
+
+  test('should include process and runtime statistics', () => {
+    const text = metrics.render();
+
+    expect(sample(text, 'process_resident_memory_bytes')).toBeGreaterThan(0);
+    expect(sample(text, 'nodejs_heap_size_used_bytes')).toBeGreaterThan(0);
+    expect(sample(text, 'process_cpu_user_seconds_total')).toBeGreaterThan(0);
+    expect(sample(text, 'nodejs_eventloop_lag_p99_seconds')).toBeGreaterThanOrEqual(0);
+    expect(text).toContain('# TYPE nodejs_gc_runs_total counter');
+    expect(text).toContain('# TYPE nodejs_gc_duration_seconds_total counter');
+  });
+
+  test('should escape label values', async () => {
+    router.route('GET', '/quote"d', (req, res) => res.end());
+
+    await request(app).get('/quote%22d').expect(200);
+
+    expect(metrics.render()).toContain('route="/quote\\"d"');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Test Suite for lib/negotiation.js
+ *
+ * Validates Accept header parsing (q-values, wildcards, malformed ranges)
+ * and media type selection precedence, and Accept-Encoding content coding
+ * selection.
+ *
+ * Testing Framework: Jest
+ */
+
+const { negotiate, negotiateEncoding, parseAccept, parseAcceptEncoding } = require('../../lib/negotiation');
+
+describe('Content Negotiation Unit Tests', () => {
+  const TYPES = ['text/plain', 'application/json', 'text/html', 'application/xml'];
+
+  describe('Accept Header Parsing', () => {
+
+    test('should parse media ranges with q-values in header order', () => {
+      expect(parseAccept('text/html, application/json;q=0.5 , */*;q=0')).toEqual([
+        { type: 'text', subtype: 'html', q: 1, index: 0 },
+        { type: 'application', subtype: 'json', q: 0.5, index: 1 },
+        { type: '*', subtype: '*', q: 0, index: 2 }
+      ]);
+    });
+
+    test('should ignore media type parameters other than q', () => {
+      expect(parseAccept('text/plain; charset=utf-8; q=0.7')).toEqual([
+        { type: 'text', subtype: 'plain', q: 0.7, index: 0 }
+      ]);
+    });
+
+    test('should skip malformed ranges and q-values', () => {
+      expect(parseAccept('text, */json, text/plain;q=2, text/html;q=abc, application/json;Q=0.9')).toEqual([
+        { type: 'application', subtype: 'json', q: 0.9, index: 4 }
+      ]);
+    });
+  });
+
+  describe('Media Type Selection', () => {
+
+    test('should serve the first type when Accept is missing, empty or unparseable', () => {
+      expect(negotiate(undefined, TYPES)).toBe('text/plain');
+      expect(negotiate('  ', TYPES)).toBe('text/plain');
+      expect(negotiate('garbage', TYPES)).toBe('text/plain');
+    });
+
+    test('should pick the type with the highest quality', () => {
+      expect(negotiate('text/plain;q=0.2, application/xml;q=0.8', TYPES)).toBe('application/xml');
+    });
+
+    test('should let the most specific range decide a type quality', () => {
+      expect(negotiate('text/*;q=0.9, text/plain;q=0.1, */*;q=0.5', TYPES)).toBe('text/html');
+      expect(negotiate('*/*, text/plain;q=0', TYPES)).toBe('application/json');
+    });
+
+    test('should break quality ties by specificity, then client order', () => {
+      expect(negotiate('*/*, application/json', TYPES)).toBe('application/json');
+      expect(negotiate('application/xml, text/html', TYPES)).toBe('application/xml');
+    });
+
+    test('should break remaining ties by server preference', () => {
+      expect(negotiate('*/*', TYPES)).toBe('text/plain');
+      expect(negotiate('text/*', ['text/html', 'text/plain'])).toBe('text/html');
+    });
+
+    test('should compare types case-insensitively and without parameters', () => {
+      expect(negotiate('Application/JSON', TYPES)).toBe('application/json');
+      expect(negotiate('text/plain', ['text/plain; charset=utf-8'])).toBe('text/plain; charset=utf-8');
+    });
+
+    test('should return null when nothing is acceptable', () => {
+      expect(negotiate('image/png', TYPES)).toBeNull();
+      expect(negotiate('*/*;q=0', TYPES)).toBeNull();
+    });
+  });
+
+  describe('Content Coding Selection', () => {
+    const CODINGS = ['br', 'gzip', 'deflate'];
+
+    test('should parse codings with q-values, keeping the first of duplicates', () => {
+      expect(parseAcceptEncoding('GZIP;q=0.8, br , gzip, bad coding, deflate;q=x, *;q=0')).toEqual(new Map([
+        ['gzip', 0.8],
+        ['br', 1],
+        ['*', 0]
+      ]));
+    });
+
+    test('should send identity without a header and for an empty one', () => {
+      expect(negotiateEncoding(undefined, CODINGS)).toBe('identity');
+      expect(negotiateEncoding('', CODINGS)).toBe('identity');
+    });
+
+    test('should pick the highest quality, then server preference', () => {
+      expect(negotiateEncoding('gzip, deflate, br', CODINGS)).toBe('br');
+      expect(negotiateEncoding('gzip;q=0.9, br;q=0.5', CODINGS)).toBe('gzip');
+      expect(negotiateEncoding('*', CODINGS)).toBe('br');
+      expect(negotiateEncoding('*;q=0.5, gzip', CODINGS)).toBe('gzip');
+    });
+
+    test('should prefer identity only when the client ranks it higher', () => {
+      expect(negotiateEncoding('gzip;q=0.5, identity', CODINGS)).toBe('identity');
+      expect(negotiateEncoding('gzip;q=0.5', CODINGS)).toBe('gzip');
+      expect(negotiateEncoding('gzip, identity;q=0.5', CODINGS)).toBe('gzip');
+    });
+
+    test('should return null when neither a coding nor identity is acceptable', () => {
+      expect(negotiateEncoding('compress, identity;q=0', CODINGS)).toBeNull();
+      expect(negotiateEncoding('*;q=0', CODINGS)).toBeNull();
+      expect(negotiateEncoding('*;q=0, identity', CODINGS)).toBe('identity');
+    });
+  });
+});
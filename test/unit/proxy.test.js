@@ -0,0 +1,136 @@
+/**
+ * Unit Test Suite for lib/proxy.js
+ *
+ * Validates trusted proxy entries (addresses and CIDR ranges, IPv4 and
+ * IPv6), Forwarded header parsing, and how the client address, protocol
+ * and host are resolved through trusted addresses and hop counts.
+ *
+ * Testing Framework: Jest
+ */
+
+const request = require('supertest');
+
+const { createProxyResolver, createProxyTrust, parseCidr, parseForwarded } = require('../../lib/proxy');
+const { createRedirectHandler } = require('../../lib/tls');
+const { useTestApps } = require('../helpers/test-utilities');
+
+describe('Trusted Proxy Unit Tests', () => {
+  const createApp = useTestApps();
+
+  const fakeRequest = (remoteAddress, headers = {}) => ({
+    socket: { remoteAddress, encrypted: false },
+    headers: { host: 'localhost', ...headers }
+  });
+
+  test('should parse addresses and CIDR ranges', () => {
+    expect(parseCidr('10.0.0.0/8')).toEqual({ address: '10.0.0.0', prefix: 8, family: 'ipv4' });
+    expect(parseCidr('2001:db8::1')).toEqual({ address: '2001:db8::1', prefix: 128, family: 'ipv6' });
+    expect(parseCidr('10.0.0.0/33')).toBeNull();
+    expect(parseCidr('10.0.0.0/x')).toBeNull();
+    expect(parseCidr('proxy.internal')).toBeNull();
+  });
+
+  test('should match trusted addresses, including IPv4-mapped peers', () => {
+    const trusts = createProxyTrust(['10.0.0.0/8', 'fd00::/8']);
+
+    expect(trusts('10.1.2.3')).toBe(true);
+    expect(trusts('::ffff:10.1.2.3')).toBe(true);
+    expect(trusts('fd12::1')).toBe(true);
+    expect(trusts('192.0.2.1')).toBe(false);
+    expect(trusts(undefined)).toBe(false);
+    expect(createProxyTrust([])('10.1.2.3')).toBe(false);
+  });
+
+  test('should resolve the client from X-Forwarded-* through trusted hops only', () => {
+    const resolve = createProxyResolver({ trustedProxies: ['10.0.0.0/8'], hops: 0 });
+
+    expect(resolve(fakeRequest('::ffff:192.0.2.1', { 'x-forwarded-for': '203.0.113.9', 'x-forwarded-proto': 'https' })))
+      .toEqual({ address: '192.0.2.1', protocol: 'http', host: 'localhost', forwarded: false });
+    expect(resolve(fakeRequest('10.0.0.1', {
+      'x-forwarded-for': '203.0.113.9, 10.0.0.2',
+      'x-forwarded-proto': 'https',
+      'x-forwarded-host': 'api.example.com'
+    }))).toEqual({ address: '203.0.113.9', protocol: 'https', host: 'api.example.com', forwarded: true });
+    expect(resolve(fakeRequest('10.0.0.1', { 'x-forwarded-for': '198.51.100.1, 203.0.113.9' })).address).toBe('203.0.113.9');
+    expect(resolve(fakeRequest('10.0.0.1', { 'x-forwarded-for': 'unknown, 10.0.0.2' })).address).toBe('10.0.0.2');
+    expect(resolve(fakeRequest('10.0.0.1', { 'x-forwarded-for': '203.0.113.9', 'x-forwarded-proto': 'gopher' })).protocol).toBe('http');
+  });
+
+  test('should match X-Forwarded-Proto and X-Forwarded-Host entries to hops by position', () => {
+    const resolve = createProxyResolver({ trustedProxies: ['10.0.0.0/8'], hops: 0 });
+
+    // The client prepends its own values; the trusted proxy appends the real ones
+    expect(resolve(fakeRequest('10.0.0.1', {
+      'x-forwarded-for': '198.51.100.1, 203.0.113.9',
+      'x-forwarded-proto': 'https, http',
+      'x-forwarded-host': 'evil.example.com, shop.example.com'
+    }))).toEqual({ address: '203.0.113.9', protocol: 'http', host: 'shop.example.com', forwarded: true });
+
+    // Through two trusted proxies, the outer entry is the one about the client
+    expect(resolve(fakeRequest('10.0.0.1', {
+      'x-forwarded-for': '203.0.113.9, 10.0.0.2',
+      'x-forwarded-proto': 'https, http'
+    }))).toMatchObject({ address: '203.0.113.9', protocol: 'https' });
+  });
+
+  test('should prefer the Forwarded header and read its elements per hop', () => {
+    const resolve = createProxyResolver({ trustedProxies: ['10.0.0.0/8'], hops: 0 });
+
+    const client = resolve(fakeRequest('10.0.0.1', {
+      forwarded: 'for="[2001:db8::7]:4711";proto=https;host=shop.example.com, for=10.0.0.2;proto=http',
+      'x-forwarded-for': '198.51.100.1'
+    }));
+    expect(client).toEqual({ address: '2001:db8::7', protocol: 'https', host: 'shop.example.com', forwarded: true });
+    expect(resolve(fakeRequest('10.0.0.1', { forwarded: 'for=_hidden' })).address).toBe('10.0.0.1');
+    expect(resolve(fakeRequest('10.0.0.1', { forwarded: 'for=203.0.113.9;;' })).address).toBe('10.0.0.1');
+  });
+
+  test('should trust a fixed number of hops whatever their address', () => {
+    const resolve = createProxyResolver({ trustedProxies: [], hops: 1 });
+    const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.9' };
+
+    expect(resolve(fakeRequest('192.0.2.1', headers)).address).toBe('203.0.113.9');
+    expect(createProxyResolver({ trustedProxies: [], hops: 2 })(fakeRequest('192.0.2.1', headers)).address).toBe('198.51.100.1');
+    expect(createProxyResolver({ trustedProxies: [], hops: 0 })(fakeRequest('192.0.2.1', headers)).address).toBe('192.0.2.1');
+  });
+
+  test('should parse Forwarded elements, quoted strings and empty elements', () => {
+    expect(parseForwarded('for=192.0.2.60;proto=http;by=203.0.113.43, , For="[2001:db8:cafe::17]:4711"')).toEqual([
+      { for: '192.0.2.60', proto: 'http', by: '203.0.113.43' },
+      { for: '[2001:db8:cafe::17]:4711' }
+    ]);
+    expect(parseForwarded('for="a\\"b"')).toEqual([{ for: 'a"b' }]);
+    expect(parseForwarded('for')).toBeNull();
+  });
+
+  test('should expose the forwarded client on requests and use it for HSTS', async () => {
+    const app = createApp({
+      echoConfiguration: { enabled: true },
+      proxyConfiguration: { trustedProxies: ['127.0.0.1', '::1'] }
+    });
+
+    const response = await request(app)
+      .get('/echo')
+      .set('X-Forwarded-For', '203.0.113.9')
+      .set('X-Forwarded-Proto', 'https')
+      .set('X-Forwarded-Host', 'www.example.com')
+      .expect(200);
+
+    expect(response.body.remoteClient).toEqual({ address: '203.0.113.9', protocol: 'https', host: 'www.example.com', forwarded: true });
+    expect(response.headers['strict-transport-security']).toBe('max-age=15552000');
+  });
+
+  test('should redirect to the host forwarded by a trusted proxy', async () => {
+    const resolve = createProxyResolver({ trustedProxies: ['127.0.0.1', '::1'], hops: 0 });
+
+    const forwarded = await request(createRedirectHandler('127.0.0.1', () => 8443, resolve))
+      .get('/cart?id=1')
+      .set('X-Forwarded-For', '203.0.113.9')
+      .set('X-Forwarded-Host', 'shop.example.com:80')
+      .expect(308);
+    expect(forwarded.headers.location).toBe('https://shop.example.com/cart?id=1');
+
+    const direct = await request(createRedirectHandler('127.0.0.1', () => 8443, resolve)).get('/').set('Host', 'localhost').expect(308);
+    expect(direct.headers.location).toBe('https://localhost:8443/');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Test Suite for lib/rate-limit.js
+ *
+ * Validates token-bucket limiting: RateLimit-* headers, 429 with
+ * Retry-After, buckets per client address (through trusted proxies only)
+ * and per known API key, exempt probe paths, per-route policies, refilling,
+ * the memory store's size cap, and pluggable stores.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { createMemoryStore } = require('../../lib/rate-limit');
+const { useTestApps } = require('../helpers/test-utilities');
+
+describe('Rate Limiting Unit Tests', () => {
+  const createApp = useTestApps();
+  let app;
+
+  const createLimitedApp = (rateLimitConfiguration, proxyConfiguration = {}) => {
+    app = createApp({
+      rateLimitConfiguration: { enabled: true, ...rateLimitConfiguration },
+      proxyConfiguration
+    });
+    app.router.route('GET', '/api/items/:id', (req, res) => res.end('item\n'));
+    return app;
+  };
+
+  test('should not limit or add headers unless enabled', async () => {
+    app = createApp();
+
+    const response = await request(app).get('/').expect(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('should answer requests over the limit with 429 and Retry-After', async () => {
+    createLimitedApp({ limit: 2, window: 10000 });
+
+    const first = await request(app).get('/').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=10');
+    await request(app).get('/api/items/1').expect(200);
+
+    const limited = await request(app).get('/').expect(429);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.headers['retry-after']).toBe('5');
+    expect(Number(limited.headers['ratelimit-reset'])).toBeGreaterThan(5);
+    expect(limited.text).toContain('Too Many Requests; retry in 5 seconds');
+
+    // Unknown paths are not routed, so they are not counted either
+    await request(app).get('/missing').expect(404);
+  });
+
+  test('should only believe X-Forwarded-For from trusted proxies', async () => {
+    createLimitedApp({ limit: 1 });
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.1').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.2').expect(429);
+
+    createLimitedApp({ limit: 1 }, { trustedProxies: ['127.0.0.0/8', '::1'] });
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.1').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '203.0.113.2').expect(200);
+    await request(app).get('/').set('X-Forwarded-For', '198.51.100.9, 203.0.113.1').expect(429);
+  });
+
+  test('should keep buckets per known API key and count other requests by address', async () => {
+    createLimitedApp({ limit: 1, keyBy: 'api-key', apiKeyHeader: 'X-Partner-Key', apiKeys: ['partner-a', 'partner-b'] });
+
+    await request(app).get('/').set('X-Partner-Key', 'partner-a').expect(200);
+    await request(app).get('/').set('X-Partner-Key', 'partner-a').expect(429);
+    await request(app).get('/').set('X-Partner-Key', 'partner-b').expect(200);
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(429);
+
+    // Made-up keys share the address bucket instead of getting their own
+    await request(app).get('/').set('X-Partner-Key', 'invented-1').expect(429);
+    await request(app).get('/').set('X-Partner-Key', 'invented-2').expect(429);
+  });
+
+  test('should never limit the health probes and metrics', async () => {
+    createLimitedApp({ limit: 1 });
+
+    for (const path of ['/healthz', '/readyz', '/livez', '/metrics', '/healthz']) {
+      const response = await request(app).get(path).expect(200);
+      expect(response.headers['ratelimit-limit']).toBeUndefined();
+    }
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(429);
+    await request(app).get('/healthz').expect(200);
+  });
+
+  test('should apply route policies with their own buckets', async () => {
+    createLimitedApp({
+      limit: 1,
+      routes: { '/api/items/:id': { limit: 3 }, '/livez': { enabled: false } }
+    });
+
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(429);
+    for (const id of [1, 2, 3]) {
+      const response = await request(app).get(`/api/items/${id}`).expect(200);
+      expect(response.headers['ratelimit-limit']).toBe('3');
+    }
+    await request(app).get('/api/items/4').expect(429);
+
+    const probe = await request(app).get('/livez').expect(200);
+    expect(probe.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('should refill buckets over the window', async () => {
+    const store = createMemoryStore();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    try {
+      const policy = { limit: 2, window: 1000 };
+      expect(await store.consume('client', policy)).toEqual({ allowed: true, remaining: 1, resetMs: 500, retryAfterMs: 0 });
+      await store.consume('client', policy);
+      expect(await store.consume('client', policy)).toEqual({ allowed: false, remaining: 0, resetMs: 1000, retryAfterMs: 500 });
+
+      now.mockReturnValue(1000250);
+      expect((await store.consume('client', policy)).allowed).toBe(false);
+      now.mockReturnValue(1000500);
+      expect(await store.consume('client', policy)).toMatchObject({ allowed: true, remaining: 0 });
+      expect(store.size()).toBe(1);
+    } finally {
+      now.mockRestore();
+      store.close();
+    }
+  });
+
+  test('should cap the memory store by evicting the least recently used bucket', async () => {
+    const store = createMemoryStore({ maxBuckets: 2 });
+    const policy = { limit: 1, window: 60000 };
+    try {
+      await store.consume('a', policy);
+      await store.consume('b', policy);
+      expect((await store.consume('a', policy)).allowed).toBe(false);
+
+      await store.consume('c', policy);
+      expect(store.size()).toBe(2);
+      expect((await store.consume('a', policy)).allowed).toBe(false);
+      expect((await store.consume('b', policy)).allowed).toBe(true);
+    } finally {
+      store.close();
+    }
+  });
+
+  test('should use a replacement store and let requests through when it fails', async () => {
+    createLimitedApp({ limit: 5 });
+    const keys = [];
+    app.rateLimiter.useStore({
+      consume: async (key) => {
+        keys.push(key);
+        return { allowed: false, remaining: 0, resetMs: 60000, retryAfterMs: 1500 };
+      }
+    });
+
+    const limited = await request(app).get('/').expect(429);
+    expect(limited.headers['retry-after']).toBe('2');
+    expect(keys).toEqual([expect.stringMatching(/^\*\|ip:127\.0\.0\.1$/)]);
+
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    app.rateLimiter.useStore({ consume: async () => { throw new Error('connection refused'); } });
+    await request(app).get('/').set('X-Request-Id', 'req-store').expect(200);
+    expect(errorSpy).toHaveBeenCalledWith('[request req-store] Rate limit store failed, letting the request through: connection refused');
+    errorSpy.mockRestore();
+  });
+});
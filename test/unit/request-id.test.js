@@ -0,0 +1,94 @@
+/**
+ * Unit Test Suite for lib/request-id.js
+ *
+ * Validates which incoming X-Request-Id values are kept, ID generation for
+ * the rest and propagation to handlers, responses, error bodies and the
+ * request-scoped logger.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { MAX_REQUEST_ID_LENGTH, assignRequestId, isValidRequestId, loggerFor } = require('../../lib/request-id');
+const { createRouter } = require('../../lib/router');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('Request ID Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    const router = createRouter()
+      .route('GET', '/', (req, res) => res.end(req.id));
+    app = (req, res) => {
+      assignRequestId(req, res);
+      router.handle(req, res);
+    };
+  });
+
+  describe('Validation', () => {
+
+    test('should accept common ID styles', () => {
+      for (const id of ['4f1c2a9e-2b7d-4e8f-9a1b-3c5d7e9f1a2b', '01HF8Z2X3Y4W5V6U7T8S9R0Q1P', 'gw:12345', 'YWJj+ZGVm/Zw==', 'a.b_c']) {
+        expect(isValidRequestId(id)).toBe(true);
+      }
+    });
+
+    test('should reject empty, oversized and unsafe values', () => {
+      expect(isValidRequestId('')).toBe(false);
+      expect(isValidRequestId(undefined)).toBe(false);
+      expect(isValidRequestId('a'.repeat(MAX_REQUEST_ID_LENGTH))).toBe(true);
+      expect(isValidRequestId('a'.repeat(MAX_REQUEST_ID_LENGTH + 1))).toBe(false);
+      for (const id of ['has space', 'quote"d', 'line\nbreak', 'one, two', 'ümlaut', '<script>']) {
+        expect(isValidRequestId(id)).toBe(false);
+      }
+    });
+  });
+
+  describe('Propagation', () => {
+
+    test('should keep a valid incoming ID and echo it', async () => {
+      const response = await request(app).get('/').set('X-Request-Id', 'gateway-42').expect(200);
+
+      expect(response.headers['x-request-id']).toBe('gateway-42');
+      expect(response.text).toBe('gateway-42');
+    });
+
+    test('should generate a UUID when the header is missing or invalid', async () => {
+      const missing = await request(app).get('/').expect(200);
+      const invalid = await request(app).get('/').set('X-Request-Id', 'not valid!').expect(200);
+
+      expect(missing.headers['x-request-id']).toMatch(UUID_PATTERN);
+      expect(invalid.headers['x-request-id']).toMatch(UUID_PATTERN);
+      expect(invalid.headers['x-request-id']).not.toBe(missing.headers['x-request-id']);
+      expect(invalid.text).toBe(invalid.headers['x-request-id']);
+    });
+
+    test('should quote the ID in plain-text error bodies', async () => {
+      const response = await request(app).get('/missing').set('X-Request-Id', 'abc-123').expect(404);
+
+      expect(response.headers['x-request-id']).toBe('abc-123');
+      expect(response.text).toBe('Not Found\nRequest ID: abc-123\n');
+    });
+
+    test('should tag the lines of the request logger with the ID', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        const req = { headers: { 'x-request-id': 'abc-123' } };
+        assignRequestId(req, { setHeader: () => {} });
+
+        req.log.error('Upload failed');
+        loggerFor(req).info('Upload retried');
+        loggerFor({ headers: {} }).error('No request ID yet');
+
+        expect(errorSpy.mock.calls).toEqual([['[request abc-123] Upload failed'], ['No request ID yet']]);
+        expect(logSpy).toHaveBeenCalledWith('[request abc-123] Upload retried');
+      } finally {
+        errorSpy.mockRestore();
+        logSpy.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Unit Test Suite for lib/router.js
+ *
+ * Validates method and path matching, path parameters, query parsing,
+ * HEAD / OPTIONS handling, the 404 / 405 responses for unmatched requests
+ * and the 500 answered for handlers that throw.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const request = require('supertest');
+
+const { assignRequestId } = require('../../lib/request-id');
+const { createRouter } = require('../../lib/router');
+
+describe('Router Unit Tests', () => {
+  let router;
+  let app;
+
+  /**
+   * Responds with the routing details the handler received
+   */
+  const reflect = (name) => (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ name, path: req.path, params: req.params, query: req.query }));
+  };
+
+  beforeEach(() => {
+    router = createRouter()
+      .route('GET', '/', reflect('root'))
+      .route(['GET', 'PUT', 'DELETE'], '/api/v1/users/:id', reflect('user'))
+      .route('GET', '/search', reflect('search'))
+      .route('post', '/submit', reflect('submit'));
+    app = (req, res) => router.handle(req, res);
+  });
+
+  describe('Matching', () => {
+
+    test('should dispatch by method and path', async () => {
+      const response = await request(app).post('/submit').expect(200);
+
+      expect(response.body).toEqual({ name: 'submit', path: '/submit', params: {}, query: {} });
+    });
+
+    test('should extract and decode path parameters', async () => {
+      const response = await request(app).put('/api/v1/users/a%20b').expect(200);
+
+      expect(response.body.name).toBe('user');
+      expect(response.body.params).toEqual({ id: 'a b' });
+    });
+
+    test('should record the matched pattern as req.route', () => {
+      const handle = (method, url) => {
+        const req = { method, url };
+        router.handle(req, { setHeader: jest.fn(), end: jest.fn() });
+        return req.route;
+      };
+
+      expect(handle('GET', '/api/v1/users/42')).toBe('/api/v1/users/:id');
+      expect(handle('POST', '/api/v1/users/42')).toBe('/api/v1/users/:id');
+      expect(handle('OPTIONS', '*')).toBe('*');
+      expect(handle('GET', '/unknown')).toBeUndefined();
+    });
+
+    test('should not match empty parameters or extra segments', async () => {
+      await request(app).get('/api/v1/users/').expect(404);
+      await request(app).get('/api/v1/users/123/posts').expect(404);
+    });
+
+    test('should parse the query string with repeated keys as arrays', async () => {
+      const response = await request(app).get('/search?q=test&limit=10&tag=a&tag=b').expect(200);
+
+      expect(response.body.query).toEqual({ q: 'test', limit: '10', tag: ['a', 'b'] });
+    });
+
+    test('should route absolute-form request targets by their path', () => {
+      const req = { method: 'GET', url: 'http://example.com/search?q=x' };
+      const res = { setHeader: jest.fn(), end: jest.fn() };
+
+      router.handle(req, res);
+
+      expect(req.path).toBe('/search');
+      expect(req.query).toEqual({ q: 'x' });
+    });
+
+    test('should use the first matching route', async () => {
+      router.route('GET', '/api/v1/users/me', reflect('me'));
+
+      const response = await request(app).get('/api/v1/users/me').expect(200);
+      expect(response.body.name).toBe('user');
+    });
+
+    test('should reject patterns that do not start with a slash', () => {
+      expect(() => router.route('GET', 'users', reflect('bad'))).toThrow(TypeError);
+    });
+  });
+
+  describe('HEAD and OPTIONS', () => {
+
+    test('should serve HEAD from the GET handler', async () => {
+      const response = await request(app).head('/search?q=x').expect(200);
+
+      expect(response.headers['content-type']).toBe('application/json');
+      expect(response.text).toBeUndefined();
+    });
+
+    test('should prefer an explicit HEAD route over the GET handler', async () => {
+      router.route('HEAD', '/search', (req, res) => {
+        res.setHeader('X-Route', 'head');
+        res.end();
+      });
+
+      const response = await request(app).head('/search').expect(200);
+      expect(response.headers['x-route']).toBe('head');
+    });
+
+    test('should answer OPTIONS with 204 and the methods of the path', async () => {
+      const response = await request(app).options('/api/v1/users/123').expect(204);
+
+      expect(response.headers.allow).toBe('GET, HEAD, PUT, DELETE, OPTIONS');
+      expect(response.text).toBe('');
+    });
+
+    test('should let a route handle OPTIONS itself', async () => {
+      router.route('OPTIONS', '/submit', reflect('options'));
+
+      const response = await request(app).options('/submit').expect(200);
+      expect(response.body.name).toBe('options');
+    });
+
+    test('should answer OPTIONS * with every method the router supports', () => {
+      const res = { statusCode: 200, setHeader: jest.fn(), end: jest.fn() };
+
+      router.handle({ method: 'OPTIONS', url: '*' }, res);
+
+      expect(res.statusCode).toBe(204);
+      expect(res.setHeader).toHaveBeenCalledWith('Allow', 'GET, HEAD, PUT, DELETE, POST, OPTIONS');
+      expect(res.end).toHaveBeenCalledWith();
+    });
+
+    test('should reject * for methods other than OPTIONS', () => {
+      const res = { setHeader: jest.fn(), end: jest.fn() };
+
+      router.handle({ method: 'GET', url: '*' }, res);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('should set the Cache-Control value configured for the matched pattern', async () => {
+      router = createRouter({ cacheControl: { '/api/v1/users/:id': 'private, max-age=30' } })
+        .route('GET', '/api/v1/users/:id', reflect('user'))
+        .route('GET', '/search', reflect('search'));
+
+      const user = await request(app).get('/api/v1/users/7').expect(200);
+      expect(user.headers['cache-control']).toBe('private, max-age=30');
+
+      const search = await request(app).get('/search').expect(200);
+      expect(search.headers['cache-control']).toBeUndefined();
+    });
+
+    test('should keep 404 for OPTIONS on unknown paths', async () => {
+      await request(app).options('/missing').expect(404);
+    });
+  });
+
+  describe('Unmatched Requests', () => {
+
+    test('should answer unknown paths with 404 Not Found', async () => {
+      const response = await request(app).get('/missing').expect(404);
+
+      expect(response.text).toBe('Not Found\n');
+      expect(response.headers['content-type']).toBe('text/plain');
+    });
+
+    test('should answer unsupported methods with 405 and an Allow header', async () => {
+      const response = await request(app).post('/api/v1/users/123').expect(405);
+
+      expect(response.headers.allow).toBe('GET, HEAD, PUT, DELETE, OPTIONS');
+      expect(response.text).toBe('Method Not Allowed\n');
+    });
+
+    test('should combine Allow methods from every route matching the path', async () => {
+      router.route('PATCH', '/api/v1/users/:userId', reflect('patch'));
+
+      const response = await request(app).post('/api/v1/users/123').expect(405);
+      expect(response.headers.allow).toBe('GET, HEAD, PUT, DELETE, PATCH, OPTIONS');
+    });
+
+    test('should include implied HEAD and OPTIONS in Allow', async () => {
+      const response = await request(app).patch('/search').expect(405);
+
+      expect(response.headers.allow).toBe('GET, HEAD, OPTIONS');
+    });
+
+    test('should answer malformed percent-encoding with 400 Bad Request', async () => {
+      const response = await request(app).get('/api/v1/users/%E0%A4%A').expect(400);
+
+      expect(response.text).toBe('Bad Request\n');
+    });
+  });
+
+  describe('Failing Handlers', () => {
+    let errorSpy;
+
+    beforeEach(() => {
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      errorSpy.mockRestore();
+    });
+
+    const fail = () => {
+      throw new Error('handler broke');
+    };
+
+    test('should answer a handler that throws with 500 and log the failure with the request ID', async () => {
+      router.route('GET', '/fail', fail);
+      const tagged = (req, res) => {
+        assignRequestId(req, res);
+        router.handle(req, res);
+      };
+
+      const response = await request(tagged).get('/fail').set('X-Request-Id', 'router-1').expect(500);
+
+      expect(response.text).toBe('Internal Server Error\nRequest ID: router-1\n');
+      expect(errorSpy).toHaveBeenCalledWith('[request router-1] Request handler failed: handler broke');
+    });
+
+    test('should answer a handler that throws once the rate limiter lets it through with 500', async () => {
+      const rateLimit = { handle: (req, res, pattern, next) => setImmediate(next) };
+      const limited = createRouter({ rateLimit }).route('GET', '/fail', fail);
+
+      const response = await request((req, res) => limited.handle(req, res)).get('/fail').expect(500);
+
+      expect(response.text).toBe('Internal Server Error\n');
+      expect(errorSpy).toHaveBeenCalledWith('Request handler failed: handler broke');
+    });
+
+    test('should destroy the response of a handler that throws after sending its headers', async () => {
+      router.route('GET', '/fail', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('partial');
+        fail();
+      });
+
+      await expect(request(app).get('/fail')).rejects.toThrow();
+      expect(errorSpy).toHaveBeenCalledWith('Request handler failed: handler broke');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit Test Suite for lib/security-headers.js
+ *
+ * Validates the default hardening headers, per-route policies, headers set
+ * by handlers taking precedence, the removal of headers revealing the
+ * runtime version, and the headers on responses sent outside the router:
+ * load shedding 503s, raw 408 replies and HTTPS redirects.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createServer, listen } = require('../../server');
+const { generateCertificate } = require('../helpers/certificates');
+const { useTestApps } = require('../helpers/test-utilities');
+
+const DEFAULT_HEADERS = {
+  'content-security-policy': "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'",
+  'x-content-type-options': 'nosniff',
+  'x-frame-options': 'DENY',
+  'referrer-policy': 'no-referrer',
+  'cross-origin-opener-policy': 'same-origin',
+  'cross-origin-resource-policy': 'same-origin',
+  'cross-origin-embedder-policy': 'require-corp'
+};
+
+describe('Security Headers Unit Tests', () => {
+  const createApp = useTestApps();
+
+  test('should send the hardening headers by default, also on errors', async () => {
+    const app = createApp();
+
+    for (const [target, status] of [['/', 200], ['/missing', 404]]) {
+      const response = await request(app).get(target).expect(status);
+      expect(response.headers).toMatchObject(DEFAULT_HEADERS);
+    }
+  });
+
+  test('should apply route policies and turn headers off', async () => {
+    const app = createApp({
+      securityHeadersConfiguration: {
+        frameOptions: 'sameorigin',
+        crossOriginEmbedderPolicy: 'off',
+        routes: {
+          '/docs/:page': { contentSecurityPolicy: "default-src 'self'", crossOriginResourcePolicy: 'cross-origin' },
+          '/livez': { enabled: false }
+        }
+      }
+    });
+    app.router.route('GET', '/docs/:page', (req, res) => res.end('docs\n'));
+
+    const docs = await request(app).get('/docs/intro').expect(200);
+    expect(docs.headers['content-security-policy']).toBe("default-src 'self'");
+    expect(docs.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(docs.headers['x-frame-options']).toBe('SAMEORIGIN');
+    expect(docs.headers['cross-origin-embedder-policy']).toBeUndefined();
+
+    const probe = await request(app).get('/livez').expect(200);
+    expect(probe.headers['x-content-type-options']).toBeUndefined();
+    expect(probe.headers['content-security-policy']).toBeUndefined();
+  });
+
+  test('should keep headers set by handlers and strip version headers', async () => {
+    const app = createApp();
+    app.router.route('GET', '/widget', (req, res) => {
+      res.setHeader('X-Powered-By', `Node.js ${process.version}`);
+      res.setHeader('Server', 'hello/1.0.0');
+      res.writeHead(200, { 'X-Frame-Options': 'SAMEORIGIN', 'Content-Type': 'text/html' });
+      res.end('<p>widget</p>\n');
+    });
+    app.router.route('GET', '/plain', (req, res) => {
+      res.setHeader('Server', 'hello');
+      res.end('plain\n');
+    });
+
+    const widget = await request(app).get('/widget').expect(200);
+    expect(widget.headers['x-frame-options']).toBe('SAMEORIGIN');
+    expect(widget.headers['x-content-type-options']).toBe('nosniff');
+    expect(widget.headers['x-powered-by']).toBeUndefined();
+    expect(widget.headers.server).toBeUndefined();
+
+    const plain = await request(app).get('/plain').expect(200);
+    expect(plain.headers.server).toBe('hello');
+  });
+
+  test('should merge route overrides over the top-level settings for every reply on the route', async () => {
+    const app = createApp({
+      securityHeadersConfiguration: {
+        referrerPolicy: 'same-origin',
+        routes: {
+          '/api/items/:id': { contentSecurityPolicy: '', contentTypeOptions: false },
+          '/embed': { frameOptions: 'off', crossOriginOpenerPolicy: 'off' }
+        }
+      }
+    });
+    app.router.route('GET', '/api/items/:id', (req, res) => res.end('item\n'));
+    app.router.route('GET', '/embed', (req, res) => res.end('embed\n'));
+
+    // Overridden headers change, the rest are inherited, also on a 405
+    for (const response of [await request(app).get('/api/items/1').expect(200), await request(app).post('/api/items/1').expect(405)]) {
+      expect(response.headers['content-security-policy']).toBeUndefined();
+      expect(response.headers['x-content-type-options']).toBeUndefined();
+      expect(response.headers['referrer-policy']).toBe('same-origin');
+      expect(response.headers['x-frame-options']).toBe('DENY');
+    }
+
+    const embed = await request(app).get('/embed').expect(200);
+    expect(embed.headers['x-frame-options']).toBeUndefined();
+    expect(embed.headers['cross-origin-opener-policy']).toBeUndefined();
+    expect(embed.headers['content-security-policy']).toBe(DEFAULT_HEADERS['content-security-policy']);
+
+    const unmatched = await request(app).get('/api/other').expect(404);
+    expect(unmatched.headers).toMatchObject({ ...DEFAULT_HEADERS, 'referrer-policy': 'same-origin' });
+  });
+
+  test('should send the headers with load shedding 503s', async () => {
+    const app = createApp({ loadSheddingConfiguration: { maxInFlight: 1 } });
+    const held = [];
+    app.router.route('GET', '/slow', (req, res) => held.push(res));
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const slow = request(server).get('/slow').then((response) => response);
+      while (held.length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+
+      const shed = await request(server).get('/').expect(503);
+      expect(shed.headers).toMatchObject(DEFAULT_HEADERS);
+
+      held.forEach((res) => res.end('done\n'));
+      await slow;
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  describe('Replies Outside the Application', () => {
+    let server;
+    let directory;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      if (server && server.listening) {
+        server.connectionTracker.forceClose();
+        await new Promise((resolve) => server.close(resolve));
+      }
+      server = undefined;
+      if (directory) {
+        fs.rmSync(directory, { recursive: true, force: true });
+        directory = undefined;
+      }
+      jest.restoreAllMocks();
+    });
+
+    test('should send the top-level headers with raw 408 replies', async () => {
+      server = createServer({
+        serverConfiguration: { port: 0 },
+        timeoutConfiguration: { headersTimeout: 200, requestTimeout: 400 },
+        securityHeadersConfiguration: { frameOptions: 'sameorigin', routes: { '/': { enabled: false } } }
+      });
+      await listen(server);
+
+      const received = await new Promise((resolve, reject) => {
+        let text = '';
+        const socket = net.connect(server.address().port, '127.0.0.1', () => socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n'));
+        socket.setEncoding('latin1');
+        socket.on('data', (chunk) => { text += chunk; });
+        socket.on('close', () => resolve(text));
+        socket.on('error', reject);
+      });
+
+      expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\nConnection: close\r\n/);
+      expect(received).toContain('X-Content-Type-Options: nosniff\r\n');
+      expect(received).toContain('X-Frame-Options: SAMEORIGIN\r\n');
+      expect(received).toContain(`Content-Security-Policy: ${DEFAULT_HEADERS['content-security-policy']}\r\n`);
+    });
+
+    test('should send the top-level headers with HTTPS redirects', async () => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-security-headers-'));
+      server = createServer({
+        serverConfiguration: { port: 0, protocol: 'https' },
+        tlsConfiguration: { ...generateCertificate(directory), redirect: { enabled: true, port: 0 } }
+      });
+      await listen(server);
+
+      const response = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.redirectServer.address().port, path: '/docs' }, resolve).on('error', reject);
+      });
+      response.resume();
+
+      expect(response.statusCode).toBe(308);
+      expect(response.headers).toMatchObject(DEFAULT_HEADERS);
+      expect(response.headers).not.toHaveProperty('strict-transport-security');
+    });
+  });
+});
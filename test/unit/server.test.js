@@ -21,6 +21,15 @@ const fs = require('fs');
 const path = require('path');
 const net = require('net');
 
+const {
+  createApp,
+  createServer,
+  start,
+  formatUrl,
+  describeListenError,
+  EXIT_CODES
+} = require('../../server');
+
 describe('Server.js Comprehensive Unit Test Suite', () => {
   let server;
   let serverProcess;
@@ -44,15 +53,19 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
     }
     
     if (serverProcess && !serverProcess.killed) {
-      serverProcess.kill('SIGTERM');
+      const child = serverProcess;
+      child.kill('SIGTERM');
       await new Promise((resolve) => {
-        serverProcess.on('exit', resolve);
-        setTimeout(() => {
-          if (!serverProcess.killed) {
-            serverProcess.kill('SIGKILL');
+        const timer = setTimeout(() => {
+          if (!child.killed) {
+            child.kill('SIGKILL');
           }
           resolve();
         }, 1000);
+        child.on('exit', () => {
+          clearTimeout(timer);
+          resolve();
+        });
       });
     }
   });
@@ -63,16 +76,106 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
    */
   describe('Server Startup and Initialization Tests', () => {
     
+    test('should export factories without binding a port at require time', async () => {
+      const serverModule = require('../../server');
+
+      expect(typeof serverModule.createApp).toBe('function');
+      expect(typeof serverModule.createServer).toBe('function');
+      expect(typeof serverModule.start).toBe('function');
+
+      // Requiring server.js must leave port 3000 free
+      const probe = net.createServer();
+      await new Promise((resolve, reject) => {
+        probe.once('error', reject);
+        probe.listen(3000, '127.0.0.1', resolve);
+      });
+      await new Promise((resolve) => probe.close(resolve));
+    });
+
+    test('should return an unstarted server exposing the request handler', () => {
+      server = createServer();
+
+      expect(server).toBeInstanceOf(http.Server);
+      expect(server.listening).toBe(false);
+      expect(typeof server.app).toBe('function');
+      expect(server.listeners('request')).toContain(server.app);
+    });
+
+    test('should serve the production handler through createApp', async () => {
+      const response = await request(createApp())
+        .get('/')
+        .expect(200);
+
+      expect(response.text).toBe('Hello, World!\n');
+      expect(response.headers['content-type']).toBe('text/plain');
+    });
+
+    test('should serve the configured response body and content type', async () => {
+      const app = createApp({
+        responseConfiguration: { body: '<h1>Hi</h1>', contentType: 'text/html' }
+      });
+
+      const response = await request(app)
+        .get('/')
+        .expect(200);
+
+      expect(response.text).toBe('<h1>Hi</h1>');
+      expect(response.headers['content-type']).toBe('text/html');
+    });
+
+    test('should let callers add routes through app.router', async () => {
+      const app = createApp();
+      app.router.route('GET', '/api/v1/users/:id', (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ id: req.params.id, fields: req.query.fields }));
+      });
+
+      const response = await request(app)
+        .get('/api/v1/users/123?fields=name')
+        .expect(200);
+
+      expect(response.body).toEqual({ id: '123', fields: 'name' });
+      await request(app).get('/api/v1/users').expect(404);
+    });
+
+    test('should load a --config file when run directly', (done) => {
+      const serverPath = path.join(__dirname, '../../server.js');
+      const configPath = path.join(require('os').tmpdir(), `server-config-${process.pid}.json`);
+      fs.writeFileSync(configPath, JSON.stringify({
+        serverConfiguration: { port: 0 },
+        responseConfiguration: { body: 'configured\n' }
+      }));
+
+      serverProcess = spawn('node', [serverPath, '--config', configPath], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      let requested = false;
+      serverProcess.stdout.on('data', async (data) => {
+        output += data.toString();
+        const match = output.match(/Server running at (http:\/\/127\.0\.0\.1:\d+)\//);
+        if (match && !requested) {
+          requested = true;
+          try {
+            const response = await request(match[1]).get('/').expect(200);
+            expect(response.text).toBe('configured\n');
+            done();
+          } catch (error) {
+            done(error);
+          } finally {
+            fs.rmSync(configPath, { force: true });
+          }
+        }
+      });
+    });
+
     test('should successfully bind to localhost:3000 on startup', (done) => {
-      // Create server instance identical to production code
+      // Create server instance from the production factory
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, () => {
         // Verify server is listening on correct address
@@ -96,17 +199,94 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
         originalConsoleLog(message);
       };
 
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
-
-      server.listen(port, hostname, () => {
+      start({ serverConfiguration: { port, hostname } }).then((startedServer) => {
+        server = startedServer;
         // Verify console output matches expected format
         expect(capturedMessage).toBe(`Server running at http://${hostname}:${port}/`);
         console.log = originalConsoleLog; // Restore original console.log
         done();
+      }, done);
+    });
+
+    test('should report the ephemeral port actually bound when port is 0', async () => {
+      const originalConsoleLog = console.log;
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      try {
+        server = await start({ serverConfiguration: { port: 0, hostname: '127.0.0.1' } });
+      } finally {
+        console.log = originalConsoleLog;
+      }
+
+      const { port } = server.address();
+      expect(port).toBeGreaterThan(0);
+      expect(messages).toEqual([`Server running at http://127.0.0.1:${port}/`]);
+    });
+
+    test('should bracket IPv6 hostnames in the startup URL', () => {
+      expect(formatUrl('::1', 8080)).toBe('http://[::1]:8080/');
+      expect(formatUrl('localhost', 8080)).toBe('http://localhost:8080/');
+    });
+
+    test('should honor PORT/HOSTNAME environment and --port flag when run directly', (done) => {
+      const serverPath = path.join(__dirname, '../../server.js');
+
+      serverProcess = spawn('node', [serverPath, '--port', '0'], {
+        env: { ...process.env, PORT: '3000', HOSTNAME: 'localhost' },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      serverProcess.stdout.on('data', (data) => {
+        output += data.toString();
+        const match = output.match(/Server running at http:\/\/localhost:(\d+)\//);
+        if (match) {
+          expect(Number(match[1])).not.toBe(3000);
+          expect(Number(match[1])).toBeGreaterThan(0);
+          done();
+        }
+      });
+    });
+
+    test('should exit with a validation error for out-of-range ports', (done) => {
+      const serverPath = path.join(__dirname, '../../server.js');
+
+      serverProcess = spawn('node', [serverPath, '--port', '70000'], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let errorOutput = '';
+      serverProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      serverProcess.on('exit', (code) => {
+        expect(code).toBe(EXIT_CODES.CONFIG_ERROR);
+        expect(errorOutput).toContain('serverConfiguration.port: "70000" from --port must be an integer between 0 and 65535');
+        expect(errorOutput).not.toContain('    at ');
+        done();
+      });
+    });
+
+    test('should exit with a configuration error for a trace file that cannot be opened', (done) => {
+      const serverPath = path.join(__dirname, '../../server.js');
+      const destination = path.join(__dirname, 'missing', 'traces.jsonl');
+
+      serverProcess = spawn('node', [serverPath, '--port', '0', '--tracing', '--trace-destination', destination], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let errorOutput = '';
+      serverProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      serverProcess.on('exit', (code) => {
+        expect(code).toBe(EXIT_CODES.CONFIG_ERROR);
+        expect(errorOutput).toContain(`tracingConfiguration.destination: cannot open ${destination} (ENOENT)`);
+        expect(errorOutput).not.toContain('    at ');
+        done();
       });
     });
 
@@ -114,11 +294,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, () => {
         expect(server.listening).toBe(true);
@@ -132,6 +308,192 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
     });
   });
 
+  /**
+   * Health probes served by createServer and readiness during shutdown
+   */
+  describe('Health Probe Tests', () => {
+
+    test('should serve health probes and fail readiness once draining begins', async () => {
+      server = createServer({ serverConfiguration: { port: 0 } });
+
+      const ready = await request(server.app).get('/readyz').expect(200);
+      expect(ready.body).toEqual({ status: 'ok', checks: { shutdown: 'ok' } });
+      await request(server.app).get('/livez').expect(200);
+
+      await server.shutdown();
+
+      const draining = await request(server.app).get('/readyz').expect(503);
+      expect(draining.body.checks.shutdown).toBe('failing');
+
+      const summary = await request(server.app).get('/healthz').expect(200);
+      expect(summary.body).toMatchObject({ status: 'ok', version: '1.0.0', ready: false });
+    });
+  });
+
+  /**
+   * Request and connection metrics served on /metrics
+   */
+  describe('Metrics Endpoint Tests', () => {
+
+    test('should expose request and connection metrics on /metrics', async () => {
+      server = createServer({ serverConfiguration: { port: 0 } });
+
+      await request(server.app).get('/').expect(200);
+      const response = await request(server.app).get('/metrics').expect(200);
+
+      expect(response.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(response.text).toContain('http_requests_total{method="GET",route="/",status="200"} 1\n');
+      expect(response.text).toContain('http_requests_in_flight 1\n');
+      expect(response.text).toContain('# TYPE http_open_connections gauge\n');
+    });
+  });
+
+  /**
+   * X-Request-Id propagation to handlers and responses
+   */
+  describe('Request ID Tests', () => {
+
+    test('should echo or generate X-Request-Id for every response', async () => {
+      const app = createApp();
+      app.router.route('GET', '/whoami', (req, res) => res.end(req.id));
+
+      const echoed = await request(app).get('/whoami').set('X-Request-Id', 'gateway-7').expect(200);
+      expect(echoed.headers['x-request-id']).toBe('gateway-7');
+      expect(echoed.text).toBe('gateway-7');
+
+      const generated = await request(app).get('/').set('X-Request-Id', 'bad id').expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+
+  /**
+   * Server spans exported for each request
+   */
+  describe('Tracing Tests', () => {
+
+    test('should export a server span per request when tracing is enabled', async () => {
+      const tracePath = path.join(require('os').tmpdir(), `server-traces-${process.pid}.jsonl`);
+      const app = createApp({ tracingConfiguration: { enabled: true, destination: tracePath } });
+
+      try {
+        await request(app)
+          .get('/')
+          .set('traceparent', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')
+          .set('X-Request-Id', 'req-9')
+          .expect(200);
+        await app.tracer.close();
+
+        const batch = JSON.parse(fs.readFileSync(tracePath, 'utf8'));
+        const [span] = batch.resourceSpans[0].scopeSpans[0].spans;
+        expect(span).toMatchObject({
+          traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+          parentSpanId: '00f067aa0ba902b7',
+          name: 'GET /'
+        });
+        expect(span.attributes).toContainEqual({ key: 'http.request.id', value: { stringValue: 'req-9' } });
+      } finally {
+        fs.rmSync(tracePath, { force: true });
+      }
+    });
+  });
+
+  /**
+   * Access log entries written for each request
+   */
+  describe('Access Log Tests', () => {
+
+    test('should write an access log entry for every request', async () => {
+      const logPath = path.join(require('os').tmpdir(), `server-access-${process.pid}.log`);
+      const app = createApp({
+        loggingConfiguration: { accessLog: { enabled: true, format: 'json', destination: logPath } }
+      });
+
+      try {
+        await request(app).get('/').set('X-Request-Id', 'req-1').expect(200);
+        await request(app).delete('/missing').expect(404);
+        await app.accessLog.close();
+
+        const entries = fs.readFileSync(logPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        expect(entries).toMatchObject([
+          { level: 'info', method: 'GET', path: '/', status: 200, bytes: 14, requestId: 'req-1' },
+          { level: 'warn', method: 'DELETE', path: '/missing', status: 404 }
+        ]);
+      } finally {
+        fs.rmSync(logPath, { force: true });
+      }
+    });
+  });
+
+  /**
+   * Timeouts applied to the server from timeoutConfiguration
+   */
+  describe('Timeout Configuration Tests', () => {
+
+    test('should apply configured timeouts to the server', () => {
+      server = createServer({
+        timeoutConfiguration: { keepAliveTimeout: 1000, headersTimeout: 2000, requestTimeout: 3000 }
+      });
+
+      expect(server.keepAliveTimeout).toBe(1000);
+      expect(server.headersTimeout).toBe(2000);
+      expect(server.requestTimeout).toBe(3000);
+      expect(server.config.timeoutConfiguration.keepAliveTimeout).toBe(1000);
+    });
+  });
+
+  /**
+   * Request bodies read by the built-in routes
+   */
+  describe('Request Body Tests', () => {
+
+    beforeEach(() => {
+      server = createServer({ bodyConfiguration: { limit: 64 } });
+    });
+
+    test('should answer malformed JSON sent to the greeting with 400', async () => {
+      const response = await request(server.app)
+        .post('/')
+        .set('Content-Type', 'application/json')
+        .send('{bad')
+        .expect(400);
+
+      expect(response.text).toBe(`Bad Request; malformed JSON\nRequest ID: ${response.headers['x-request-id']}\n`);
+    });
+
+    test('should answer bodies over bodyConfiguration.limit with 413', async () => {
+      const response = await request(server.app)
+        .put('/')
+        .set('Content-Type', 'text/plain')
+        .send('x'.repeat(100))
+        .expect(413);
+
+      expect(response.text).toBe(`Content Too Large; the limit is 64 bytes\nRequest ID: ${response.headers['x-request-id']}\n`);
+    });
+
+    test('should answer content types a route does not read with 415', async () => {
+      const response = await request(server.app)
+        .post('/submit')
+        .set('Content-Type', 'application/json')
+        .send('{}')
+        .expect(415);
+
+      expect(response.text).toMatch(/^Unsupported Media Type; supported types: application\/x-www-form-urlencoded, multipart\/form-data\n/);
+      await request(server.app).patch('/').set('Content-Type', 'image/png').send('png').expect(415);
+    });
+
+    test('should accept form submissions on /submit and well-formed bodies on the greeting', async () => {
+      const submitted = await request(server.app)
+        .post('/submit')
+        .type('form')
+        .send('name=John+Doe&email=john%40example.com')
+        .expect(200);
+      expect(submitted.body).toEqual({ fields: ['name', 'email'], files: [] });
+
+      await request(server.app).post('/').send({ name: 'Test User' }).expect(200, 'Hello, World!\n');
+      await request(server.app).post('/').send(Buffer.from([0x00, 0xff])).expect(200, 'Hello, World!\n');
+    });
+  });
+
   /**
    * F-007-RQ-001 & F-007-RQ-002: HTTP Response and Status Code Validation
    * Tests response content and status codes across all HTTP methods
@@ -143,11 +505,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, done);
     });
@@ -172,7 +530,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
 
     test('should return "Hello, World!\\n" content for PUT requests', async () => {
       const response = await request(server)
-        .put('/api/data')
+        .put('/')
         .expect(200);
       
       expect(response.text).toBe('Hello, World!\n');
@@ -181,7 +539,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
 
     test('should return "Hello, World!\\n" content for DELETE requests', async () => {
       const response = await request(server)
-        .delete('/resource/123')
+        .delete('/')
         .expect(200);
       
       expect(response.text).toBe('Hello, World!\n');
@@ -190,24 +548,54 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
 
     test('should return "Hello, World!\\n" content for PATCH requests', async () => {
       const response = await request(server)
-        .patch('/users/456')
+        .patch('/')
         .expect(200);
       
       expect(response.text).toBe('Hello, World!\n');
       expect(response.status).toBe(200);
     });
 
-    test('should return "Hello, World!\\n" content for OPTIONS requests', async () => {
+    test('should answer OPTIONS requests with 204 and an Allow header', async () => {
       const response = await request(server)
-        .options('/api/options')
-        .expect(200);
+        .options('/')
+        .expect(204);
       
-      expect(response.text).toBe('Hello, World!\n');
-      expect(response.status).toBe(200);
+      expect(response.headers.allow).toBe('GET, HEAD, POST, PUT, DELETE, PATCH, OPTIONS');
+      expect(response.text).toBe('');
+    });
+
+    test('should answer HEAD requests with headers and an accurate Content-Length only', async () => {
+      const { res, bytes } = await new Promise((resolve, reject) => {
+        http.request({ host: '127.0.0.1', port: 3000, method: 'HEAD', path: '/' }, (res) => {
+          let bytes = 0;
+          res.on('data', (chunk) => { bytes += chunk.length; });
+          res.on('end', () => resolve({ res, bytes }));
+        }).on('error', reject).end();
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/plain');
+      expect(res.headers['content-length']).toBe(String(Buffer.byteLength('Hello, World!\n')));
+      expect(bytes).toBe(0);
     });
 
-    test('should return consistent response across different URL paths', async () => {
-      const paths = ['/', '/api', '/api/users', '/long/nested/path', '/query?param=value'];
+    test('should answer OPTIONS * with every method the server supports', async () => {
+      const raw = await new Promise((resolve, reject) => {
+        const socket = net.createConnection(3000, '127.0.0.1', () => {
+          socket.end('OPTIONS * HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        });
+        let data = '';
+        socket.on('data', (chunk) => { data += chunk; });
+        socket.on('end', () => resolve(data));
+        socket.on('error', reject);
+      });
+
+      expect(raw).toMatch(/^HTTP\/1\.1 204 No Content\r\n/);
+      expect(raw).toContain('Allow: GET, HEAD, POST, PUT, DELETE, PATCH, OPTIONS\r\n');
+    });
+
+    test('should answer the root path regardless of query string', async () => {
+      const paths = ['/', '/?param=value', '/?a=1&a=2'];
       
       for (const path of paths) {
         const response = await request(server)
@@ -218,6 +606,34 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
         expect(response.status).toBe(200);
       }
     });
+
+    test('should return 404 for unknown URL paths', async () => {
+      const paths = ['/api', '/api/users', '/long/nested/path', '/query?param=value'];
+      
+      for (const path of paths) {
+        const response = await request(server)
+          .get(path)
+          .expect(404);
+          
+        expect(response.text).toBe(`Not Found\nRequest ID: ${response.headers['x-request-id']}\n`);
+        expect(response.headers['content-type']).toBe('text/plain');
+      }
+    });
+
+    test('should return 405 with an Allow header for unsupported methods on /', async () => {
+      const response = await new Promise((resolve, reject) => {
+        http.request({ host: '127.0.0.1', port: 3000, method: 'TRACE', path: '/' }, (res) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => resolve({ res, body }));
+        }).on('error', reject).end();
+      });
+
+      expect(response.res.statusCode).toBe(405);
+      expect(response.res.headers.allow).toBe('GET, HEAD, POST, PUT, DELETE, PATCH, OPTIONS');
+      expect(response.body).toBe(`Method Not Allowed\nRequest ID: ${response.res.headers['x-request-id']}\n`);
+    });
   });
 
   /**
@@ -230,11 +646,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, done);
     });
@@ -294,19 +706,11 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const port = 3000;
       
       // Create first server to occupy the port
-      const firstServer = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      const firstServer = createServer();
 
       firstServer.listen(port, hostname, () => {
         // Attempt to create second server on same port
-        const secondServer = http.createServer((req, res) => {
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'text/plain');
-          res.end('Hello, World!\n');
-        });
+        const secondServer = createServer();
 
         secondServer.on('error', (error) => {
           // Verify error is EADDRINUSE (port already in use)
@@ -325,13 +729,85 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       });
     });
 
+    test('should exit 1 naming the address when the port is already in use', async () => {
+      const blocker = net.createServer();
+      await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+      const { port } = blocker.address();
+
+      serverProcess = spawn('node', [path.join(__dirname, '../../server.js'), '--port', String(port)], {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      let errorOutput = '';
+      serverProcess.stdout.on('data', (data) => { output += data.toString(); });
+      serverProcess.stderr.on('data', (data) => { errorOutput += data.toString(); });
+
+      const code = await new Promise((resolve) => serverProcess.on('exit', resolve));
+      await new Promise((resolve) => blocker.close(resolve));
+
+      expect(code).toBe(EXIT_CODES.ADDRESS_IN_USE);
+      expect(code).toBe(1);
+      expect(output).not.toContain('Server running at');
+      expect(errorOutput).toContain(`Cannot listen on 127.0.0.1:${port}: address already in use`);
+      expect(errorOutput).toContain('(EADDRINUSE)');
+      expect(errorOutput).not.toContain('    at ');
+    });
+
+    test('should move on to the next free port when portRetry is set', async () => {
+      const blocker = net.createServer();
+      await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+      const { port } = blocker.address();
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        server = await start({ serverConfiguration: { port, portRetry: 5 } });
+
+        expect(server.address().port).toBeGreaterThan(port);
+        expect(server.address().port).toBeLessThanOrEqual(port + 5);
+        expect(consoleSpy).toHaveBeenCalledWith(`Port ${port} on 127.0.0.1 is already in use, trying ${port + 1}`);
+      } finally {
+        consoleSpy.mockRestore();
+        logSpy.mockRestore();
+        await new Promise((resolve) => blocker.close(resolve));
+      }
+    });
+
+    test('should reject with the attempted address once retries are exhausted', async () => {
+      const blocker = net.createServer();
+      await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+      const { port } = blocker.address();
+
+      await expect(start({ serverConfiguration: { port } })).rejects.toMatchObject({
+        code: 'EADDRINUSE',
+        hostname: '127.0.0.1',
+        port
+      });
+      await new Promise((resolve) => blocker.close(resolve));
+    });
+
+    test('should map listen failures to distinct exit codes', () => {
+      const failure = (code, message = code) => Object.assign(new Error(message), { code });
+
+      expect(describeListenError(failure('EACCES'), '127.0.0.1', 80)).toEqual({
+        message: 'Cannot listen on 127.0.0.1:80: permission denied; ports below 1024 usually require elevated privileges (EACCES)',
+        exitCode: EXIT_CODES.PERMISSION_DENIED
+      });
+      expect(describeListenError(failure('EADDRNOTAVAIL'), '::2', 3000)).toEqual({
+        message: 'Cannot listen on [::2]:3000: address not available; the host is not assigned to any local interface (EADDRNOTAVAIL)',
+        exitCode: EXIT_CODES.ADDRESS_NOT_AVAILABLE
+      });
+      expect(describeListenError(failure('EMFILE', 'listen EMFILE: too many open files'), 'localhost', 3000)).toEqual({
+        message: 'Cannot listen on localhost:3000: listen EMFILE: too many open files',
+        exitCode: EXIT_CODES.LISTEN_ERROR
+      });
+      expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+    });
+
     test('should emit error events for invalid hostname binding', (done) => {
       // Attempt to bind to invalid hostname
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.on('error', (error) => {
         // Verify error handling for invalid addresses
@@ -353,13 +829,16 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       });
 
       let serverOutput = '';
+      let signalSent = false;
       serverProcess.stdout.on('data', (data) => {
         serverOutput += data.toString();
         
-        // Once server is running, send SIGTERM
-        if (serverOutput.includes('Server running at')) {
+        // Once server is running, send SIGTERM (once: shutdown logs more output)
+        if (serverOutput.includes('Server running at') && !signalSent) {
+          signalSent = true;
+          const child = serverProcess;
           setTimeout(() => {
-            serverProcess.kill('SIGTERM');
+            child.kill('SIGTERM');
           }, 100);
         }
       });
@@ -372,13 +851,68 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       });
     });
 
+    test('should drain keep-alive connections and exit 0 on SIGTERM/SIGINT', async () => {
+      const serverPath = path.join(__dirname, '../../server.js');
+
+      for (const signal of ['SIGTERM', 'SIGINT']) {
+        serverProcess = spawn('node', [serverPath, '--port', '0'], {
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let output = '';
+        const exited = new Promise((resolve) => {
+          serverProcess.on('exit', (code, exitSignal) => resolve({ code, exitSignal }));
+        });
+        const baseUrl = await new Promise((resolve, reject) => {
+          serverProcess.stdout.on('data', (data) => {
+            output += data.toString();
+            const match = output.match(/Server running at (\S+)/);
+            if (match) resolve(match[1]);
+          });
+          exited.then(() => reject(new Error(`Server exited before startup: ${output}`)));
+        });
+
+        // Leave an idle keep-alive socket open; draining must not wait for its timeout
+        const agent = new http.Agent({ keepAlive: true });
+        await new Promise((resolve, reject) => {
+          http.get(baseUrl, { agent }, (res) => {
+            res.resume();
+            res.on('end', resolve);
+          }).on('error', reject);
+        });
+
+        const signalTime = Date.now();
+        serverProcess.kill(signal);
+        const { code, exitSignal } = await exited;
+        agent.destroy();
+
+        expect(code).toBe(0);
+        expect(exitSignal).toBeNull();
+        expect(Date.now() - signalTime).toBeLessThan(1000);
+        expect(output).toContain(`Received ${signal}, shutting down gracefully (timeout 5000ms)`);
+        expect(output).toMatch(/Server closed gracefully in \d+ms/);
+      }
+    });
+
+    test('should leave default signal handling when graceful shutdown is disabled', (done) => {
+      const serverPath = path.join(__dirname, '../../server.js');
+
+      serverProcess = spawn('node', [serverPath, '--port', '0'], {
+        env: { ...process.env, GRACEFUL_SHUTDOWN: 'false' },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      serverProcess.stdout.once('data', () => serverProcess.kill('SIGTERM'));
+      serverProcess.on('exit', (code, signal) => {
+        expect(code).toBeNull();
+        expect(signal).toBe('SIGTERM');
+        done();
+      });
+    });
+
     test('should handle network interface errors during startup', (done) => {
       // Test binding to unavailable network interface
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.on('error', (error) => {
         // Verify appropriate error handling
@@ -402,11 +936,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, done);
     });
@@ -417,10 +947,10 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       
       const response = await request(server)
         .get(longPath)
-        .expect(200);
+        .expect(404);
         
-      expect(response.text).toBe('Hello, World!\n');
-      expect(response.status).toBe(200);
+      expect(response.text).toBe(`Not Found\nRequest ID: ${response.headers['x-request-id']}\n`);
+      expect(response.status).toBe(404);
     });
 
     test('should process requests with unusual but valid HTTP methods', async () => {
@@ -451,7 +981,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const binaryData = Buffer.from([0x00, 0x01, 0x02, 0x03, 0xFF]);
       
       const response = await request(server)
-        .post('/api/upload')
+        .post('/')
         .send(binaryData)
         .expect(200);
         
@@ -467,7 +997,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       for (let i = 0; i < requestCount; i++) {
         concurrentRequests.push(
           request(server)
-            .get(`/concurrent-test-${i}`)
+            .get(`/?request=${i}`)
             .expect(200)
         );
       }
@@ -494,7 +1024,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       
       for (const query of queryVariations) {
         const response = await request(server)
-          .get(`/test${query}`)
+          .get(`/${query}`)
           .expect(200);
           
         expect(response.text).toBe('Hello, World!\n');
@@ -502,15 +1032,15 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       }
     });
 
-    test('should handle requests with various content encodings', async () => {
+    test('should refuse request bodies in content encodings it does not decode', async () => {
       const response = await request(server)
-        .post('/data')
+        .post('/')
         .set('Content-Encoding', 'gzip')
         .set('Content-Type', 'application/json')
         .send('{"test": "data"}')
-        .expect(200);
+        .expect(415);
         
-      expect(response.text).toBe('Hello, World!\n');
+      expect(response.text).toMatch(/^Unsupported Media Type; unsupported content coding "gzip"\n/);
       expect(response.headers['content-type']).toBe('text/plain');
     });
 
@@ -521,7 +1051,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       // Execute rapid sequential requests
       for (let i = 0; i < sequentialCount; i++) {
         const response = await request(server)
-          .get(`/sequential-${i}`)
+          .get(`/?sequence=${i}`)
           .expect(200);
           
         expect(response.text).toBe('Hello, World!\n');
@@ -546,17 +1076,13 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const port = 3000;
       
       // Test complete lifecycle: create -> start -> request -> shutdown
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, async () => {
         try {
           // Server is now running, test HTTP request
           const response = await request(server)
-            .get('/lifecycle-test')
+            .get('/')
             .expect(200);
             
           expect(response.text).toBe('Hello, World!\n');
@@ -597,7 +1123,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
           setTimeout(async () => {
             try {
               const response = await request('http://127.0.0.1:3000')
-                .get('/process-test')
+                .get('/')
                 .expect(200);
                 
               expect(response.text).toBe('Hello, World!\n');
@@ -624,11 +1150,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
         const port = 3000;
         
         // Create and start server
-        const testServer = http.createServer((req, res) => {
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'text/plain');
-          res.end('Hello, World!\n');
-        });
+        const testServer = createServer();
 
         await new Promise((resolve) => {
           testServer.listen(port, hostname, resolve);
@@ -636,7 +1158,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
         
         // Verify server is functional
         const response = await request(testServer)
-          .get(`/cycle-${cycle}`)
+          .get(`/?cycle=${cycle}`)
           .expect(200);
           
         expect(response.text).toBe('Hello, World!\n');
@@ -661,11 +1183,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, done);
     });
@@ -678,7 +1196,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
         const startTime = Date.now();
         
         const response = await request(server)
-          .get(`/load-test-${i}`)
+          .get(`/?load=${i}`)
           .expect(200);
           
         const responseTime = Date.now() - startTime;
@@ -701,7 +1219,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const largePayload = 'x'.repeat(10000); // 10KB payload
       
       const response = await request(server)
-        .post('/memory-test')
+        .post('/')
         .send(largePayload)
         .expect(200);
         
@@ -719,11 +1237,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       });
       
       // Verify port is available by creating new server
-      const newServer = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      const newServer = createServer();
 
       await new Promise((resolve, reject) => {
         newServer.on('error', reject);
@@ -749,11 +1263,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       const hostname = '127.0.0.1';
       const port = 3000;
       
-      server = http.createServer((req, res) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Hello, World!\n');
-      });
+      server = createServer();
 
       server.listen(port, hostname, done);
     });
@@ -781,9 +1291,8 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
 
     test('should respond consistently regardless of request headers', async () => {
       const headerVariations = [
-        { 'Accept': 'text/html,application/xhtml+xml' },
-        { 'Accept': 'application/json' },
         { 'Accept': '*/*' },
+        { 'Accept': 'text/plain, application/json;q=0.5' },
         { 'Accept-Encoding': 'gzip, deflate' },
         { 'User-Agent': 'Mozilla/5.0 Browser' },
         { 'Authorization': 'Bearer token123' }
@@ -791,7 +1300,7 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       
       for (const headers of headerVariations) {
         const response = await request(server)
-          .get('/headers-test')
+          .get('/')
           .set(headers)
           .expect(200);
           
@@ -800,6 +1309,176 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       }
     });
 
+    test('should negotiate the greeting representation from the Accept header', async () => {
+      const cases = [
+        ['application/json', 'application/json', '{"message":"Hello, World!"}'],
+        ['text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', 'text/html', '<h1>Hello, World!</h1>'],
+        ['application/xml', 'application/xml', '<message>Hello, World!</message>'],
+        ['text/xml', 'text/xml', '<?xml version="1.0" encoding="UTF-8"?>'],
+        ['application/json;q=0.4, text/html;q=0.6', 'text/html', '<title>Hello, World!</title>'],
+        ['text/*', 'text/plain', 'Hello, World!\n']
+      ];
+
+      for (const [accept, contentType, fragment] of cases) {
+        const response = await request(server)
+          .get('/')
+          .set('Accept', accept)
+          .expect(200);
+
+        expect(response.headers['content-type']).toBe(contentType);
+        expect(response.headers.vary).toBe('Accept');
+        expect(response.headers['content-length']).toBe(String(Buffer.byteLength(response.text)));
+        expect(response.text).toContain(fragment);
+      }
+    });
+
+    test('should return 406 when no representation is acceptable', async () => {
+      const response = await request(server)
+        .get('/')
+        .set('Accept', 'image/png, text/plain;q=0')
+        .expect(406);
+
+      expect(response.headers.vary).toBe('Accept');
+      expect(response.text).toBe(
+        'Not Acceptable; available types: text/plain, application/json, text/html, application/xml, text/xml\n' +
+        `Request ID: ${response.headers['x-request-id']}\n`
+      );
+    });
+
+    test('should keep the configured content type as the default representation', async () => {
+      const app = createApp({
+        responseConfiguration: { body: 'Hi & bye\n', contentType: 'text/html' }
+      });
+
+      const plain = await request(app).get('/').expect(200);
+      expect(plain.headers['content-type']).toBe('text/html');
+      expect(plain.text).toBe('Hi & bye\n');
+
+      const json = await request(app).get('/').set('Accept', 'application/json').expect(200);
+      expect(json.body).toEqual({ message: 'Hi & bye' });
+
+      const xml = await request(app).get('/').set('Accept', 'application/xml').expect(200);
+      expect(xml.text).toContain('<message>Hi &amp; bye</message>');
+    });
+
+    test('should compress a greeting above the compression threshold', async () => {
+      const body = 'Hello, World!\n'.repeat(100);
+      const app = createApp({ responseConfiguration: { body } });
+
+      const response = await request(app).get('/').set('Accept-Encoding', 'gzip').expect(200);
+
+      expect(response.headers['content-encoding']).toBe('gzip');
+      expect(response.headers.vary).toBe('Accept, Accept-Encoding');
+      expect(response.text).toBe(body);
+
+      const small = await request(createApp()).get('/').set('Accept-Encoding', 'gzip').expect(200);
+      expect(small.headers['content-encoding']).toBeUndefined();
+      expect(small.headers['content-length']).toBe('14');
+    });
+
+    test('should revalidate the greeting with ETag and Last-Modified', async () => {
+      const first = await request(server).get('/').expect(200);
+      const { etag } = first.headers;
+
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]{27}"$/);
+      expect(first.headers['last-modified']).toBeDefined();
+
+      const revalidated = await request(server).get('/').set('If-None-Match', etag).expect(304);
+      expect(revalidated.headers.etag).toBe(etag);
+      expect(revalidated.headers.vary).toBe('Accept');
+      expect(revalidated.text).toBe('');
+
+      await request(server).get('/').set('If-Modified-Since', first.headers['last-modified']).expect(304);
+
+      const json = await request(server).get('/').set('Accept', 'application/json').set('If-None-Match', etag).expect(200);
+      expect(json.headers.etag).not.toBe(etag);
+    });
+
+    test('should answer 412 when If-Match fails on unsafe methods', async () => {
+      const { headers } = await request(server).get('/').expect(200);
+
+      await request(server).put('/').set('If-Match', headers.etag).expect(200);
+      const response = await request(server).put('/').set('If-Match', '"stale"').expect(412);
+      expect(response.text).toBe(`Precondition Failed\nRequest ID: ${response.headers['x-request-id']}\n`);
+    });
+
+    test('should apply configured Cache-Control values and allow disabling ETags', async () => {
+      const app = createApp({
+        cacheConfiguration: { etag: false, cacheControl: { '/': 'public, max-age=60', '/livez': 'no-cache' } }
+      });
+
+      const root = await request(app).get('/').expect(200);
+      expect(root.headers['cache-control']).toBe('public, max-age=60');
+      expect(root.headers.etag).toBeUndefined();
+      expect(root.headers['last-modified']).toBeDefined();
+
+      const livez = await request(app).get('/livez').expect(200);
+      expect(livez.headers['cache-control']).toBe('no-cache');
+
+      const readyz = await request(app).get('/readyz').expect(200);
+      expect(readyz.headers['cache-control']).toBe('no-store');
+    });
+
+    test('should weaken the ETag of a compressed greeting alike for GET, HEAD and 304', async () => {
+      const app = createApp({ responseConfiguration: { body: 'Hello, World!\n'.repeat(100) } });
+
+      const identity = await request(app).get('/').set('Accept-Encoding', 'identity').expect(200);
+      const gzip = await request(app).get('/').set('Accept-Encoding', 'gzip').expect(200);
+
+      expect(gzip.headers['content-encoding']).toBe('gzip');
+      expect(gzip.headers.etag).toBe(`W/${identity.headers.etag}`);
+      expect(gzip.headers.vary).toBe('Accept, Accept-Encoding');
+
+      const head = await request(app).head('/').set('Accept-Encoding', 'gzip').expect(200);
+      for (const name of ['content-encoding', 'content-length', 'etag', 'vary']) {
+        expect(head.headers[name]).toBe(gzip.headers[name]);
+      }
+
+      const notModified = await request(app).get('/').set('Accept-Encoding', 'gzip').set('If-None-Match', gzip.headers.etag).expect(304);
+      expect(notModified.headers.etag).toBe(gzip.headers.etag);
+      expect(notModified.headers.vary).toBe('Accept, Accept-Encoding');
+      expect(notModified.headers['content-encoding']).toBeUndefined();
+      expect(notModified.headers['content-type']).toBeUndefined();
+      expect(notModified.headers['content-length']).toBeUndefined();
+
+      const identityNotModified = await request(app).get('/').set('Accept-Encoding', 'identity').set('If-None-Match', identity.headers.etag).expect(304);
+      expect(identityNotModified.headers.etag).toBe(identity.headers.etag);
+    });
+
+    test('should parse request bodies for routes added through app.bodyParser', async () => {
+      const app = createApp({ bodyConfiguration: { limit: 64 } });
+      app.router.route('POST', '/api/users', app.bodyParser.parse(['json'], (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ created: req.body.name }));
+      }));
+
+      const created = await request(app).post('/api/users').send({ name: 'Test User' }).expect(200);
+      expect(created.body).toEqual({ created: 'Test User' });
+
+      const tooLarge = await request(app).post('/api/users').send({ name: 'x'.repeat(100) }).expect(413);
+      expect(tooLarge.text).toBe(`Content Too Large; the limit is 64 bytes\nRequest ID: ${tooLarge.headers['x-request-id']}\n`);
+
+      await request(app).post('/').send({ ignored: true }).expect(200, 'Hello, World!\n');
+    });
+
+    test('should apply the configured CORS policy to the greeting', async () => {
+      const app = createApp({ corsConfiguration: { origins: ['https://app.example.com'] } });
+
+      const preflight = await request(app)
+        .options('/')
+        .set('Origin', 'https://app.example.com')
+        .set('Access-Control-Request-Method', 'PUT')
+        .expect(204);
+      expect(preflight.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(preflight.headers.allow).toBeUndefined();
+
+      const response = await request(app).put('/').set('Origin', 'https://app.example.com').expect(200);
+      expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(response.headers['access-control-expose-headers']).toBe('X-Request-Id');
+      expect(response.headers.vary).toBe('Origin, Accept');
+      expect(response.text).toBe('Hello, World!\n');
+    });
+
     test('should maintain response integrity with international characters in requests', async () => {
       const internationalPaths = [
         '/test/русский',
@@ -812,10 +1491,10 @@ describe('Server.js Comprehensive Unit Test Suite', () => {
       for (const path of internationalPaths) {
         const response = await request(server)
           .get(encodeURI(path))
-          .expect(200);
+          .expect(404);
           
-        expect(response.text).toBe('Hello, World!\n');
-        expect(response.status).toBe(200);
+        expect(response.text).toBe(`Not Found\nRequest ID: ${response.headers['x-request-id']}\n`);
+        expect(response.status).toBe(404);
       }
     });
   });
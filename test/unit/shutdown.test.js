@@ -0,0 +1,213 @@
+/**
+ * Unit Test Suite for lib/shutdown.js
+ *
+ * Validates connection draining: readiness fails before the listener
+ * closes, in-flight requests complete with `Connection: close`, idle
+ * keep-alive sockets are closed immediately, and remaining sockets are
+ * destroyed once the deadline passes.
+ *
+ * Testing Framework: Jest
+ */
+
+const http = require('http');
+const net = require('net');
+
+const { trackConnections } = require('../../lib/shutdown');
+const { EXIT_CODES, createServer, handleShutdownSignals, listen } = require('../../server');
+
+describe('Graceful Shutdown Unit Tests', () => {
+  let server;
+  let tracker;
+  let pending;
+  let agent;
+
+  /**
+   * Starts a server whose requests to /slow stay open until released
+   */
+  const startServer = async () => {
+    pending = [];
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        pending.push(res);
+        return;
+      }
+      res.end('fast\n');
+    });
+    tracker = trackConnections(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+  };
+
+  const get = (port, path) => new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ res, body }));
+    });
+    req.on('error', reject);
+  });
+
+  const waitFor = async (predicate) => {
+    while (!predicate()) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  beforeEach(() => {
+    agent = new http.Agent({ keepAlive: true });
+  });
+
+  afterEach(async () => {
+    agent.destroy();
+    if (server && server.listening) {
+      tracker.forceClose();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('should track sockets and their in-flight request counts', async () => {
+    const port = await startServer();
+
+    const slow = get(port, '/slow');
+    await waitFor(() => pending.length === 1);
+
+    expect(tracker.connections.size).toBe(1);
+    expect([...tracker.connections.values()]).toEqual([1]);
+
+    pending[0].end('done\n');
+    await slow;
+    await waitFor(() => [...tracker.connections.values()][0] === 0);
+    expect(tracker.isDraining()).toBe(false);
+  });
+
+  test('should let in-flight requests finish with Connection: close', async () => {
+    const port = await startServer();
+
+    const slow = get(port, '/slow');
+    await waitFor(() => pending.length === 1);
+
+    const drained = tracker.drain({ timeout: 5000 });
+    expect(tracker.isDraining()).toBe(true);
+
+    pending[0].end('done\n');
+    const { res, body } = await slow;
+
+    expect(body).toBe('done\n');
+    expect(res.headers.connection).toBe('close');
+    await expect(drained).resolves.toMatchObject({ forced: false, remaining: 0 });
+    expect(server.listening).toBe(false);
+  });
+
+  test('should close idle keep-alive sockets immediately', async () => {
+    const port = await startServer();
+
+    await get(port, '/');
+    expect(tracker.connections.size).toBe(1);
+
+    const result = await tracker.drain({ timeout: 5000 });
+
+    expect(result).toMatchObject({ forced: false, remaining: 0 });
+    expect(result.durationMs).toBeLessThan(1000);
+  });
+
+  test('should force-close remaining sockets after the deadline', async () => {
+    const port = await startServer();
+
+    const slow = get(port, '/slow').catch((error) => error);
+    await waitFor(() => pending.length === 1);
+
+    const result = await tracker.drain({ timeout: 50 });
+
+    expect(result.forced).toBe(true);
+    expect(result.remaining).toBe(1);
+    expect(result.durationMs).toBeGreaterThanOrEqual(45);
+    expect((await slow).code).toBe('ECONNRESET');
+  });
+
+  test('should wait past the deadline when forceAfterTimeout is false', async () => {
+    const port = await startServer();
+
+    const slow = get(port, '/slow');
+    await waitFor(() => pending.length === 1);
+
+    const drained = tracker.drain({ timeout: 10, forceAfterTimeout: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    pending[0].end('late\n');
+    expect((await slow).body).toBe('late\n');
+    await expect(drained).resolves.toMatchObject({ forced: false });
+  });
+
+  test('should return the same promise for repeated drain calls', async () => {
+    await startServer();
+
+    const first = tracker.drain();
+    const second = tracker.drain({ timeout: 1 });
+
+    expect(second).toBe(first);
+    await first;
+  });
+
+  test('should close sockets that have not sent a request yet', async () => {
+    const port = await startServer();
+
+    const socket = net.createConnection(port, '127.0.0.1');
+    const closed = new Promise((resolve) => socket.on('close', resolve));
+    await new Promise((resolve) => socket.on('connect', resolve));
+    await waitFor(() => tracker.connections.size === 1);
+
+    const result = await tracker.drain({ timeout: 5000 });
+    await closed;
+
+    expect(result.forced).toBe(false);
+  });
+
+  test('should fail readiness for the readiness delay before closing the listener', async () => {
+    const appServer = createServer({
+      serverConfiguration: { port: 0 },
+      shutdownConfiguration: { gracefulShutdown: { readinessDelay: 300 } }
+    });
+    const port = await listen(appServer).then(() => appServer.address().port);
+    agent.destroy();
+    agent = new http.Agent({ keepAlive: false });
+
+    expect((await get(port, '/readyz')).res.statusCode).toBe(200);
+    const shutdown = appServer.shutdown();
+
+    // Not ready, yet still accepting connections the load balancer sent
+    const readiness = await get(port, '/readyz');
+    expect(readiness.res.statusCode).toBe(503);
+    const late = await get(port, '/');
+    expect(late.res.statusCode).toBe(200);
+    expect(late.res.headers.connection).toBe('close');
+    expect(appServer.listening).toBe(true);
+
+    const result = await shutdown;
+    expect(appServer.listening).toBe(false);
+    expect(result.durationMs).toBeGreaterThanOrEqual(300);
+    expect(result.forced).toBe(false);
+  });
+
+  test('should exit with the shutdown failure code when draining rejects', async () => {
+    const appServer = createServer({ shutdownConfiguration: { gracefulShutdown: { signals: ['SIGUSR2'] } } });
+    appServer.shutdown = () => Promise.reject(new Error('drain broke'));
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const exited = new Promise((resolve) => {
+      jest.spyOn(process, 'exit').mockImplementation(resolve);
+    });
+    const removeSignalHandlers = handleShutdownSignals(appServer);
+
+    try {
+      process.emit('SIGUSR2', 'SIGUSR2');
+
+      expect(await exited).toBe(EXIT_CODES.SHUTDOWN_TIMEOUT);
+      expect(errorSpy).toHaveBeenCalledWith('Shutdown failed: drain broke');
+    } finally {
+      removeSignalHandlers();
+      jest.restoreAllMocks();
+      appServer.app.rateLimiter.close();
+    }
+  });
+});
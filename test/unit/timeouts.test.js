@@ -0,0 +1,228 @@
+/**
+ * Unit Test Suite for lib/timeouts.js
+ *
+ * Validates the defences against slow clients: 408 responses for requests
+ * whose headers or body arrive too slowly, logging of the offending peer,
+ * each branch of the idle timeout, the per-address cap on connections that
+ * have not sent a request yet, and that well-behaved keep-alive clients are
+ * unaffected, over HTTP/1.1 and the HTTP/1.1 fallback of h2 over TLS.
+ *
+ * Testing Framework: Jest with raw sockets for byte-level control
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const { createServer, listen } = require('../../server');
+const { timeoutServerOptions } = require('../../lib/timeouts');
+const { generateCertificate } = require('../helpers/certificates');
+
+describe('Timeouts Unit Tests', () => {
+  let server;
+  let errorSpy;
+  let clients = [];
+
+  const start = async (timeoutConfiguration, extra = {}) => {
+    server = createServer({
+      serverConfiguration: { port: 0 },
+      loggingConfiguration: { accessLog: { enabled: false } },
+      timeoutConfiguration,
+      ...extra
+    });
+    await listen(server);
+  };
+
+  /**
+   * Opens a raw connection, over TLS without ALPN when `secure` is set, and
+   * collects everything the server sends until it closes the connection
+   */
+  const connect = (secure = false) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const socket = secure
+      ? tls.connect({ port, host: '127.0.0.1', rejectUnauthorized: false })
+      : net.connect(port, '127.0.0.1');
+    clients.push(socket);
+    let received = '';
+    socket.setEncoding('latin1');
+    socket.on('data', (chunk) => { received += chunk; });
+    socket.received = new Promise((resolveClosed) => socket.on('close', () => resolveClosed(received)));
+    socket.on('error', () => {});
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    clients.forEach((socket) => socket.destroy());
+    clients = [];
+    if (server) {
+      server.connectionTracker.forceClose();
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('should answer clients that never finish their headers with 408 and log them', async () => {
+    await start({ headersTimeout: 200, requestTimeout: 400 });
+    const socket = await connect();
+    socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n');
+
+    const received = await socket.received;
+
+    expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\nConnection: close\r\n/);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Request from 127\.0\.0\.1:\d+ timed out; closing the connection$/));
+  });
+
+  test('should answer bodies that stall with 408 after the idle timeout', async () => {
+    await start({ idleTimeout: 200 }, { echoConfiguration: { enabled: true } });
+    const socket = await connect();
+    socket.write('POST /echo HTTP/1.1\r\nHost: localhost\r\nX-Request-Id: stalled-1\r\nContent-Type: text/plain\r\nContent-Length: 10\r\n\r\nabc');
+
+    const received = await socket.received;
+
+    expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\n/);
+    expect(received).toContain('Connection: close');
+    expect(received).toMatch(/\r\n\r\nRequest Timeout\nRequest ID: stalled-1\n$/);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^\[request stalled-1\] Connection from 127\.0\.0\.1:\d+ idle for 200ms; closing it$/));
+  });
+
+  test('should answer connections idle before their request head with a raw 408', async () => {
+    await start({ headersTimeout: 5000, requestTimeout: 10000, idleTimeout: 200 });
+    const socket = await connect();
+    socket.write('GET / HTTP/1.1\r\n');
+
+    const received = await socket.received;
+
+    expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\nConnection: close\r\n/);
+    expect(received).toContain('X-Content-Type-Options: nosniff\r\n');
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Connection from 127\.0\.0\.1:\d+ idle for 200ms; closing it$/));
+  });
+
+  test('should close idle keep-alive connections waiting for their next request without a reply', async () => {
+    await start({ keepAliveTimeout: 0, idleTimeout: 200 });
+    const socket = await connect();
+    socket.write('GET /livez HTTP/1.1\r\nHost: localhost\r\n\r\n');
+
+    const received = await socket.received;
+
+    expect(received.match(/HTTP\/1\.1 \d+/g)).toEqual(['HTTP/1.1 200']);
+    expect(errorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should leave connections idle while their handler is still working', async () => {
+    await start({ idleTimeout: 200 });
+    server.app.router.route('GET', '/slow', (req, res) => setTimeout(() => res.end('done\n'), 400));
+    const socket = await connect();
+    socket.write('GET /slow HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+
+    const received = await socket.received;
+
+    expect(received).toMatch(/^HTTP\/1\.1 200 OK\r\n/);
+    expect(received).toMatch(/done\n/);
+    expect(errorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should keep serving well-behaved keep-alive clients', async () => {
+    await start({ headersTimeout: 200, requestTimeout: 400, idleTimeout: 200 });
+    const socket = await connect();
+    const request = 'GET /livez HTTP/1.1\r\nHost: localhost\r\n\r\n';
+
+    socket.write(request);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    socket.write(request);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    socket.end();
+    const received = await socket.received;
+
+    expect(received.match(/HTTP\/1\.1 200 OK/g)).toHaveLength(2);
+    expect(errorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should refuse connections beyond the per-address cap of pending connections', async () => {
+    await start({ maxPendingConnectionsPerIp: 2 });
+    const first = await connect();
+    const second = await connect();
+    const third = await connect();
+
+    expect(await third.received).toBe('');
+    expect(errorSpy).toHaveBeenCalledWith('Refusing connections from 127.0.0.1: 2 connections are still sending their request');
+
+    // A connection that has sent its request no longer counts
+    first.write('GET /livez HTTP/1.1\r\nHost: localhost\r\n\r\n');
+    await new Promise((resolve) => first.once('data', resolve));
+    const fourth = await connect();
+    fourth.end('GET /livez HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    expect(await fourth.received).toMatch(/^HTTP\/1\.1 200 OK/);
+  });
+
+  test('should not cap connections from trusted proxies', async () => {
+    await start({ maxPendingConnectionsPerIp: 1 }, { proxyConfiguration: { trustedProxies: ['127.0.0.0/8'] } });
+    const first = await connect();
+    const second = await connect();
+
+    second.end('GET /livez HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    expect(await second.received).toMatch(/^HTTP\/1\.1 200 OK/);
+    expect(first.destroyed).toBe(false);
+    expect(errorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should check deadlines often enough to enforce short timeouts', () => {
+    expect(timeoutServerOptions({ headersTimeout: 200, requestTimeout: 400 })).toEqual({ connectionsCheckingInterval: 50 });
+    expect(timeoutServerOptions({ headersTimeout: 60000, requestTimeout: 300000 })).toEqual({ connectionsCheckingInterval: 1000 });
+    expect(timeoutServerOptions({ headersTimeout: 0, requestTimeout: 0 })).toEqual({ connectionsCheckingInterval: 1000 });
+  });
+
+  describe('HTTP/1.1 Fallback of h2 over TLS', () => {
+    let directory;
+
+    const startSecure = async (timeoutConfiguration, extra = {}) => {
+      await start(timeoutConfiguration, {
+        serverConfiguration: { port: 0, protocol: 'https' },
+        tlsConfiguration: generateCertificate(directory),
+        http2Configuration: { enabled: true },
+        ...extra
+      });
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-timeouts-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should answer fallback clients that never finish their headers with 408', async () => {
+      await startSecure({ headersTimeout: 200, requestTimeout: 400 });
+      expect(server.connectionsCheckingInterval).toBe(50);
+      const socket = await connect(true);
+      socket.write('GET / HTTP/1.1\r\nHost: localhost\r\n');
+
+      const received = await socket.received;
+
+      expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\nConnection: close\r\n/);
+      expect(received).toContain('X-Content-Type-Options: nosniff');
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Request from 127\.0\.0\.1:\d+ timed out; closing the connection$/));
+    });
+
+    test('should answer fallback bodies that stall with 408 after the idle timeout', async () => {
+      await startSecure({ idleTimeout: 200 }, { echoConfiguration: { enabled: true } });
+      const socket = await connect(true);
+      socket.write('POST /echo HTTP/1.1\r\nHost: localhost\r\nX-Request-Id: stalled-2\r\nContent-Type: text/plain\r\nContent-Length: 10\r\n\r\nabc');
+
+      const received = await socket.received;
+
+      expect(received).toMatch(/^HTTP\/1\.1 408 Request Timeout\r\n/);
+      expect(received).toContain('Request Timeout\nRequest ID: stalled-2\n');
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^\[request stalled-2\] Connection from 127\.0\.0\.1:\d+ idle for 200ms; closing it$/));
+    });
+  });
+});
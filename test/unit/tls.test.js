@@ -0,0 +1,296 @@
+/**
+ * Unit Test Suite for lib/tls.js
+ *
+ * Validates HTTPS mode: loading key/certificate and PFX credentials, the
+ * Strict-Transport-Security header, the HTTP to HTTPS redirect listener and
+ * certificate reloads that leave open connections untouched. Certificates
+ * are generated on the fly with openssl.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { ConfigError } = require('../../lib/config');
+const { createRedirectHandler, hstsHeader, readCredentials } = require('../../lib/tls');
+const { createServer, handleReloadSignal, listen, main, EXIT_CODES } = require('../../server');
+const { exportPfx, generateCertificate } = require('../helpers/certificates');
+
+describe('TLS Unit Tests', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-tls-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Resolves with the status, headers, body and peer certificate subject of
+   * an HTTPS GET
+   */
+  const get = (port, options = {}) => new Promise((resolve, reject) => {
+    const req = https.get({ host: '127.0.0.1', port, path: '/', rejectUnauthorized: false, ...options }, (res) => {
+      const peer = res.socket.getPeerCertificate().subject.CN;
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ res, body, peer, reused: req.reusedSocket }));
+    });
+    req.on('error', reject);
+  });
+
+  describe('Credentials', () => {
+
+    test('should read a key and certificate pair', () => {
+      const { keyFile, certFile } = generateCertificate(directory);
+
+      const credentials = readCredentials({ keyFile, certFile, pfxFile: '', passphrase: '' });
+
+      expect(credentials.key.equals(fs.readFileSync(keyFile))).toBe(true);
+      expect(credentials.cert.equals(fs.readFileSync(certFile))).toBe(true);
+      expect(credentials).not.toHaveProperty('passphrase');
+    });
+
+    test('should prefer a passphrase-protected PFX bundle', () => {
+      const pfxFile = exportPfx(generateCertificate(directory), 'secret');
+
+      const credentials = readCredentials({ keyFile: 'unused.pem', certFile: 'unused.pem', pfxFile, passphrase: 'secret' });
+
+      expect(Object.keys(credentials)).toEqual(['pfx', 'passphrase']);
+      expect(() => readCredentials({ keyFile: '', certFile: '', pfxFile, passphrase: 'wrong' }))
+        .toThrow('tlsConfiguration: unusable key or certificate (mac verify failure)');
+    });
+
+    test('should name every file that cannot be read', () => {
+      const keyFile = path.join(directory, 'missing-key.pem');
+      const certFile = path.join(directory, 'missing-cert.pem');
+
+      let error;
+      try {
+        readCredentials({ keyFile, certFile, pfxFile: '', passphrase: '' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.problems).toEqual([
+        `tlsConfiguration.keyFile: cannot read ${keyFile} (ENOENT)`,
+        `tlsConfiguration.certFile: cannot read ${certFile} (ENOENT)`
+      ]);
+    });
+
+    test('should reject a key that does not match the certificate', () => {
+      const first = generateCertificate(directory, { name: 'first' });
+      const second = generateCertificate(directory, { name: 'second' });
+
+      expect(() => readCredentials({ keyFile: first.keyFile, certFile: second.certFile, pfxFile: '', passphrase: '' }))
+        .toThrow(ConfigError);
+    });
+  });
+
+  describe('Strict-Transport-Security', () => {
+
+    test('should build the header from the hsts settings', () => {
+      expect(hstsHeader({ enabled: true, maxAge: 15552000, includeSubDomains: false })).toBe('max-age=15552000');
+      expect(hstsHeader({ enabled: true, maxAge: 60, includeSubDomains: true })).toBe('max-age=60; includeSubDomains');
+      expect(hstsHeader({ enabled: false, maxAge: 60, includeSubDomains: true })).toBeNull();
+    });
+  });
+
+  describe('Redirect Listener', () => {
+
+    test('should redirect to the same host and path over HTTPS with 308', async () => {
+      const handler = createRedirectHandler('127.0.0.1', () => 8443);
+
+      const response = await request(handler)
+        .post('/users/7?full=1')
+        .set('Host', 'example.com:8080')
+        .expect(308);
+
+      expect(response.headers.location).toBe('https://example.com:8443/users/7?full=1');
+      expect(response.headers['content-length']).toBe('0');
+    });
+
+    test('should omit the default port and fall back to the configured hostname', async () => {
+      await request(createRedirectHandler('::1', () => 443))
+        .get('/')
+        .set('Host', 'evil.example/path')
+        .expect(308)
+        .expect('Location', 'https://[::1]/');
+
+      await request(createRedirectHandler('127.0.0.1', () => 443))
+        .get('/')
+        .set('Host', '[::1]:80')
+        .expect('Location', 'https://[::1]/');
+    });
+  });
+
+  describe('HTTPS Server', () => {
+    let server;
+    let logSpy;
+
+    /**
+     * Creates and binds an HTTPS server using the given credentials
+     */
+    const startServer = async (tlsConfiguration) => {
+      server = createServer({
+        serverConfiguration: { port: 0, protocol: 'https' },
+        loggingConfiguration: { accessLog: { enabled: false } },
+        tlsConfiguration
+      });
+      await listen(server);
+      return server.address().port;
+    };
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      if (server && server.listening) {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+      server = undefined;
+      logSpy.mockRestore();
+    });
+
+    test('should serve requests over TLS with HSTS', async () => {
+      const { keyFile, certFile } = generateCertificate(directory);
+      const port = await startServer({ keyFile, certFile });
+
+      const { res, body } = await get(port, { rejectUnauthorized: true, ca: fs.readFileSync(certFile) });
+
+      expect(res.statusCode).toBe(200);
+      expect(body).toBe('Hello, World!\n');
+      expect(res.headers['strict-transport-security']).toBe('max-age=15552000');
+      expect(logSpy).toHaveBeenCalledWith(`Server running at https://127.0.0.1:${port}/`);
+    });
+
+    test('should omit HSTS when disabled', async () => {
+      const { keyFile, certFile } = generateCertificate(directory);
+      const port = await startServer({ keyFile, certFile, hsts: { enabled: false } });
+
+      const { res } = await get(port);
+
+      expect(res.headers).not.toHaveProperty('strict-transport-security');
+    });
+
+    test('should bind and close a redirect listener alongside the server', async () => {
+      const { keyFile, certFile } = generateCertificate(directory);
+      const port = await startServer({ keyFile, certFile, redirect: { enabled: true, port: 0 } });
+      const { redirectServer } = server;
+
+      const response = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: redirectServer.address().port, path: '/healthz' }, resolve).on('error', reject);
+      });
+      response.resume();
+
+      expect(response.statusCode).toBe(308);
+      expect(response.headers.location).toBe(`https://127.0.0.1:${port}/healthz`);
+      expect(response.headers).not.toHaveProperty('strict-transport-security');
+      expect(logSpy).toHaveBeenCalledWith(`Redirecting http://127.0.0.1:${redirectServer.address().port}/ to HTTPS`);
+
+      await new Promise((resolve) => server.close(resolve));
+      expect(redirectServer.listening).toBe(false);
+    });
+
+    test('should close the server when the redirect port is taken', async () => {
+      const { keyFile, certFile } = generateCertificate(directory);
+      const blocker = http.createServer();
+      await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+      const blockedPort = blocker.address().port;
+
+      try {
+        server = createServer({
+          serverConfiguration: { port: 0, protocol: 'https' },
+          tlsConfiguration: { keyFile, certFile, redirect: { enabled: true, port: blockedPort } }
+        });
+
+        await expect(listen(server)).rejects.toMatchObject({ code: 'EADDRINUSE', port: blockedPort });
+        expect(server.listening).toBe(false);
+      } finally {
+        await new Promise((resolve) => blocker.close(resolve));
+      }
+    });
+
+    test('should reload certificates without dropping open connections', async () => {
+      generateCertificate(directory, { commonName: 'first' });
+      const keyFile = path.join(directory, 'server-key.pem');
+      const certFile = path.join(directory, 'server-cert.pem');
+      const port = await startServer({ keyFile, certFile });
+      const agent = new https.Agent({ keepAlive: true, rejectUnauthorized: false });
+
+      try {
+        expect((await get(port, { agent })).peer).toBe('first');
+
+        generateCertificate(directory, { commonName: 'second' });
+        server.reloadCertificates();
+
+        const kept = await get(port, { agent });
+        expect(kept).toMatchObject({ peer: 'first', reused: true });
+        expect(kept.res.statusCode).toBe(200);
+        expect((await get(port)).peer).toBe('second');
+      } finally {
+        agent.destroy();
+      }
+    });
+
+    test('should keep the current certificates when a SIGHUP reload fails', async () => {
+      const { keyFile, certFile } = generateCertificate(directory, { commonName: 'current' });
+      const port = await startServer({ keyFile, certFile });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const removeReloadHandler = handleReloadSignal(server);
+
+      try {
+        process.emit('SIGHUP', 'SIGHUP');
+        expect(logSpy).toHaveBeenCalledWith('Reloaded TLS certificates');
+
+        fs.writeFileSync(keyFile, 'not a key');
+        process.emit('SIGHUP', 'SIGHUP');
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Keeping current TLS certificates: tlsConfiguration: unusable key or certificate/));
+
+        expect((await get(port)).peer).toBe('current');
+      } finally {
+        removeReloadHandler();
+        errorSpy.mockRestore();
+      }
+    });
+
+    test('should not install a reload handler for plain HTTP servers', () => {
+      const before = process.listenerCount('SIGHUP');
+      const removeReloadHandler = handleReloadSignal(createServer());
+
+      expect(process.listenerCount('SIGHUP')).toBe(before);
+      removeReloadHandler();
+    });
+
+    test('should exit with a configuration error when credentials cannot be read', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const previousExitCode = process.exitCode;
+
+      try {
+        const result = await main({
+          argv: ['--protocol', 'https', '--tls-key', 'missing-key.pem', '--tls-cert', 'missing-cert.pem'],
+          env: {},
+          cwd: directory
+        });
+
+        expect(result).toBeUndefined();
+        expect(process.exitCode).toBe(EXIT_CODES.CONFIG_ERROR);
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('tlsConfiguration.keyFile: cannot read missing-key.pem (ENOENT)'));
+      } finally {
+        process.exitCode = previousExitCode;
+        errorSpy.mockRestore();
+      }
+    });
+  });
+});
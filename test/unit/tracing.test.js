@@ -0,0 +1,282 @@
+/**
+ * Unit Test Suite for lib/tracing.js
+ *
+ * Validates W3C traceparent / tracestate parsing, span context propagation
+ * to handlers and OTLP/JSON export to a file and to a stand-in collector.
+ *
+ * Testing Framework: Jest with Supertest for HTTP assertions
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { ConfigError } = require('../../lib/config');
+const { createTracer, formatTraceparent, parseTraceparent, parseTracestate } = require('../../lib/tracing');
+const { createRouter, sendStatus } = require('../../lib/router');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Converts OTLP/JSON attributes to a plain object
+ */
+function attributesOf(span) {
+  return Object.fromEntries(span.attributes.map(({ key, value }) => [key, value.stringValue ?? Number(value.intValue)]));
+}
+
+describe('Tracing Unit Tests', () => {
+
+  describe('Trace Context Parsing', () => {
+
+    test('should parse a valid traceparent', () => {
+      expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+        traceId: TRACE_ID,
+        parentSpanId: PARENT_ID,
+        flags: 1
+      });
+      expect(parseTraceparent(`00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-00`).flags).toBe(0);
+    });
+
+    test('should accept future versions with extra fields', () => {
+      expect(parseTraceparent(`cc-${TRACE_ID}-${PARENT_ID}-01-what-the-future`)).toMatchObject({ traceId: TRACE_ID });
+    });
+
+    test('should reject malformed traceparent values', () => {
+      for (const header of [
+        undefined,
+        '',
+        `00-${TRACE_ID}-${PARENT_ID}`,
+        `00-${TRACE_ID}-${PARENT_ID}-01-extra`,
+        `ff-${TRACE_ID}-${PARENT_ID}-01`,
+        `00-${'0'.repeat(32)}-${PARENT_ID}-01`,
+        `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+        `00-${TRACE_ID.slice(1)}-${PARENT_ID}-01`,
+        `00-${TRACE_ID}-${PARENT_ID}-0g`
+      ]) {
+        expect(parseTraceparent(header)).toBeNull();
+      }
+    });
+
+    test('should keep well-formed tracestate members only', () => {
+      expect(parseTracestate('rojo=00f067aa0ba902b7, congo=t61rcWkgMzE,,bad key=1, tenant@vendor=x'))
+        .toBe('rojo=00f067aa0ba902b7,congo=t61rcWkgMzE,tenant@vendor=x');
+      expect(parseTracestate(Array.from({ length: 40 }, (_, i) => `k${i}=v`).join(',')).split(',')).toHaveLength(32);
+      expect(parseTracestate(undefined)).toBe('');
+    });
+
+    test('should format a traceparent', () => {
+      expect(formatTraceparent({ traceId: TRACE_ID, spanId: PARENT_ID, flags: 1 })).toBe(`00-${TRACE_ID}-${PARENT_ID}-01`);
+    });
+  });
+
+  describe('Spans', () => {
+    let directory;
+    let destination;
+
+    /**
+     * Creates a traced request listener
+     */
+    const createApp = (tracer) => {
+      const router = createRouter()
+        .route('GET', '/users/:id', (req, res) => res.end(JSON.stringify(req.traceContext)))
+        .route('GET', '/fail', (req, res) => sendStatus(res, 500, 'Internal Server Error'));
+      return (req, res) => {
+        tracer.track(req, res);
+        router.handle(req, res);
+      };
+    };
+
+    /**
+     * Reads every span exported to the file destination
+     */
+    const exportedSpans = () => fs.readFileSync(destination, 'utf8').trim().split('\n')
+      .flatMap((line) => JSON.parse(line).resourceSpans[0].scopeSpans[0].spans);
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-'));
+      destination = path.join(directory, 'traces.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should continue an incoming trace and expose the context to handlers', async () => {
+      const tracer = createTracer({ enabled: true, serviceName: 'test', destination, flushInterval: 60000 });
+      const app = createApp(tracer);
+
+      const response = await request(app)
+        .get('/users/7?full=1')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+        .set('tracestate', 'rojo=00f067aa0ba902b7')
+        .set('User-Agent', 'jest-agent')
+        .expect(200);
+      await tracer.close();
+
+      const context = JSON.parse(response.text);
+      expect(context).toMatchObject({ traceId: TRACE_ID, parentSpanId: PARENT_ID, sampled: true, tracestate: 'rojo=00f067aa0ba902b7' });
+      expect(context.traceparent).toBe(`00-${TRACE_ID}-${context.spanId}-01`);
+
+      const batch = JSON.parse(fs.readFileSync(destination, 'utf8'));
+      expect(batch.resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'test' } }]);
+
+      const [span] = exportedSpans();
+      expect(span).toMatchObject({
+        traceId: TRACE_ID,
+        spanId: context.spanId,
+        parentSpanId: PARENT_ID,
+        traceState: 'rojo=00f067aa0ba902b7',
+        name: 'GET /users/:id',
+        kind: 2,
+        status: { code: 0 }
+      });
+      expect(BigInt(span.endTimeUnixNano)).toBeGreaterThan(BigInt(span.startTimeUnixNano));
+      expect(attributesOf(span)).toMatchObject({
+        'http.request.method': 'GET',
+        'http.route': '/users/:id',
+        'url.path': '/users/7',
+        'url.scheme': 'http',
+        'http.response.status_code': 200,
+        'user_agent.original': 'jest-agent'
+      });
+    });
+
+    test('should start a new sampled trace without a valid traceparent', async () => {
+      const tracer = createTracer({ enabled: true, serviceName: 'test', destination, flushInterval: 60000 });
+      const app = createApp(tracer);
+
+      const response = await request(app).get('/users/1').set('traceparent', 'garbage').set('tracestate', 'a=b').expect(200);
+      await request(app).get('/fail').expect(500);
+      await tracer.close();
+
+      const context = JSON.parse(response.text);
+      expect(context.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(context.traceId).not.toBe(TRACE_ID);
+      expect(context.tracestate).toBe('');
+
+      const [first, second] = exportedSpans();
+      expect(first.parentSpanId).toBeUndefined();
+      expect(first.traceState).toBeUndefined();
+      expect(second).toMatchObject({ name: 'GET /fail', status: { code: 2 } });
+    });
+
+    test('should propagate but not export unsampled traces', async () => {
+      const tracer = createTracer({ enabled: true, serviceName: 'test', destination, flushInterval: 60000 });
+
+      const response = await request(createApp(tracer))
+        .get('/users/1')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-00`)
+        .expect(200);
+      await tracer.close();
+
+      expect(JSON.parse(response.text)).toMatchObject({ traceId: TRACE_ID, sampled: false });
+      expect(fs.readFileSync(destination, 'utf8')).toBe('');
+    });
+
+    test('should propagate context without exporting when disabled', async () => {
+      const tracer = createTracer({ enabled: false, serviceName: 'test', destination, flushInterval: 10 });
+
+      const response = await request(createApp(tracer))
+        .get('/users/1')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+        .expect(200);
+      await tracer.close();
+
+      expect(JSON.parse(response.text).traceId).toBe(TRACE_ID);
+      expect(fs.existsSync(destination)).toBe(false);
+    });
+
+    test('should report a file that cannot be opened as a configuration error', () => {
+      const file = path.join(directory, 'missing', 'traces.jsonl');
+      const tracingConfiguration = { enabled: true, serviceName: 'test', destination: file, flushInterval: 10 };
+
+      expect(() => createTracer(tracingConfiguration)).toThrow(ConfigError);
+      expect(() => createTracer(tracingConfiguration)).toThrow(`tracingConfiguration.destination: cannot open ${file} (ENOENT)`);
+      expect(() => createTracer({ ...tracingConfiguration, enabled: false })).not.toThrow();
+    });
+
+    test('should export batches within the flush interval', async () => {
+      const tracer = createTracer({ enabled: true, serviceName: 'test', destination, flushInterval: 20 });
+      const app = createApp(tracer);
+
+      await request(app).get('/users/1').expect(200);
+      await request(app).get('/users/2').expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await tracer.flush();
+
+      expect(fs.readFileSync(destination, 'utf8').trim().split('\n')).toHaveLength(1);
+      expect(exportedSpans()).toHaveLength(2);
+      await tracer.close();
+    });
+  });
+
+  describe('Collector Export', () => {
+    let collector;
+    let received;
+
+    beforeEach(async () => {
+      received = [];
+      collector = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          received.push({ method: req.method, url: req.url, type: req.headers['content-type'], body: JSON.parse(body) });
+          res.end('{}');
+        });
+      });
+      await new Promise((resolve) => collector.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+      if (collector.listening) {
+        await new Promise((resolve) => collector.close(resolve));
+      }
+    });
+
+    test('should POST OTLP/JSON to a collector endpoint', async () => {
+      const destination = `http://127.0.0.1:${collector.address().port}/v1/traces`;
+      const tracer = createTracer({ enabled: true, serviceName: 'test', destination, flushInterval: 60000 });
+      const app = (req, res) => {
+        tracer.track(req, res);
+        res.end('ok');
+      };
+
+      await request(app).get('/').expect(200);
+      await tracer.close();
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ method: 'POST', url: '/v1/traces', type: 'application/json' });
+      expect(received[0].body.resourceSpans[0].scopeSpans[0].spans).toHaveLength(1);
+    });
+
+    test('should report a failed export without throwing', async () => {
+      const port = collector.address().port;
+      await new Promise((resolve) => collector.close(resolve));
+
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const tracer = createTracer({
+          enabled: true,
+          serviceName: 'test',
+          destination: `http://127.0.0.1:${port}/v1/traces`,
+          flushInterval: 60000
+        });
+        const app = (req, res) => {
+          tracer.track(req, res);
+          res.end('ok');
+        };
+
+        await request(app).get('/').expect(200);
+        await tracer.close();
+
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Trace export to http:\/\/127\.0\.0\.1:\d+\/v1\/traces failed: /));
+      } finally {
+        errorSpy.mockRestore();
+      }
+    });
+  });
+});